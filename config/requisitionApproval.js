@@ -0,0 +1,28 @@
+// How ward requisitions are approved before the pharmacy issues them, by priority.
+// `approval` waits for an approver; `auto` is approved on submission and reviewed
+// afterwards by the same approvers within reviewWithinHours.
+const requisitionApproval = {
+  priorities: {
+    Normal: { mode: 'approval' },
+    Urgent: { mode: 'approval' },
+    Emergency: {
+      mode: 'auto',
+      reviewWithinHours: parseInt(process.env.REQUISITION_REVIEW_HOURS) || 24
+    }
+  },
+
+  // Approvers are the head of the requesting department (Department.head) plus these roles.
+  // Nobody approves or reviews their own requisition.
+  approverRoles: (process.env.REQUISITION_APPROVER_ROLES || 'admin').split(',').map(role => role.trim()),
+
+  rejectionReasons: [
+    'Not clinically justified',
+    'Quantity too high',
+    'Stock already on the ward',
+    'Duplicate request',
+    'Wrong medicine or strength',
+    'Other'
+  ]
+};
+
+export default requisitionApproval;
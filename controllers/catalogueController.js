@@ -0,0 +1,76 @@
+import path from 'path';
+import catalogueService from '../services/catalogueService.js';
+import logger from '../utils/logger.js';
+
+// @desc    Import a medicines, services or item-prices spreadsheet (CSV or XLSX) in the
+//          `file` field. Rows are matched by key and created or updated; `price:CODE`
+//          columns set prices on that list. `?dryRun=true` previews without saving, and
+//          nothing is saved while any row has errors.
+// @route   POST /api/catalogue/:catalogue/import
+// @access  Private (Admin, Pharmacist)
+export const importCatalogue = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a .csv or .xlsx file in the file field'
+      });
+    }
+
+    const report = await catalogueService.importFile({
+      name: req.params.catalogue,
+      buffer: req.file.buffer,
+      format: path.extname(req.file.originalname).toLowerCase().slice(1),
+      dryRun: req.query.dryRun === 'true' || req.body.dryRun === 'true',
+      userId: req.user.id
+    });
+
+    if (report.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${report.summary.rowsWithErrors || 1} row(s) have errors; nothing was imported`,
+        data: report
+      });
+    }
+
+    if (report.applied) {
+      logger.info(`Catalogue ${report.catalogue} imported by ${req.user.id}: ` +
+        `${report.summary.create} created, ${report.summary.update} updated`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Import catalogue error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Download a catalogue with current prices in the same layout import reads
+// @route   GET /api/catalogue/:catalogue/export?format=csv|xlsx
+// @access  Private (Admin, Pharmacist)
+export const exportCatalogue = async (req, res) => {
+  try {
+    const { buffer, contentType, filename } = await catalogueService.exportFile({
+      name: req.params.catalogue,
+      format: req.query.format || 'xlsx'
+    });
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.status(200).send(Buffer.from(buffer));
+  } catch (error) {
+    logger.error('Export catalogue error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,95 @@
+import { ControlledDrugRegister, ControlledDrugBalance } from '../models/ControlledDrugRegister.js';
+import controlledDrugService from '../services/controlledDrugService.js';
+import logger from '../utils/logger.js';
+
+// @desc    Register entries for a controlled drug, oldest first
+// @route   GET /api/controlled-drugs/register
+// @access  Private (Admin, Pharmacist)
+export const getRegisterEntries = async (req, res) => {
+  try {
+    const { medicine, location, startDate, endDate } = req.query;
+
+    const filter = {};
+    if (medicine) filter.medicine = medicine;
+    if (location) filter.location = location.toUpperCase();
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    const entries = await ControlledDrugRegister.find(filter)
+      .populate('medicine', 'name strength type controlledSchedule')
+      .populate('patient', 'firstName lastName patientId')
+      .populate('performedBy', 'firstName lastName')
+      .populate('witnessedBy', 'firstName lastName')
+      .sort({ createdAt: 1, _id: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries
+    });
+  } catch (error) {
+    logger.error('Get controlled drug register error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Current register balance per controlled drug and location
+// @route   GET /api/controlled-drugs/balances
+// @access  Private (Admin, Pharmacist)
+export const getRegisterBalances = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.location) filter.location = req.query.location.toUpperCase();
+
+    const balances = await ControlledDrugBalance.find(filter)
+      .populate('medicine', 'name strength type controlledSchedule')
+      .sort('location');
+
+    res.status(200).json({
+      success: true,
+      count: balances.length,
+      data: balances
+    });
+  } catch (error) {
+    logger.error('Get controlled drug balances error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Register balances against batch stock (plus stock held in quarantine)
+// @route   GET /api/controlled-drugs/reconciliation
+// @access  Private (Admin, Pharmacist)
+export const getReconciliation = async (req, res) => {
+  try {
+    const { location, medicine } = req.query;
+
+    const rows = await controlledDrugService.reconcile({ location, medicine });
+    const discrepancies = rows.filter(row => !row.reconciled);
+
+    if (discrepancies.length > 0) {
+      logger.warn(`Controlled drug reconciliation: ${discrepancies.length} register(s) out of balance`);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      discrepancies: discrepancies.length,
+      data: rows
+    });
+  } catch (error) {
+    logger.error('Get controlled drug reconciliation error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
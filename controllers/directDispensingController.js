@@ -1,132 +1,184 @@
 import DirectDispensing from '../models/DirectDispensing.js';
-import { StockMovement } from '../models/StockMovement.js';
-import { Medicine } from '../models/Medicine.js';
-import { MedicineBatch } from '../models/MedicineBatch.js';
+import { StockLocation } from '../models/StockLocation.js';
+import stockLedger from '../services/stockLedger.js';
+import controlledDrugService from '../services/controlledDrugService.js';
+import directSaleService from '../services/directSaleService.js';
+import logger from '../utils/logger.js';
 
-// @desc    Get all direct dispensing records
+const populateSale = (query) => query
+  .populate('issuedBy', 'firstName lastName')
+  .populate('patient', 'firstName lastName patientId')
+  .populate('discount.approvedBy', 'firstName lastName');
+
+// @desc    Get direct dispensing (walk-in sale) records
 // @route   GET /api/direct-dispensing
-// @access  Public
+// @access  Private (Admin, Pharmacist)
 export const getDirectDispensingRecords = async (req, res, next) => {
   try {
-    const records = await DirectDispensing.find();
+    const { shift, issuedBy, startDate, endDate } = req.query;
+
+    const filter = {};
+    if (shift) filter.shift = shift;
+    if (issuedBy) filter.issuedBy = issuedBy;
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = new Date(startDate);
+      if (endDate) filter.date.$lte = new Date(endDate);
+    }
+
+    const records = await populateSale(DirectDispensing.find(filter)).sort('-date');
     res.status(200).json({ 
       success: true, 
       count: records.length, 
       data: records 
     });
   } catch (err) {
-    res.status(400).json({ 
-      success: false 
+    logger.error('Get direct dispensing records error:', err);
+    res.status(400).json({
+      success: false,
+      error: err.message
+    });
+  }
+};
+
+// @desc    Get one sale, for reprinting its receipt
+// @route   GET /api/direct-dispensing/:id
+// @access  Private (Admin, Pharmacist)
+export const getDirectDispensingRecord = async (req, res) => {
+  try {
+    const record = await populateSale(DirectDispensing.findById(req.params.id));
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sale not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: record
+    });
+  } catch (err) {
+    logger.error('Get direct dispensing record error:', err);
+    res.status(400).json({
+      success: false,
+      error: err.message
     });
   }
 };
 
-// @desc    Create a direct dispensing record
+// @desc    Price a sale without selling it, so the till can show the total
+// @route   POST /api/direct-dispensing/quote
+// @access  Private (Admin, Pharmacist)
+export const quoteDirectSale = async (req, res) => {
+  try {
+    const { medicines, patient, discount } = req.body;
+    const sale = await directSaleService.priceSale({ medicines, patient, discount, user: req.user });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        medicines: sale.lines.map(({ medicine, ...line }) => ({ medicine: medicine._id, ...line })),
+        subtotal: sale.subtotal,
+        discount: sale.discount.amount,
+        totalCost: sale.total
+      }
+    });
+  } catch (err) {
+    logger.error('Quote direct sale error:', err);
+    res.status(err.statusCode || 400).json({
+      success: false,
+      error: err.message
+    });
+  }
+};
+
+// @desc    Sell to a walk-in client. Prices come from the price list, the payment is taken
+//          against the pharmacist's open shift and a numbered receipt is issued. The sale is
+//          all-or-nothing: if any line can't be filled from stock, nothing is deducted.
 // @route   POST /api/direct-dispensing
-// @access  Private
+// @access  Private (Admin, Pharmacist)
 export const createDirectDispensingRecord = async (req, res, next) => {
   try {
-    const { medicines, clientName, patient, totalCost, issuedBy } = req.body;
-
-    // Create the direct dispensing record
-    const record = await DirectDispensing.create(req.body);
-
-    // Create stock movements and update batch quantities for each medicine dispensed
-    if (medicines && Array.isArray(medicines)) {
-      const stockMovements = [];
-
-      for (const item of medicines) {
-        // Find the medicine by ID or name
-        let medicine;
-        if (item.medicine) {
-          medicine = await Medicine.findById(item.medicine);
-        } else if (item.name) {
-          medicine = await Medicine.findOne({ name: item.name });
-        }
-
-        if (medicine) {
-          const quantityToDispense = Math.abs(item.quantity || item.qty || 1);
-          console.log(`Processing ${medicine.name}: Need to dispense ${quantityToDispense} units`);
-          
-          // Get active batches for this medicine, sorted by expiry date (FIFO)
-          const batches = await MedicineBatch.find({
-            medicine: medicine._id,
-            status: 'active',
-            quantityRemaining: { $gt: 0 },
-            expiryDate: { $gt: new Date() }
-          }).sort('expiryDate');
-
-          if (batches.length === 0) {
-            console.log(`No active batches found for ${medicine.name}`);
-            continue;
-          }
-
-          let remainingToDispense = quantityToDispense;
-          const batchesUpdated = [];
-
-          // Deduct from batches (FIFO - First In, First Out)
-          for (const batch of batches) {
-            if (remainingToDispense <= 0) break;
-
-            const deductFromThisBatch = Math.min(remainingToDispense, batch.quantityRemaining);
-            
-            batch.quantityRemaining -= deductFromThisBatch;
-            
-            if (batch.quantityRemaining <= 0) {
-              batch.status = 'depleted';
-              batch.quantityRemaining = 0;
-            }
-            
-            await batch.save();
-            
-            console.log(`Updated batch ${batch.batchNumber}: Deducted ${deductFromThisBatch}, Remaining: ${batch.quantityRemaining}`);
-            
-            batchesUpdated.push({
-              batchId: batch._id,
-              deducted: deductFromThisBatch
-            });
-
-            remainingToDispense -= deductFromThisBatch;
-
-            // Create stock movement for this batch
-            const movement = await StockMovement.create({
-              medicine: medicine._id,
-              batch: batch._id,
-              type: 'OUT',
-              quantity: deductFromThisBatch,
-              reason: `Direct dispensing to ${clientName || 'client'}`,
-              patient: patient,
-              performedBy: issuedBy || req.user?._id || req.user?.id,
-            });
-
-            stockMovements.push(movement);
-          }
-
-          if (remainingToDispense > 0) {
-            console.log(`Warning: Could not dispense full quantity for ${medicine.name}. Short by ${remainingToDispense} units`);
-          }
-        } else {
-          console.log(`Medicine not found for item: ${item.name || item.medicine}`);
-        }
-      }
+    const { medicines, clientName, patient, discount, payment, location, witness } = req.body;
 
-      res.status(201).json({ 
-        success: true, 
-        data: record,
-        stockMovements: stockMovements.length,
-        message: `Successfully dispensed. Created ${stockMovements.length} stock movements`
-      });
-    } else {
-      res.status(201).json({ 
-        success: true, 
-        data: record 
+    const shift = await directSaleService.getOpenShift(req.user.id);
+    if (!shift) {
+      return res.status(409).json({
+        success: false,
+        error: 'Open a shift before making sales'
       });
     }
+
+    // Price every line and check the payment before touching stock
+    const sale = await directSaleService.priceSale({ medicines, patient, discount, user: req.user });
+    const salePayment = directSaleService.preparePayment(payment, sale.total);
+
+    const fromLocation = location
+      ? await StockLocation.resolveCode(location)
+      : shift.location || undefined;
+    const witnessedBy = await controlledDrugService.resolveWitness(witness, req.user.id);
+
+    const { record, movements } = await stockLedger.withTransaction(async (session) => {
+      const receiptNumber = await DirectDispensing.generateReceiptNumber(session);
+      let movements = 0;
+
+      for (const line of sale.lines) {
+        const deduction = await stockLedger.deduct(line.medicine._id, line.qty, {
+          session,
+          location: fromLocation,
+          reason: `Direct sale ${receiptNumber} to ${clientName || 'walk-in client'}`,
+          patient,
+          // Net of the discount so margin reports see what was actually taken
+          unitPrice: directSaleService.netUnitPrice(line.unitPrice, sale),
+          performedBy: req.user.id,
+          witnessedBy
+        }).catch(error => {
+          if (error.statusCode === 409) error.message = `${line.medicine.name}: ${error.message}`;
+          throw error;
+        });
+        movements += deduction.allocations.length;
+        line.batches = deduction.allocations;
+      }
+
+      await directSaleService.recordOnShift(shift._id, {
+        total: sale.total,
+        discount: sale.discount.amount,
+        method: salePayment.method
+      }, session);
+
+      const [record] = await DirectDispensing.create([{
+        receiptNumber,
+        clientName: clientName || undefined,
+        patient,
+        priceList: sale.priceList,
+        medicines: sale.lines.map(({ medicine, ...line }) => ({ medicine: medicine._id, ...line })),
+        subtotal: sale.subtotal,
+        discount: sale.discount,
+        totalCost: sale.total,
+        payment: salePayment,
+        shift: shift._id,
+        location: fromLocation,
+        issuedBy: req.user.id
+      }], { session });
+
+      return { record, movements };
+    });
+
+    logger.info(`Sale ${record.receiptNumber} (${sale.total}, ${salePayment.method}) by ${req.user.id}`);
+
+    res.status(201).json({ 
+      success: true, 
+      data: record,
+      stockMovements: movements,
+      message: `Sale complete. Receipt ${record.receiptNumber}`
+    });
   } catch (err) {
-    console.error('Error creating direct dispensing record:', err);
-    res.status(400).json({ 
+    logger.error('Error creating direct dispensing record:', err);
+    res.status(err.statusCode || 400).json({ 
       success: false,
       error: err.message 
     });
   }
-};
\ No newline at end of file
+};
@@ -1,135 +1,221 @@
+import mongoose from 'mongoose';
 import Dispensing from '../models/Dispensing.js';
-import { StockMovement } from '../models/StockMovement.js';
-import { Medicine } from '../models/Medicine.js';
-import { MedicineBatch } from '../models/MedicineBatch.js';
+import Prescription from '../models/Prescription.js';
+import { StockReservation } from '../models/StockReservation.js';
+import { StockLocation } from '../models/StockLocation.js';
+import stockLedger from '../services/stockLedger.js';
+import controlledDrugService from '../services/controlledDrugService.js';
+import pricingService from '../services/pricingService.js';
+import { httpError } from '../utils/httpError.js';
+import logger from '../utils/logger.js';
 
 // @desc    Get all dispensing records
 // @route   GET /api/dispensing
-// @access  Public
+// @access  Private
 export const getDispensingRecords = async (req, res, next) => {
   try {
-    const records = await Dispensing.find().populate('patient');
-    res.status(200).json({ 
-      success: true, 
-      count: records.length, 
-      data: records 
+    const { patient, prescription } = req.query;
+
+    const filter = {};
+    if (patient) filter.patient = patient;
+    if (prescription) filter.prescription = prescription;
+
+    const records = await Dispensing.find(filter)
+      .populate('patient', 'firstName lastName patientId')
+      .populate('issuedBy', 'firstName lastName')
+      .sort({ date: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: records.length,
+      data: records
     });
   } catch (err) {
-    res.status(400).json({ 
-      success: false 
+    logger.error('Get dispensing records error:', err);
+    res.status(400).json({
+      success: false,
+      error: err.message
     });
   }
 };
 
-// @desc    Create a dispensing record
-// @route   POST /api/dispensing
+// @desc    Prescriptions with quantity still owed to the patient
+// @route   GET /api/dispensing/outstanding
 // @access  Private
+export const getOutstandingPrescriptions = async (req, res) => {
+  try {
+    const { patient } = req.query;
+
+    const filter = {
+      isActive: true,
+      medicine: { $exists: true },
+      dispenseStatus: { $in: ['pending', 'partial'] }
+    };
+    if (patient) filter.patient = patient;
+
+    const prescriptions = await Prescription.find(filter)
+      .populate('patient', 'firstName lastName patientId')
+      .populate('medicine', 'name genericName strength type')
+      .populate('prescribedBy', 'firstName lastName')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: prescriptions.length,
+      data: prescriptions
+    });
+  } catch (err) {
+    logger.error('Get outstanding prescriptions error:', err);
+    res.status(400).json({
+      success: false,
+      error: err.message
+    });
+  }
+};
+
+// @desc    Dispense against a prescription. Issues what stock allows and leaves
+//          the rest outstanding for a later collection.
+// @route   POST /api/dispensing
+// @access  Private (Admin, Pharmacist)
 export const createDispensingRecord = async (req, res, next) => {
   try {
-    const { patient, medicine, quantity, issuedBy, prescription } = req.body;
-
-    // Create the dispensing record
-    const record = await Dispensing.create(req.body);
-
-    // Find the medicine by name or ID
-    let medicineDoc;
-    if (medicine) {
-      // Try to find by ID first (if it looks like an ObjectId)
-      if (medicine.match(/^[0-9a-fA-F]{24}$/)) {
-        medicineDoc = await Medicine.findById(medicine);
-      } else {
-        // Otherwise search by name
-        medicineDoc = await Medicine.findOne({ 
-          name: { $regex: new RegExp(`^${medicine}$`, 'i') } 
-        });
-      }
+    const { prescription: prescriptionId, quantity, location, notes, witness } = req.body;
+
+    if (!prescriptionId || !mongoose.Types.ObjectId.isValid(prescriptionId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid prescription is required'
+      });
+    }
+
+    const prescription = await Prescription.findById(prescriptionId).populate('medicine', 'name strength sellingPrice');
+    if (!prescription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prescription not found'
+      });
     }
 
-    if (medicineDoc && quantity > 0) {
-      const quantityToDispense = Math.abs(quantity);
-      console.log(`Processing ${medicineDoc.name}: Need to dispense ${quantityToDispense} units`);
-      
-      // Get active batches for this medicine, sorted by expiry date (FIFO)
-      const batches = await MedicineBatch.find({
-        medicine: medicineDoc._id,
-        status: 'active',
-        quantityRemaining: { $gt: 0 },
-        expiryDate: { $gt: new Date() }
-      }).sort('expiryDate');
-
-      if (batches.length === 0) {
-        console.log(`Warning: No active batches found for ${medicineDoc.name}`);
-        return res.status(201).json({ 
-          success: true, 
-          data: record,
-          warning: `Dispensing record created but no stock was deducted (no active batches for ${medicineDoc.name})`
-        });
+    if (!prescription.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Prescription is no longer active'
+      });
+    }
+
+    if (!prescription.medicine || !prescription.quantity) {
+      return res.status(400).json({
+        success: false,
+        error: 'Prescription is not linked to a catalogue medicine and quantity'
+      });
+    }
+
+    const outstanding = prescription.quantityOutstanding;
+    if (outstanding <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Prescription has already been fully dispensed'
+      });
+    }
+
+    const requested = quantity !== undefined ? parseInt(quantity) : outstanding;
+    if (!(requested > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Quantity must be a positive number'
+      });
+    }
+    if (requested > outstanding) {
+      return res.status(400).json({
+        success: false,
+        error: `Only ${outstanding} unit(s) remain on this prescription`
+      });
+    }
+
+    // Dispense from one location when given, otherwise from wherever the stock is
+    const fromLocation = location ? await StockLocation.resolveCode(location) : undefined;
+    const witnessedBy = await controlledDrugService.resolveWitness(witness, req.user.id);
+    const { price: unitPrice } = await pricingService.resolvePrice({
+      itemType: 'Medicine',
+      item: prescription.medicine,
+      patient: prescription.patient
+    });
+
+    // Stock deduction, the prescription balance and the dispensing record commit together
+    const { record, updated, issued } = await stockLedger.withTransaction(async (session) => {
+      const reservation = { sourceType: 'Prescription', sourceId: prescription._id };
+      const deduction = await stockLedger.deduct(prescription.medicine._id, requested, {
+        session,
+        allowPartial: true,
+        reservation,
+        location: fromLocation,
+        reason: `Prescription dispensing (Rx: ${prescription._id})`,
+        patient: prescription.patient,
+        unitPrice,
+        performedBy: req.user.id,
+        witnessedBy
+      });
+
+      if (deduction.quantity === 0) {
+        throw httpError(409, `No stock available for ${prescription.medication}`);
       }
 
-      let remainingToDispense = quantityToDispense;
-      const stockMovements = [];
-
-      // Deduct from batches (FIFO - First In, First Out)
-      for (const batch of batches) {
-        if (remainingToDispense <= 0) break;
-
-        const deductFromThisBatch = Math.min(remainingToDispense, batch.quantityRemaining);
-        
-        batch.quantityRemaining -= deductFromThisBatch;
-        
-        if (batch.quantityRemaining <= 0) {
-          batch.status = 'depleted';
-          batch.quantityRemaining = 0;
-        }
-        
-        await batch.save();
-        
-        console.log(`Updated batch ${batch.batchNumber}: Deducted ${deductFromThisBatch}, Remaining: ${batch.quantityRemaining}`);
-
-        // Create stock movement for this batch
-        const movement = await StockMovement.create({
-          medicine: medicineDoc._id,
-          batch: batch._id,
-          type: 'OUT',
-          quantity: deductFromThisBatch,
-          reason: `Prescription dispensing${prescription ? ` (Rx: ${prescription})` : ''}`,
-          patient: patient,
-          performedBy: issuedBy || req.user?._id || req.user?.id,
-        });
-
-        stockMovements.push(movement);
-        remainingToDispense -= deductFromThisBatch;
+      // Conditional so two counters can't issue more than the prescribed quantity
+      const updated = await Prescription.findOneAndUpdate(
+        { _id: prescription._id, quantityDispensed: { $lte: prescription.quantity - deduction.quantity } },
+        { $inc: { quantityDispensed: deduction.quantity } },
+        { new: true, session }
+      );
+      if (!updated) {
+        throw httpError(409, 'Prescription was dispensed by someone else in the meantime; please reload');
       }
 
-      if (remainingToDispense > 0) {
-        console.log(`Warning: Could not dispense full quantity for ${medicineDoc.name}. Short by ${remainingToDispense} units`);
-        return res.status(201).json({ 
-          success: true, 
-          data: record,
-          stockMovements: stockMovements.length,
-          warning: `Partially dispensed: ${quantityToDispense - remainingToDispense} of ${quantityToDispense} units (insufficient stock)`
-        });
+      updated.dispenseStatus = updated.quantityDispensed >= updated.quantity ? 'dispensed' : 'partial';
+      await updated.save({ session });
+      if (updated.dispenseStatus === 'dispensed') {
+        await StockReservation.release(reservation, { session });
       }
 
-      res.status(201).json({ 
-        success: true, 
-        data: record,
-        stockMovements: stockMovements.length,
-        message: `Successfully dispensed ${quantityToDispense} units. Created ${stockMovements.length} stock movements`
-      });
-    } else {
-      // Medicine not found or quantity is 0
-      res.status(201).json({ 
-        success: true, 
-        data: record,
-        warning: medicineDoc ? 'No quantity to dispense' : `Medicine not found: ${medicine}`
-      });
+      const [record] = await Dispensing.create([{
+        patient: prescription.patient,
+        prescription: prescription._id,
+        medicine: prescription.medicine._id,
+        medicineName: prescription.medication,
+        quantity: deduction.quantity,
+        quantityRequested: requested,
+        batches: deduction.allocations,
+        unitPrice,
+        issuedBy: req.user.id,
+        notes
+      }], { session });
+
+      return { record, updated, issued: deduction.quantity };
+    });
+
+    logger.info(`Dispensed ${issued} of ${requested} ${prescription.medication} for Rx ${prescription._id}`);
+
+    const response = {
+      success: true,
+      data: record,
+      prescription: {
+        _id: updated._id,
+        quantity: updated.quantity,
+        quantityDispensed: updated.quantityDispensed,
+        quantityOutstanding: updated.quantityOutstanding,
+        dispenseStatus: updated.dispenseStatus
+      }
+    };
+    if (issued < requested) {
+      response.warning = `Partially dispensed: ${issued} of ${requested} units (insufficient stock). ` +
+        `${updated.quantityOutstanding} unit(s) remain outstanding`;
     }
+
+    res.status(201).json(response);
   } catch (err) {
-    console.error('Error creating dispensing record:', err);
-    res.status(400).json({ 
+    logger.error('Error creating dispensing record:', err);
+    res.status(err.statusCode || 400).json({
       success: false,
-      error: err.message 
+      error: err.message
     });
   }
-};
\ No newline at end of file
+};
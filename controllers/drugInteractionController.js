@@ -0,0 +1,143 @@
+import { DrugInteraction } from '../models/DrugInteraction.js';
+import logger from '../utils/logger.js';
+
+// @desc    Get drug interactions
+// @route   GET /api/drug-interactions
+// @access  Private
+export const getDrugInteractions = async (req, res) => {
+  try {
+    const { drug, severity, includeInactive } = req.query;
+
+    const query = {};
+    if (includeInactive !== 'true') query.isActive = true;
+    if (severity) query.severity = severity;
+    if (drug) {
+      const name = drug.trim().toLowerCase();
+      query.$or = [{ drugA: name }, { drugB: name }];
+    }
+
+    const interactions = await DrugInteraction.find(query).sort({ drugA: 1, drugB: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      count: interactions.length,
+      data: interactions
+    });
+  } catch (error) {
+    logger.error('Get drug interactions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create drug interaction
+// @route   POST /api/drug-interactions
+// @access  Private (Admin, Pharmacist)
+export const createDrugInteraction = async (req, res) => {
+  try {
+    const { drugA, drugB, severity, description, management } = req.body;
+
+    if (!drugA || !drugB || drugA.trim().toLowerCase() === drugB.trim().toLowerCase()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide two different generic names'
+      });
+    }
+
+    const interaction = await DrugInteraction.create({
+      drugA,
+      drugB,
+      severity,
+      description,
+      management,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Drug interaction created successfully',
+      data: interaction
+    });
+  } catch (error) {
+    logger.error('Create drug interaction error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'An interaction for these two drugs already exists'
+      });
+    }
+
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update drug interaction
+// @route   PUT /api/drug-interactions/:id
+// @access  Private (Admin, Pharmacist)
+export const updateDrugInteraction = async (req, res) => {
+  try {
+    const interaction = await DrugInteraction.findById(req.params.id);
+
+    if (!interaction) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Drug interaction not found'
+      });
+    }
+
+    const fields = ['drugA', 'drugB', 'severity', 'description', 'management', 'isActive'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) interaction[field] = req.body[field];
+    });
+
+    // save() so the pair is re-sorted by the pre-validate hook
+    await interaction.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Drug interaction updated successfully',
+      data: interaction
+    });
+  } catch (error) {
+    logger.error('Update drug interaction error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.code === 11000 ? 'An interaction for these two drugs already exists' : error.message
+    });
+  }
+};
+
+// @desc    Delete drug interaction
+// @route   DELETE /api/drug-interactions/:id
+// @access  Private (Admin, Pharmacist)
+export const deleteDrugInteraction = async (req, res) => {
+  try {
+    const interaction = await DrugInteraction.findByIdAndDelete(req.params.id);
+
+    if (!interaction) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Drug interaction not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Drug interaction deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete drug interaction error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,131 @@
+import ImagingModality from '../models/ImagingModality.js';
+import RadiologyRequest from '../models/RadiologyRequest.js';
+import logger from '../utils/logger.js';
+
+// @desc    Get imaging modalities
+// @route   GET /api/radiology/modalities
+// @access  Private
+export const getModalities = async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.includeInactive !== 'true') filter.isActive = true;
+        if (req.query.modalityType) filter.modalityType = req.query.modalityType;
+
+        const modalities = await ImagingModality.find(filter).sort('modalityType name');
+        res.status(200).json({
+            success: true,
+            count: modalities.length,
+            data: modalities
+        });
+    } catch (error) {
+        logger.error('Get modalities error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+// @desc    Create an imaging modality
+// @route   POST /api/radiology/modalities
+// @access  Private (Admin)
+export const createModality = async (req, res) => {
+    try {
+        const modality = await ImagingModality.create(req.body);
+        res.status(201).json({
+            success: true,
+            data: modality
+        });
+    } catch (error) {
+        logger.error('Create modality error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+// @desc    Update an imaging modality
+// @route   PUT /api/radiology/modalities/:id
+// @access  Private (Admin)
+export const updateModality = async (req, res) => {
+    try {
+        const modality = await ImagingModality.findByIdAndUpdate(req.params.id, req.body, {
+            new: true,
+            runValidators: true
+        });
+
+        if (!modality) {
+            return res.status(404).json({
+                success: false,
+                message: 'Modality not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: modality
+        });
+    } catch (error) {
+        logger.error('Update modality error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+// @desc    Get free and booked slots for a modality on a day
+// @route   GET /api/radiology/modalities/:id/slots?date=YYYY-MM-DD
+// @access  Private
+export const getModalitySlots = async (req, res) => {
+    try {
+        const { date } = req.query;
+        if (!date) {
+            return res.status(400).json({
+                success: false,
+                message: 'Date query parameter is required (YYYY-MM-DD)'
+            });
+        }
+
+        const modality = await ImagingModality.findById(req.params.id);
+        if (!modality) {
+            return res.status(404).json({
+                success: false,
+                message: 'Modality not found'
+            });
+        }
+
+        const slots = modality.generateSlots(date);
+        if (slots.length === 0) {
+            return res.status(200).json({ success: true, data: [] });
+        }
+
+        const bookings = await RadiologyRequest.find({
+            modality: modality._id,
+            status: { $ne: 'Cancelled' },
+            scheduledStart: { $lt: slots[slots.length - 1].end },
+            scheduledEnd: { $gt: slots[0].start }
+        }).select('scheduledStart scheduledEnd patient scanType bodyPart status');
+
+        const data = slots.map(slot => {
+            const booking = bookings.find(b => b.scheduledStart < slot.end && b.scheduledEnd > slot.start);
+            return {
+                ...slot,
+                available: !booking,
+                request: booking?._id
+            };
+        });
+
+        res.status(200).json({
+            success: true,
+            data
+        });
+    } catch (error) {
+        logger.error('Get modality slots error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
@@ -1,15 +1,17 @@
 import ItemPrice from '../models/ItemPrice.js';
+import pricingService from '../services/pricingService.js';
 
-// @desc    Get all item prices
+// @desc    Get all item prices, with the current price on each list keyed by list code
 // @route   GET /api/item-pricing
-// @access  Public
+// @access  Private
 export const getItemPrices = async (req, res, next) => {
   try {
     const items = await ItemPrice.find();
+    const prices = await pricingService.currentPricesByCode('ItemPrice', items.map(item => item._id));
     res.status(200).json({ 
       success: true, 
       count: items.length, 
-      data: items 
+      data: items.map(item => ({ ...item.toObject(), prices: prices[item._id.toString()] || {} }))
     });
   } catch (err) {
     res.status(400).json({ 
@@ -18,29 +20,39 @@ export const getItemPrices = async (req, res, next) => {
   }
 };
 
-// @desc    Create an item price
+// @desc    Create an item price. `prices` is a map of price list code to price.
 // @route   POST /api/item-pricing
-// @access  Private
+// @access  Private (Admin, Pharmacist)
 export const createItemPrice = async (req, res, next) => {
   try {
-    const item = await ItemPrice.create(req.body);
+    const { prices, ...fields } = req.body;
+    const item = await ItemPrice.create(fields);
+    const { unknownCodes } = await pricingService.setPricesByCode({
+      itemType: 'ItemPrice',
+      item: item._id,
+      prices,
+      userId: req.user.id
+    });
     res.status(201).json({ 
       success: true, 
-      data: item 
+      data: item,
+      ...(unknownCodes.length > 0 && { warning: `No price list for: ${unknownCodes.join(', ')}` })
     });
   } catch (err) {
-    res.status(400).json({ 
-      success: false 
+    res.status(err.statusCode || 400).json({ 
+      success: false,
+      message: err.message
     });
   }
 };
 
-// @desc    Update an item price
+// @desc    Update an item price. Changed prices start a new entry on the price list.
 // @route   PUT /api/item-pricing/:id
-// @access  Private
+// @access  Private (Admin, Pharmacist)
 export const updateItemPrice = async (req, res, next) => {
   try {
-    const item = await ItemPrice.findByIdAndUpdate(req.params.id, req.body, {
+    const { prices, ...fields } = req.body;
+    const item = await ItemPrice.findByIdAndUpdate(req.params.id, fields, {
       new: true,
       runValidators: true,
     });
@@ -49,20 +61,28 @@ export const updateItemPrice = async (req, res, next) => {
         success: false 
       });
     }
+    const { unknownCodes } = await pricingService.setPricesByCode({
+      itemType: 'ItemPrice',
+      item: item._id,
+      prices,
+      userId: req.user.id
+    });
     res.status(200).json({ 
       success: true, 
-      data: item 
+      data: item,
+      ...(unknownCodes.length > 0 && { warning: `No price list for: ${unknownCodes.join(', ')}` })
     });
   } catch (err) {
-    res.status(400).json({ 
-      success: false 
+    res.status(err.statusCode || 400).json({ 
+      success: false,
+      message: err.message
     });
   }
 };
 
 // @desc    Delete an item price
 // @route   DELETE /api/item-pricing/:id
-// @access  Private
+// @access  Private (Admin)
 export const deleteItemPrice = async (req, res, next) => {
   try {
     const item = await ItemPrice.findByIdAndDelete(req.params.id);
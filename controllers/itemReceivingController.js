@@ -1,16 +1,60 @@
+import mongoose from 'mongoose';
 import PurchaseOrder from '../models/PurchaseOrder.js';
+import Supplier from '../models/Supplier.js';
+import GoodsReceivedNote from '../models/GoodsReceivedNote.js';
 import { Medicine } from '../models/Medicine.js';
 import { MedicineBatch } from '../models/MedicineBatch.js';
 import { StockMovement } from  '../models/StockMovement.js';
+import { StockLocation } from '../models/StockLocation.js';
+import stockLedger from '../services/stockLedger.js';
+import controlledDrugService from '../services/controlledDrugService.js';
+import { httpError } from '../utils/httpError.js';
 import logger from '../utils/logger.js';
 
+// Accept a Supplier id, or the name older clients still send
+const resolveSupplier = async (value) => {
+  const supplier = mongoose.Types.ObjectId.isValid(value)
+    ? await Supplier.findById(value)
+    : value && await Supplier.findByName(String(value));
+  if (!supplier) throw httpError(400, 'Unknown supplier; add it to the supplier list first');
+  if (!supplier.isActive) throw httpError(400, `Supplier ${supplier.name} is inactive`);
+  return supplier;
+};
+
+const toOrderLines = (items) => items
+  .filter(item => parseInt(item.quantity) > 0)
+  .map(item => ({
+    medicine: item.medicineId || item.medicine?._id || item.medicine,
+    quantity: parseInt(item.quantity),
+    agreedPrice: parseFloat(item.agreedPrice ?? item.price) || 0,
+    suggestion: item.suggestion
+  }));
+
+// Ordered vs. received per line, for the PO detail and receiving screens
+const lineSummary = (purchaseOrder) => purchaseOrder.items.map(item => ({
+  _id: item._id,
+  medicine: item.medicine,
+  agreedPrice: item.agreedPrice,
+  ordered: item.quantity,
+  received: item.receivedQuantity,
+  outstanding: item.outstandingQuantity,
+  overDelivered: item.overDeliveredQuantity
+}));
+
 // @desc    Get all purchase orders
 // @route   GET /api/item-receiving/purchase-orders
 // @access  Private
 export const getPurchaseOrders = async (req, res) => {
   try {
-    const purchaseOrders = await PurchaseOrder.find()
+    const filter = {};
+    if (req.query.status) filter.status = { $in: req.query.status.split(',') };
+
+    if (req.query.supplier) filter.supplier = req.query.supplier;
+
+    const purchaseOrders = await PurchaseOrder.find(filter)
+      .populate('supplier', 'name phone email')
       .populate('receivedBy', 'firstName lastName')
+      .populate('items.medicine', 'name type strength')
       .sort('-createdAt');
     
     res.status(200).json({ 
@@ -27,23 +71,126 @@ export const getPurchaseOrders = async (req, res) => {
   }
 };
 
+// @desc    Get single purchase order with ordered vs. received per line
+// @route   GET /api/item-receiving/purchase-orders/:id
+// @access  Private
+export const getPurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+      .populate('supplier')
+      .populate('items.medicine', 'name type strength')
+      .populate('createdBy', 'firstName lastName')
+      .populate('sentBy', 'firstName lastName');
+
+    if (!purchaseOrder) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Purchase order not found' 
+      });
+    }
+
+    const lines = lineSummary(purchaseOrder);
+
+    res.status(200).json({ 
+      success: true, 
+      data: {
+        purchaseOrder,
+        lines,
+        orderValue: purchaseOrder.orderValue(),
+        hasOverDelivery: lines.some(line => line.overDelivered > 0),
+        hasOutstanding: lines.some(line => line.outstanding > 0)
+      } 
+    });
+  } catch (error) {
+    logger.error('Get purchase order error:', error);
+    res.status(400).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+};
+
+// @desc    Get goods received notes
+// @route   GET /api/item-receiving/grns
+// @access  Private
+export const getGoodsReceivedNotes = async (req, res) => {
+  try {
+    const { purchaseOrder, supplier, uninvoiced } = req.query;
+
+    const filter = {};
+    if (purchaseOrder) filter.purchaseOrder = purchaseOrder;
+    if (supplier) filter.supplier = supplier;
+    if (uninvoiced === 'true') filter.invoice = { $exists: false };
+
+    const grns = await GoodsReceivedNote.find(filter)
+      .populate('purchaseOrder', 'poNumber status')
+      .populate('supplier', 'name')
+      .populate('receivedBy', 'firstName lastName')
+      .sort('-createdAt');
+
+    res.status(200).json({ 
+      success: true, 
+      count: grns.length, 
+      data: grns 
+    });
+  } catch (error) {
+    logger.error('Get goods received notes error:', error);
+    res.status(400).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+};
+
+// @desc    Get single goods received note
+// @route   GET /api/item-receiving/grns/:id
+// @access  Private
+export const getGoodsReceivedNote = async (req, res) => {
+  try {
+    const grn = await GoodsReceivedNote.findById(req.params.id)
+      .populate('purchaseOrder', 'poNumber status')
+      .populate('supplier', 'name')
+      .populate('items.medicine', 'name type strength')
+      .populate('receivedBy', 'firstName lastName')
+      .populate('invoice', 'invoiceNumber status');
+
+    if (!grn) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Goods received note not found' 
+      });
+    }
+
+    res.status(200).json({ 
+      success: true, 
+      data: grn 
+    });
+  } catch (error) {
+    logger.error('Get goods received note error:', error);
+    res.status(400).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+};
+
 // @desc    Create new purchase order
 // @route   POST /api/item-receiving/purchase-orders
 // @access  Private
 export const addPurchaseOrder = async (req, res) => {
   try {
-    const { number, date, supplier, supplierContact, supplierEmail, supplierPhone } = req.body;
-    
+    const { number, date, supplier, items, notes } = req.body;
+
+    const supplierDoc = await resolveSupplier(supplier);
+
     const purchaseOrder = await PurchaseOrder.create({
-      poNumber: number,
-      supplier: {
-        name: supplier,
-        contact: supplierContact,
-        email: supplierEmail,
-        phone: supplierPhone,
-      },
+      poNumber: number || await PurchaseOrder.generatePoNumber(),
+      supplier: supplierDoc._id,
+      items: Array.isArray(items) ? toOrderLines(items) : [],
       receivedBy: req.user.id,
+      createdBy: req.user.id,
       createdAt: date || new Date(),
+      notes,
     });
 
     res.status(201).json({ 
@@ -52,20 +199,23 @@ export const addPurchaseOrder = async (req, res) => {
     });
   } catch (error) {
     logger.error('Add purchase order error:', error);
-    res.status(400).json({ 
+    res.status(error.statusCode || 400).json({ 
       success: false, 
       message: error.message 
     });
   }
 };
 
-// @desc    Receive item into inventory
+// @desc    Receive item into inventory. On a PO with ordered lines the medicine must be
+//          one of them; the delivery is counted against that line. Each receipt is written
+//          to a goods received note; pass `grn` to add further items of the same delivery.
 // @route   POST /api/item-receiving
 // @access  Private
 export const receiveItem = async (req, res) => {
   try {
     const {
       purchaseOrder: poNumber,
+      medicineId,
       medicine: medicineName,
       genericName,
       type,
@@ -79,6 +229,9 @@ export const receiveItem = async (req, res) => {
       category,
       receiveTo,
       description,
+      grn: grnId,
+      deliveryNote,
+      witness,
     } = req.body;
 
     // 1. Find purchase order
@@ -90,72 +243,171 @@ export const receiveItem = async (req, res) => {
       });
     }
 
-    // 2. Find or create medicine in master catalog
-    let medicine = await Medicine.findOne({ 
-      name: medicineName, 
-      type, 
-      strength: strength || '' 
-    });
+    if (['draft', 'completed', 'cancelled'].includes(purchaseOrder.status)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Cannot receive against a ${purchaseOrder.status} purchase order` 
+      });
+    }
 
-    if (!medicine) {
-      const calculatedSellingPrice = sellingPrice || parseFloat(price) * 1.3;
-      
-      medicine = await Medicine.create({
-        name: medicineName,
-        genericName,
-        type,
-        strength,
-        manufacturer,
-        category: category || 'Other',
-        sellingPrice: calculatedSellingPrice,
-        reorderLevel: 10,
-        description,
+    let grn;
+    if (grnId) {
+      grn = await GoodsReceivedNote.findById(grnId);
+      if (!grn || !grn.purchaseOrder.equals(purchaseOrder._id)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Goods received note not found on this purchase order' 
+        });
+      }
+      if (grn.invoice) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `${grn.grnNumber} has already been matched to an invoice; start a new note` 
+        });
+      }
+    }
+
+    const location = await StockLocation.resolveCode(receiveTo);
+
+    // 2. Find or create medicine in master catalog
+    let medicine = medicineId
+      ? await Medicine.findById(medicineId)
+      : await Medicine.findOne({ 
+        name: medicineName, 
+        type, 
+        strength: strength || '' 
       });
-    } else if (sellingPrice && sellingPrice !== medicine.sellingPrice) {
-      // Update selling price if provided
-      medicine.sellingPrice = sellingPrice;
-      await medicine.save();
+
+    // Orders with lines only take what was ordered
+    let line;
+    if (purchaseOrder.items.length > 0) {
+      line = medicine && purchaseOrder.items.find(item => item.medicine.equals(medicine._id));
+      if (!line) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `${medicineName || 'This medicine'} is not on purchase order ${poNumber}` 
+        });
+      }
     }
 
-    // 3. Create batch entry
-    const batch = await MedicineBatch.create({
-      medicine: medicine._id,
-      purchaseOrder: purchaseOrder._id,
-      batchNumber: batchNumber || `BATCH-${Date.now()}`,
-      expiryDate: new Date(expiry),
-      quantityReceived: parseInt(qty),
-      quantityRemaining: parseInt(qty),
-      buyingPrice: parseFloat(price),
-      sellingPrice: sellingPrice || medicine.sellingPrice,
-      location: receiveTo || 'MAIN STORE',
-      receivedBy: req.user.id,
-    });
+    // Controlled drugs are received into the register under two signatures
+    const witnessedBy = await controlledDrugService.resolveWitness(witness, req.user.id);
+    if (medicine?.controlledSchedule) controlledDrugService.requireWitness(witnessedBy);
 
-    // 4. Create stock movement record
-    await StockMovement.create({
-      medicine: medicine._id,
-      batch: batch._id,
-      type: 'IN',
-      quantity: parseInt(qty),
-      reason: `Received from PO ${poNumber}`,
-      purchaseOrder: purchaseOrder._id,
-      performedBy: req.user.id,
-    });
+    const grnNumber = grn ? undefined : await GoodsReceivedNote.generateGrnNumber();
 
-    // 5. Update purchase order total and status
-    purchaseOrder.totalAmount += parseFloat(price) * parseInt(qty);
-    
-    // Check if we should mark as partial or completed
-    const totalBatches = await MedicineBatch.countDocuments({ 
-      purchaseOrder: purchaseOrder._id 
+    // Catalogue, batch, movement, register, PO line and GRN are written together. The order
+    // and note are re-read inside so a retried transaction doesn't count the delivery twice.
+    const receipt = await stockLedger.withTransaction(async (session) => {
+      const order = await PurchaseOrder.findById(purchaseOrder._id).session(session);
+      if (['draft', 'completed', 'cancelled'].includes(order.status)) {
+        throw httpError(400, `Cannot receive against a ${order.status} purchase order`);
+      }
+
+      // Checked again here: an invoice matched meanwhile closes the note to further items
+      let note = grn && await GoodsReceivedNote.findById(grn._id).session(session);
+      if (note?.invoice) {
+        throw httpError(400, `${note.grnNumber} has already been matched to an invoice; start a new note`);
+      }
+
+      let item = medicine;
+      if (!item) {
+        const calculatedSellingPrice = sellingPrice || parseFloat(price) * 1.3;
+
+        [item] = await Medicine.create([{
+          name: medicineName,
+          genericName,
+          type,
+          strength,
+          manufacturer,
+          category: category || 'Other',
+          sellingPrice: calculatedSellingPrice,
+          reorderLevel: 10,
+          description,
+        }], { session });
+      } else if (sellingPrice && sellingPrice !== item.sellingPrice) {
+        // Update selling price if provided
+        item = await Medicine.findByIdAndUpdate(item._id, { sellingPrice }, { new: true, session });
+      }
+
+      // 3. Create batch entry
+      const [batch] = await MedicineBatch.create([{
+        medicine: item._id,
+        purchaseOrder: order._id,
+        batchNumber: batchNumber || `BATCH-${Date.now()}`,
+        expiryDate: new Date(expiry),
+        quantityReceived: parseInt(qty),
+        quantityRemaining: parseInt(qty),
+        buyingPrice: parseFloat(price),
+        sellingPrice: sellingPrice || item.sellingPrice,
+        location,
+        receivedBy: req.user.id,
+      }], { session });
+
+      // 4. Create stock movement record
+      await StockMovement.create([{
+        medicine: item._id,
+        batch: batch._id,
+        type: 'IN',
+        quantity: parseInt(qty),
+        reason: `Received from PO ${poNumber}`,
+        location,
+        purchaseOrder: order._id,
+        unitCost: parseFloat(price),
+        performedBy: req.user.id,
+      }], { session });
+
+      await stockLedger.recordBatchChange(batch, parseInt(qty), {
+        session,
+        registerEntry: 'receipt',
+        reason: `Received from PO ${poNumber}`,
+        performedBy: req.user.id,
+        witnessedBy,
+      });
+
+      // 5. Update purchase order line, total and status
+      const orderLine = line && order.items.id(line._id);
+      if (orderLine) orderLine.receivedQuantity += parseInt(qty);
+      order.totalAmount += parseFloat(price) * parseInt(qty);
+      order.updateReceiptStatus();
+      await order.save({ session });
+
+      // 6. Record the receipt on the goods received note
+      const grnItem = {
+        poLine: orderLine?._id,
+        medicine: item._id,
+        batch: batch._id,
+        batchNumber: batch.batchNumber,
+        expiryDate: batch.expiryDate,
+        quantity: parseInt(qty),
+        unitCost: parseFloat(price),
+      };
+      if (note) {
+        note.items.push(grnItem);
+        await note.save({ session });
+      } else {
+        [note] = await GoodsReceivedNote.create([{
+          grnNumber,
+          purchaseOrder: order._id,
+          supplier: order.supplier,
+          deliveryNote,
+          location,
+          items: [grnItem],
+          receivedBy: req.user.id,
+        }], { session });
+      }
+
+      return { medicine: item, batch, line: orderLine, grn: note };
     });
-    if (totalBatches > 0) {
-      purchaseOrder.status = 'partial';
+
+    ({ medicine, line, grn } = receipt);
+    const { batch } = receipt;
+
+    if (line?.overDeliveredQuantity > 0) {
+      logger.warn(`PO ${poNumber}: ${medicine.name} over-delivered by ${line.overDeliveredQuantity}`);
     }
-    
-    await purchaseOrder.save();
 
-    // 6. Populate response
+    // 7. Populate response
     const populatedBatch = await MedicineBatch.findById(batch._id)
       .populate('medicine')
       .populate('receivedBy', 'firstName lastName');
@@ -163,12 +415,21 @@ export const receiveItem = async (req, res) => {
     res.status(201).json({ 
       success: true, 
       data: populatedBatch,
-      message: `Successfully received ${qty} units of ${medicineName}` 
+      grn: { _id: grn._id, grnNumber: grn.grnNumber },
+      ...(line && {
+        line: {
+          ordered: line.quantity,
+          received: line.receivedQuantity,
+          outstanding: line.outstandingQuantity,
+          overDelivered: line.overDeliveredQuantity
+        }
+      }),
+      message: `Successfully received ${qty} units of ${medicine.name}` 
     });
 
   } catch (error) {
     logger.error('Receive item error:', error);
-    res.status(400).json({ 
+    res.status(error.statusCode || 400).json({ 
       success: false, 
       message: error.message 
     });
@@ -237,21 +498,26 @@ export const getStockLevels = async (req, res) => {
   }
 };
 
-// @desc    Get expiring medicines (within 3 months)
+// @desc    Get expiring medicines (within 3 months, or ?days=)
 // @route   GET /api/item-receiving/expiring
 // @access  Private
 export const getExpiringMedicines = async (req, res) => {
   try {
-    const threeMonthsFromNow = new Date();
-    threeMonthsFromNow.setMonth(threeMonthsFromNow.getMonth() + 3);
+    const horizon = new Date();
+    if (req.query.days) {
+      horizon.setDate(horizon.getDate() + parseInt(req.query.days));
+    } else {
+      horizon.setMonth(horizon.getMonth() + 3);
+    }
 
     const expiringBatches = await MedicineBatch.find({
       status: 'active',
       quantityRemaining: { $gt: 0 },
       expiryDate: { 
         $gt: new Date(), 
-        $lte: threeMonthsFromNow 
-      }
+        $lte: horizon 
+      },
+      ...(req.query.location && { location: req.query.location.toUpperCase() })
     })
     .populate('medicine')
     .sort('expiryDate');
@@ -271,6 +537,94 @@ export const getExpiringMedicines = async (req, res) => {
   }
 };
 
+// @desc    Edit a draft purchase order before it is sent (lines, supplier, notes)
+// @route   PUT /api/item-receiving/purchase-orders/:id
+// @access  Private
+export const updatePurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Purchase order not found' 
+      });
+    }
+
+    if (purchaseOrder.status !== 'draft') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Only draft purchase orders can be edited' 
+      });
+    }
+
+    const { items, supplier, notes } = req.body;
+
+    if (items) purchaseOrder.items = toOrderLines(items);
+    if (supplier) purchaseOrder.supplier = (await resolveSupplier(supplier))._id;
+    if (notes !== undefined) purchaseOrder.notes = notes;
+
+    await purchaseOrder.save();
+
+    res.status(200).json({ 
+      success: true, 
+      data: purchaseOrder 
+    });
+  } catch (error) {
+    logger.error('Update purchase order error:', error);
+    res.status(error.statusCode || 400).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+};
+
+// @desc    Mark a reviewed draft purchase order as sent to the supplier
+// @route   PUT /api/item-receiving/purchase-orders/:id/send
+// @access  Private
+export const sendPurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Purchase order not found' 
+      });
+    }
+
+    if (purchaseOrder.status !== 'draft') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Only draft purchase orders can be sent' 
+      });
+    }
+
+    if (purchaseOrder.items.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Add at least one item before sending' 
+      });
+    }
+
+    purchaseOrder.status = 'sent';
+    purchaseOrder.sentBy = req.user.id;
+    purchaseOrder.sentAt = new Date();
+    await purchaseOrder.save();
+
+    res.status(200).json({ 
+      success: true, 
+      data: purchaseOrder 
+    });
+  } catch (error) {
+    logger.error('Send purchase order error:', error);
+    res.status(400).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+};
+
 // @desc    Complete a purchase order
 // @route   PUT /api/item-receiving/purchase-orders/:id/complete
 // @access  Private
@@ -0,0 +1,144 @@
+import LabTestCatalog from '../models/LabTestCatalog.js';
+import { escapeRegex } from '../utils/escapeRegex.js';
+import logger from '../utils/logger.js';
+
+// @desc    Get lab test catalogue
+// @route   GET /api/lab-catalog
+// @access  Private
+export const getLabCatalog = async (req, res) => {
+  try {
+    const { category, search, includeInactive } = req.query;
+
+    const filter = {};
+    if (includeInactive !== 'true') filter.isActive = true;
+    if (category) filter.category = category;
+    if (search) {
+      filter.$or = [
+        { name: { $regex: escapeRegex(search), $options: 'i' } },
+        { code: { $regex: escapeRegex(search), $options: 'i' } }
+      ];
+    }
+
+    const items = await LabTestCatalog.find(filter).sort('name');
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      data: items
+    });
+  } catch (error) {
+    logger.error('Get lab catalogue error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get single lab catalogue item
+// @route   GET /api/lab-catalog/:id
+// @access  Private
+export const getLabCatalogItem = async (req, res) => {
+  try {
+    const item = await LabTestCatalog.findById(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lab catalogue item not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: item
+    });
+  } catch (error) {
+    logger.error('Get lab catalogue item error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create lab catalogue item
+// @route   POST /api/lab-catalog
+// @access  Private (Admin, Lab Technician)
+export const createLabCatalogItem = async (req, res) => {
+  try {
+    const item = await LabTestCatalog.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: item
+    });
+  } catch (error) {
+    logger.error('Create lab catalogue item error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update lab catalogue item (parameters, units, reference ranges)
+// @route   PUT /api/lab-catalog/:id
+// @access  Private (Admin, Lab Technician)
+export const updateLabCatalogItem = async (req, res) => {
+  try {
+    const item = await LabTestCatalog.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lab catalogue item not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: item
+    });
+  } catch (error) {
+    logger.error('Update lab catalogue item error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Deactivate lab catalogue item (existing results keep their reference)
+// @route   DELETE /api/lab-catalog/:id
+// @access  Private (Admin)
+export const deactivateLabCatalogItem = async (req, res) => {
+  try {
+    const item = await LabTestCatalog.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lab catalogue item not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: item
+    });
+  } catch (error) {
+    logger.error('Deactivate lab catalogue item error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -1,16 +1,62 @@
-import LabTest from '../models/LabTest.js';
+import LabTest, { REJECTION_REASONS } from '../models/LabTest.js';
+import LabTestCatalog from '../models/LabTestCatalog.js';
 import Visit from '../models/Visit.js';
 import Service from '../models/Service.js'; // Assuming you have a Service model
+import labAlertService from '../services/labAlertService.js';
+import pricingService from '../services/pricingService.js';
+import { escapeRegex } from '../utils/escapeRegex.js';
 import logger from '../utils/logger.js';
 
-// @desc    Get all lab tests
+const OPEN_STATUSES = ['Pending', 'Collected', 'Received', 'In Process'];
+const MINUTE_MS = 60 * 1000;
+
+// @desc    Get lab tests (filterable, paginated)
 // @route   GET /api/lab-tests
 // @access  Private
 export const getLabTests = async (req, res) => {
   try {
-    const labTests = await LabTest.find().populate('patient').populate('orderedBy');
+    const { status, category, priority, patient, orderedBy, search, startDate, endDate } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const filter = {};
+    if (status) filter.status = { $in: status.split(',') };
+    if (category) filter.category = category;
+    if (priority) filter.priority = priority;
+    if (patient) filter.patient = patient;
+    if (orderedBy) filter.orderedBy = orderedBy;
+    if (search) {
+      const pattern = escapeRegex(search);
+      filter.$or = [
+        { testName: { $regex: pattern, $options: 'i' } },
+        { accessionNumber: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    const [labTests, total] = await Promise.all([
+      LabTest.find(filter)
+        .populate('patient')
+        .populate('orderedBy')
+        .sort('-createdAt')
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LabTest.countDocuments(filter)
+    ]);
+
     res.status(200).json({ 
       success: true, 
+      count: labTests.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
       data: labTests 
     });
   } catch (error) {
@@ -21,6 +67,161 @@ export const getLabTests = async (req, res) => {
   }
 };
 
+// @desc    Get open lab work for technicians, STAT orders first then oldest first
+// @route   GET /api/lab-tests/worklist
+// @access  Private (Lab Technician)
+export const getLabWorklist = async (req, res) => {
+  try {
+    const { status, category, priority, minAgeHours, maxAgeHours } = req.query;
+
+    const match = {
+      status: { $in: status ? status.split(',') : OPEN_STATUSES }
+    };
+    if (category) match.category = { $in: category.split(',') };
+    if (priority) match.priority = { $in: priority.split(',') };
+    if (minAgeHours || maxAgeHours) {
+      match.createdAt = {};
+      if (minAgeHours) match.createdAt.$lte = new Date(Date.now() - parseFloat(minAgeHours) * 60 * MINUTE_MS);
+      if (maxAgeHours) match.createdAt.$gte = new Date(Date.now() - parseFloat(maxAgeHours) * 60 * MINUTE_MS);
+    }
+
+    const worklist = await LabTest.aggregate([
+      { $match: match },
+      {
+        $addFields: {
+          priorityRank: {
+            $switch: {
+              branches: [
+                { case: { $eq: ['$priority', 'STAT'] }, then: 0 },
+                { case: { $eq: ['$priority', 'Urgent'] }, then: 1 }
+              ],
+              default: 2
+            }
+          },
+          ageMinutes: {
+            $floor: { $divide: [{ $subtract: ['$$NOW', '$createdAt'] }, MINUTE_MS] }
+          }
+        }
+      },
+      { $sort: { priorityRank: 1, createdAt: 1 } },
+      { $limit: 500 },
+      { $project: { resultValues: 0, specimenEvents: 0 } }
+    ]);
+
+    await LabTest.populate(worklist, [
+      { path: 'patient', select: 'patientId firstName lastName dateOfBirth gender' },
+      { path: 'orderedBy', select: 'firstName lastName' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: worklist.length,
+      data: worklist
+    });
+  } catch (error) {
+    logger.error('Get lab worklist error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Turnaround times (order -> collection -> result) per test and per technician
+// @route   GET /api/lab-tests/reports/turnaround
+// @access  Private (Admin, Lab Technician)
+export const getTurnaroundReport = async (req, res) => {
+  try {
+    const { startDate, endDate, category } = req.query;
+
+    // Default to the last 30 days
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * 24 * 60 * MINUTE_MS);
+
+    const match = {
+      status: 'Completed',
+      completedAt: { $gte: start, $lte: end }
+    };
+    if (category) match.category = category;
+
+    const minutesBetween = (from, to) => ({
+      $cond: [
+        { $and: [{ $ifNull: [from, false] }, { $ifNull: [to, false] }] },
+        { $divide: [{ $subtract: [to, from] }, MINUTE_MS] },
+        null
+      ]
+    });
+
+    const summarise = {
+      count: { $sum: 1 },
+      avgOrderToCollection: { $avg: '$orderToCollection' },
+      avgCollectionToResult: { $avg: '$collectionToResult' },
+      avgOrderToResult: { $avg: '$orderToResult' },
+      maxOrderToResult: { $max: '$orderToResult' }
+    };
+
+    const [report] = await LabTest.aggregate([
+      { $match: match },
+      {
+        $project: {
+          testName: 1,
+          resultedBy: 1,
+          orderToCollection: minutesBetween('$createdAt', '$specimen.collectedAt'),
+          collectionToResult: minutesBetween('$specimen.collectedAt', '$completedAt'),
+          orderToResult: minutesBetween('$createdAt', '$completedAt')
+        }
+      },
+      {
+        $facet: {
+          overall: [{ $group: { _id: null, ...summarise } }],
+          byTest: [
+            { $group: { _id: '$testName', ...summarise } },
+            { $sort: { avgOrderToResult: -1 } }
+          ],
+          byTechnician: [
+            { $group: { _id: '$resultedBy', ...summarise } },
+            {
+              $lookup: {
+                from: 'users',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'technician'
+              }
+            },
+            { $unwind: { path: '$technician', preserveNullAndEmptyArrays: true } },
+            {
+              $addFields: {
+                technician: {
+                  firstName: '$technician.firstName',
+                  lastName: '$technician.lastName'
+                }
+              }
+            },
+            { $sort: { avgOrderToResult: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        period: { startDate: start, endDate: end },
+        unit: 'minutes',
+        overall: report.overall[0] || null,
+        byTest: report.byTest,
+        byTechnician: report.byTechnician
+      }
+    });
+  } catch (error) {
+    logger.error('Get lab turnaround report error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get single lab test
 // @route   GET /api/lab-tests/:id
 // @access  Private
@@ -57,7 +258,31 @@ export const createLabTest = async (req, res) => {
     const visit = req.visit;
     const hasInsurance = req.hasInsurance;
     
-    // Look up the service price
+    // Resolve the catalogue entry so results can be entered per parameter later
+    let catalogItem = null;
+    if (orderData.catalogItem) {
+      catalogItem = await LabTestCatalog.findById(orderData.catalogItem);
+    } else if (orderData.testCode || orderData.testName) {
+      catalogItem = await LabTestCatalog.findOne({
+        isActive: true,
+        ...(orderData.testCode
+          ? { code: orderData.testCode.toUpperCase() }
+          : { name: orderData.testName })
+      });
+    }
+
+    if (orderData.catalogItem && !catalogItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lab catalogue item not found'
+      });
+    }
+
+    if (catalogItem && !orderData.testName) {
+      orderData.testName = catalogItem.name;
+    }
+
+    // Look up the service price for the patient's payer
     let servicePrice = 0;
     let service = null;
     
@@ -68,7 +293,12 @@ export const createLabTest = async (req, res) => {
       });
       
       if (service) {
-        servicePrice = service.price;
+        const { price } = await pricingService.resolvePrice({
+          itemType: 'Service',
+          item: service,
+          patient: visit?.patient || patient
+        });
+        servicePrice = price || 0;
       } else {
         logger.warn(`Service price not found for lab test: ${orderData.testName}`);
       }
@@ -79,6 +309,10 @@ export const createLabTest = async (req, res) => {
     // Create the lab test
     const labTest = await LabTest.create({
       testName: orderData.testName,
+      catalogItem: catalogItem?._id,
+      // Free-text orders take the category the clinician gave, so worklist filters still find them
+      category: catalogItem?.category || orderData.category || req.body.category || 'Other',
+      priority: orderData.priority,
       notes: orderData.notes,
       patient,
       visit: visitId,
@@ -129,12 +363,8 @@ export const createLabTest = async (req, res) => {
 // @access  Private (Lab Technician)
 export const updateLabTest = async (req, res) => {
   try {
-    const { results, status } = req.body;
-    const labTest = await LabTest.findByIdAndUpdate(
-      req.params.id,
-      { results, status, completedAt: Date.now() },
-      { new: true, runValidators: true }
-    );
+    const { results, status, resultValues } = req.body;
+    const labTest = await LabTest.findById(req.params.id).populate('patient');
 
     if (!labTest) {
       return res.status(404).json({ 
@@ -143,6 +373,63 @@ export const updateLabTest = async (req, res) => {
       });
     }
 
+    // Structured results are flagged against the catalogue's reference ranges
+    if (resultValues) {
+      if (!Array.isArray(resultValues)) {
+        return res.status(400).json({
+          success: false,
+          message: 'resultValues must be an array of { parameter, value }'
+        });
+      }
+
+      const catalogItem = labTest.catalogItem
+        ? await LabTestCatalog.findById(labTest.catalogItem)
+        : await LabTestCatalog.findOne({ name: labTest.testName });
+
+      if (!catalogItem) {
+        return res.status(400).json({
+          success: false,
+          message: `No catalogue entry found for ${labTest.testName}; enter results as free text`
+        });
+      }
+
+      labTest.catalogItem = catalogItem._id;
+      labTest.resultValues = catalogItem.evaluateResults(resultValues, labTest.patient);
+    }
+
+    // Specimen states are moved through their own endpoints
+    if (status && !['Completed', 'Cancelled'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status '${status}' is set through the specimen endpoints (collect, receive, start, reject)`
+      });
+    }
+
+    // Re-sending Completed just amends the results
+    if (status && status !== labTest.status && !labTest.canTransitionTo(status)) {
+      return res.status(400).json({
+        success: false,
+        message: status === 'Completed'
+          ? `Cannot complete a lab test that is ${labTest.status}; the specimen must be received first`
+          : `Cannot cancel a lab test that is ${labTest.status}`
+      });
+    }
+
+    if (results !== undefined) labTest.results = results;
+    if (status) labTest.status = status;
+
+    if (labTest.status === 'Completed' && !labTest.completedAt) {
+      labTest.completedAt = Date.now();
+      labTest.resultedBy = req.user.id;
+    }
+
+    await labTest.save();
+
+    // Critical values go straight to the ordering doctor once the results are final
+    if (labTest.status === 'Completed' && labTest.hasCriticalResults) {
+      await labAlertService.raiseCriticalAlert(labTest);
+    }
+
     res.status(200).json({ 
       success: true, 
       data: labTest 
@@ -153,4 +440,260 @@ export const updateLabTest = async (req, res) => {
       error: error.message 
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Acknowledge critical results on a lab test
+// @route   PUT /api/lab-tests/:id/acknowledge-critical
+// @access  Private (Doctor, Admin)
+export const acknowledgeCriticalResult = async (req, res) => {
+  try {
+    const labTest = await LabTest.findById(req.params.id);
+
+    if (!labTest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lab test not found'
+      });
+    }
+
+    if (!labTest.criticalAlert?.raisedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This lab test has no critical result alert'
+      });
+    }
+
+    if (labTest.criticalAlert.acknowledgedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Critical result has already been acknowledged'
+      });
+    }
+
+    await labAlertService.acknowledge(labTest, req.user.id, req.body.note);
+
+    logger.info(`Critical result on lab test ${labTest._id} acknowledged by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: labTest
+    });
+  } catch (error) {
+    logger.error('Acknowledge critical result error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const loadForTransition = async (req, res, status) => {
+  const labTest = await LabTest.findById(req.params.id);
+
+  if (!labTest) {
+    res.status(404).json({
+      success: false,
+      message: 'Lab test not found'
+    });
+    return null;
+  }
+
+  if (!labTest.canTransitionTo(status)) {
+    res.status(400).json({
+      success: false,
+      message: `Cannot mark specimen as ${status} while test is ${labTest.status}`
+    });
+    return null;
+  }
+
+  return labTest;
+};
+
+// @desc    Record specimen collection and assign an accession number
+// @route   PUT /api/lab-tests/:id/collect
+// @access  Private (Lab Technician, Nurse)
+export const collectSpecimen = async (req, res) => {
+  try {
+    const labTest = await loadForTransition(req, res, 'Collected');
+    if (!labTest) return;
+
+    const { sampleType, collectedAt, notes } = req.body;
+
+    let defaultSampleType;
+    if (!sampleType && labTest.catalogItem) {
+      const catalogItem = await LabTestCatalog.findById(labTest.catalogItem);
+      defaultSampleType = catalogItem?.specimenType;
+    }
+
+    if (!sampleType && !defaultSampleType) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sample type is required'
+      });
+    }
+
+    // A recollection after rejection gets a fresh accession number
+    labTest.accessionNumber = await LabTest.generateAccessionNumber();
+    labTest.specimen = {
+      sampleType: sampleType || defaultSampleType,
+      collectedBy: req.user.id,
+      collectedAt: collectedAt ? new Date(collectedAt) : new Date()
+    };
+    labTest.recordSpecimenEvent('Collected', req.user.id, { notes });
+
+    await labTest.save();
+
+    logger.info(`Specimen ${labTest.accessionNumber} collected for lab test ${labTest._id}`);
+
+    res.status(200).json({
+      success: true,
+      data: labTest
+    });
+  } catch (error) {
+    logger.error('Collect specimen error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark specimen as received in the lab
+// @route   PUT /api/lab-tests/:id/receive
+// @access  Private (Lab Technician)
+export const receiveSpecimen = async (req, res) => {
+  try {
+    const labTest = await loadForTransition(req, res, 'Received');
+    if (!labTest) return;
+
+    labTest.specimen.receivedBy = req.user.id;
+    labTest.specimen.receivedAt = new Date();
+    labTest.recordSpecimenEvent('Received', req.user.id, { notes: req.body.notes });
+
+    await labTest.save();
+
+    res.status(200).json({
+      success: true,
+      data: labTest
+    });
+  } catch (error) {
+    logger.error('Receive specimen error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Start processing a received specimen
+// @route   PUT /api/lab-tests/:id/start
+// @access  Private (Lab Technician)
+export const startProcessing = async (req, res) => {
+  try {
+    const labTest = await loadForTransition(req, res, 'In Process');
+    if (!labTest) return;
+
+    labTest.specimen.processingStartedAt = new Date();
+    labTest.recordSpecimenEvent('In Process', req.user.id, { notes: req.body.notes });
+
+    await labTest.save();
+
+    res.status(200).json({
+      success: true,
+      data: labTest
+    });
+  } catch (error) {
+    logger.error('Start lab processing error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reject a specimen (e.g. haemolysed, insufficient); the test can then be recollected
+// @route   PUT /api/lab-tests/:id/reject
+// @access  Private (Lab Technician)
+export const rejectSpecimen = async (req, res) => {
+  try {
+    const { reason, notes } = req.body;
+
+    if (!REJECTION_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Rejection reason must be one of: ${REJECTION_REASONS.join(', ')}`
+      });
+    }
+
+    const labTest = await loadForTransition(req, res, 'Rejected');
+    if (!labTest) return;
+
+    labTest.specimen.rejectedBy = req.user.id;
+    labTest.specimen.rejectedAt = new Date();
+    labTest.specimen.rejectionReason = reason;
+    labTest.specimen.rejectionNotes = notes;
+    labTest.recordSpecimenEvent('Rejected', req.user.id, { reason, notes });
+
+    await labTest.save();
+
+    logger.info(`Specimen ${labTest.accessionNumber} rejected (${reason})`);
+
+    res.status(200).json({
+      success: true,
+      data: labTest
+    });
+  } catch (error) {
+    logger.error('Reject specimen error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get printable label data for a collected specimen
+// @route   GET /api/lab-tests/:id/label
+// @access  Private
+export const getSpecimenLabel = async (req, res) => {
+  try {
+    const labTest = await LabTest.findById(req.params.id)
+      .populate('patient', 'patientId firstName lastName dateOfBirth gender')
+      .populate('catalogItem', 'code name');
+
+    if (!labTest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lab test not found'
+      });
+    }
+
+    if (!labTest.accessionNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Specimen has not been collected yet'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        accessionNumber: labTest.accessionNumber,
+        barcode: labTest.accessionNumber,
+        patientId: labTest.patient?.patientId,
+        patientName: labTest.patient ? `${labTest.patient.lastName}, ${labTest.patient.firstName}` : undefined,
+        dateOfBirth: labTest.patient?.dateOfBirth,
+        sex: labTest.patient?.gender,
+        testCode: labTest.catalogItem?.code || labTest.code,
+        testName: labTest.testName,
+        sampleType: labTest.specimen?.sampleType,
+        collectedAt: labTest.specimen?.collectedAt
+      }
+    });
+  } catch (error) {
+    logger.error('Get specimen label error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
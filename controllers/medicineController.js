@@ -1,4 +1,5 @@
 import { Medicine } from '../models/Medicine.js';
+import pricingService from '../services/pricingService.js';
 import logger from '../utils/logger.js';
 
 // @desc    Get all medicines
@@ -87,7 +88,9 @@ export const createMedicine = async (req, res) => {
       category,
       sellingPrice,
       reorderLevel,
-      prices
+      prices,
+      allergenGroups,
+      controlledSchedule
     } = req.body;
     
     // Validate required fields
@@ -121,20 +124,25 @@ export const createMedicine = async (req, res) => {
       category: category || 'Other',
       sellingPrice: parseFloat(sellingPrice),
       reorderLevel: parseInt(reorderLevel) || 10,
-      prices: prices || {
-        BRITAM: 0,
-        NSSF: 0,
-        NHIF: 0,
-        ASSEMBLE: 0,
-        Pharmacy: parseFloat(sellingPrice),
-        HospitalShop: 0
-      }
+      allergenGroups: allergenGroups || [],
+      controlledSchedule: controlledSchedule || undefined
+    });
+
+    // Payer prices, e.g. { NHIF: 1200 }; anything not listed is charged at sellingPrice
+    const { unknownCodes } = await pricingService.setPricesByCode({
+      itemType: 'Medicine',
+      item: medicine._id,
+      prices,
+      userId: req.user.id
     });
     
     res.status(201).json({
       status: 'success',
       message: 'Medicine created successfully',
-      data: medicine
+      data: medicine,
+      ...(unknownCodes.length > 0 && {
+        warning: `No price list for: ${unknownCodes.join(', ')}`
+      })
     });
   } catch (error) {
     logger.error('Create medicine error:', error);
@@ -146,9 +154,9 @@ export const createMedicine = async (req, res) => {
       });
     }
     
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       status: 'error',
-      message: 'Server error',
+      message: error.statusCode ? error.message : 'Server error',
       error: error.message
     });
   }
@@ -189,19 +197,31 @@ export const updateMedicine = async (req, res) => {
       }
     }
     
+    const { prices, ...updates } = req.body;
+
     medicine = await Medicine.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       {
         new: true,
         runValidators: true
       }
     );
+
+    const { unknownCodes } = await pricingService.setPricesByCode({
+      itemType: 'Medicine',
+      item: medicine._id,
+      prices,
+      userId: req.user.id
+    });
     
     res.status(200).json({
       status: 'success',
       message: 'Medicine updated successfully',
-      data: medicine
+      data: medicine,
+      ...(unknownCodes.length > 0 && {
+        warning: `No price list for: ${unknownCodes.join(', ')}`
+      })
     });
   } catch (error) {
     logger.error('Update medicine error:', error);
@@ -213,9 +233,9 @@ export const updateMedicine = async (req, res) => {
       });
     }
     
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       status: 'error',
-      message: 'Server error',
+      message: error.statusCode ? error.message : 'Server error',
       error: error.message
     });
   }
@@ -0,0 +1,138 @@
+import { MedicineReturn } from '../models/MedicineReturn.js';
+import medicineReturnService from '../services/medicineReturnService.js';
+import controlledDrugService from '../services/controlledDrugService.js';
+import logger from '../utils/logger.js';
+
+const populateReturn = (query) => query
+  .populate('patient', 'firstName lastName patientId')
+  .populate('medicine', 'name strength type')
+  .populate('processedBy', 'firstName lastName')
+  .populate('witnessedBy', 'firstName lastName');
+
+// @desc    Get medicine returns
+// @route   GET /api/medicine-returns
+// @access  Private (Admin, Pharmacist)
+export const getReturns = async (req, res) => {
+  try {
+    const { patient, sourceType, source, disposition, startDate, endDate } = req.query;
+
+    const filter = {};
+    if (patient) filter.patient = patient;
+    if (sourceType) filter.sourceType = sourceType;
+    if (source) filter.source = source;
+    if (disposition) filter.disposition = disposition;
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    const returns = await populateReturn(MedicineReturn.find(filter)).sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: returns.length,
+      data: returns
+    });
+  } catch (error) {
+    logger.error('Get medicine returns error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    What can still be returned from an issue, batch by batch
+// @route   GET /api/medicine-returns/returnable?sourceType=&source=&medicine=
+// @access  Private (Admin, Pharmacist)
+export const getReturnable = async (req, res) => {
+  try {
+    const { sourceType, source, medicine } = req.query;
+    const { issue, batches } = await medicineReturnService.getReturnable(sourceType, source, medicine);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        medicine: issue.medicine,
+        medicineName: issue.medicineName,
+        unitPrice: issue.unitPrice,
+        batches
+      }
+    });
+  } catch (error) {
+    logger.error('Get returnable quantities error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get single medicine return
+// @route   GET /api/medicine-returns/:id
+// @access  Private (Admin, Pharmacist)
+export const getReturn = async (req, res) => {
+  try {
+    const record = await populateReturn(MedicineReturn.findById(req.params.id));
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Medicine return not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: record
+    });
+  } catch (error) {
+    logger.error('Get medicine return error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Take back dispensed medicine. Body: sourceType (Dispensing | DirectDispensing),
+//          source, medicine (sales with several lines), batches [{ batch, quantity }],
+//          disposition (restock | destroy), reason, and settlement { type: visit_credit |
+//          refund, method, reference }. Controlled drugs need a witness.
+// @route   POST /api/medicine-returns
+// @access  Private (Admin, Pharmacist)
+export const createReturn = async (req, res) => {
+  try {
+    const { sourceType, source, medicine, batches, disposition, reason, settlement, notes, witness } = req.body;
+
+    const witnessedBy = await controlledDrugService.resolveWitness(witness, req.user.id);
+
+    const record = await medicineReturnService.createReturn({
+      sourceType,
+      source,
+      medicine,
+      batches,
+      disposition,
+      reason,
+      settlement,
+      notes,
+      userId: req.user.id,
+      witnessedBy
+    });
+
+    logger.info(`Return ${record.returnNumber}: ${record.quantity} x ${record.medicineName} ` +
+      `${record.disposition === 'restock' ? 'restocked' : 'destroyed'}, ${record.settlement.type} ${record.creditAmount}`);
+
+    res.status(201).json({
+      success: true,
+      data: await populateReturn(MedicineReturn.findById(record._id))
+    });
+  } catch (error) {
+    logger.error('Create medicine return error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
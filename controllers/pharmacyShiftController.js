@@ -0,0 +1,230 @@
+import { PharmacyShift } from '../models/PharmacyShift.js';
+import DirectDispensing from '../models/DirectDispensing.js';
+import { MedicineReturn } from '../models/MedicineReturn.js';
+import { StockLocation } from '../models/StockLocation.js';
+import logger from '../utils/logger.js';
+
+const populateShift = (query) => query
+  .populate('pharmacist', 'firstName lastName')
+  .populate('closedBy', 'firstName lastName');
+
+// @desc    Get pharmacy shifts; pharmacists see their own
+// @route   GET /api/pharmacy-shifts
+// @access  Private (Admin, Pharmacist)
+export const getShifts = async (req, res) => {
+  try {
+    const { status, pharmacist, startDate, endDate } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (req.user.role !== 'admin') {
+      filter.pharmacist = req.user.id;
+    } else if (pharmacist) {
+      filter.pharmacist = pharmacist;
+    }
+    if (startDate || endDate) {
+      filter.openedAt = {};
+      if (startDate) filter.openedAt.$gte = new Date(startDate);
+      if (endDate) filter.openedAt.$lte = new Date(endDate);
+    }
+
+    const shifts = await populateShift(PharmacyShift.find(filter)).sort('-openedAt');
+
+    res.status(200).json({
+      success: true,
+      count: shifts.length,
+      data: shifts
+    });
+  } catch (error) {
+    logger.error('Get pharmacy shifts error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    The signed-in pharmacist's open shift, with running totals
+// @route   GET /api/pharmacy-shifts/current
+// @access  Private (Admin, Pharmacist)
+export const getCurrentShift = async (req, res) => {
+  try {
+    const shift = await populateShift(PharmacyShift.findOne({ pharmacist: req.user.id, status: 'open' }));
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open shift'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: shift
+    });
+  } catch (error) {
+    logger.error('Get current shift error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get one shift with its sales and refunds
+// @route   GET /api/pharmacy-shifts/:id
+// @access  Private (Admin, Pharmacist)
+export const getShift = async (req, res) => {
+  try {
+    const shift = await populateShift(PharmacyShift.findById(req.params.id));
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && shift.pharmacist._id.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own shifts'
+      });
+    }
+
+    const sales = await DirectDispensing.find({ shift: shift._id })
+      .select('receiptNumber clientName totalCost discount.amount payment.method payment.reference date')
+      .sort('date');
+    const refunds = await MedicineReturn.find({ 'settlement.shift': shift._id })
+      .select('returnNumber medicineName quantity creditAmount settlement.method settlement.reference createdAt')
+      .sort('createdAt');
+
+    res.status(200).json({
+      success: true,
+      data: { shift, sales, refunds }
+    });
+  } catch (error) {
+    logger.error('Get shift error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Open a till with a cash float
+// @route   POST /api/pharmacy-shifts
+// @access  Private (Admin, Pharmacist)
+export const openShift = async (req, res) => {
+  try {
+    const { openingFloat, location, notes } = req.body;
+
+    const existing = await PharmacyShift.findOne({ pharmacist: req.user.id, status: 'open' });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `Shift ${existing.shiftNumber} is still open; cash it up first`
+      });
+    }
+
+    const float = openingFloat !== undefined ? Number(openingFloat) : 0;
+    if (!(float >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Opening float must be zero or more'
+      });
+    }
+
+    const shift = await PharmacyShift.create({
+      shiftNumber: await PharmacyShift.generateShiftNumber(),
+      pharmacist: req.user.id,
+      location: location ? await StockLocation.resolveCode(location) : undefined,
+      openingFloat: float,
+      totals: { sales: 0, discounts: 0, cash: 0, mobileMoney: 0, salesCount: 0, refunds: 0, cashRefunds: 0 },
+      notes
+    });
+
+    res.status(201).json({
+      success: true,
+      data: shift
+    });
+  } catch (error) {
+    logger.error('Open shift error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.code === 11000 ? 'You already have an open shift' : error.message
+    });
+  }
+};
+
+// @desc    Cash-up: record the cash counted in the till and close the shift. Expected cash
+//          is the float plus cash sales less cash refunds; the difference is the variance.
+// @route   PUT /api/pharmacy-shifts/:id/close
+// @access  Private (Admin, Pharmacist)
+export const closeShift = async (req, res) => {
+  try {
+    const { countedCash, notes } = req.body;
+
+    const counted = Number(countedCash);
+    if (countedCash === undefined || countedCash === '' || !(counted >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please enter the cash counted in the till'
+      });
+    }
+
+    const shift = await PharmacyShift.findById(req.params.id);
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && shift.pharmacist.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the shift owner or an admin can cash up a shift'
+      });
+    }
+
+    // Closing is conditional so a sale committing at the same moment either lands
+    // before the totals are read or is refused
+    const closed = await PharmacyShift.findOneAndUpdate(
+      { _id: shift._id, status: 'open' },
+      { status: 'closed', closedAt: new Date(), closedBy: req.user.id },
+      { new: true }
+    );
+    if (!closed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Shift is already closed'
+      });
+    }
+
+    const totals = closed.totals || {};
+    const expectedCash = Math.round(
+      ((closed.openingFloat || 0) + (totals.cash || 0) - (totals.cashRefunds || 0)) * 100
+    ) / 100;
+    closed.countedCash = counted;
+    closed.expectedCash = expectedCash;
+    closed.variance = Math.round((counted - expectedCash) * 100) / 100;
+    if (notes) closed.notes = [closed.notes, notes].filter(Boolean).join('\n');
+    await closed.save();
+
+    if (closed.variance !== 0) {
+      logger.warn(`Shift ${closed.shiftNumber} cashed up with variance ${closed.variance}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: closed
+    });
+  } catch (error) {
+    logger.error('Close shift error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,301 @@
+import mongoose from 'mongoose';
+import PriceList from '../models/PriceList.js';
+import PriceListItem, { PRICED_ITEM_TYPES } from '../models/PriceListItem.js';
+import InsuranceProvider from '../models/InsuranceProvider.js';
+import pricingService from '../services/pricingService.js';
+import { httpError } from '../utils/httpError.js';
+import logger from '../utils/logger.js';
+
+const PRICE_LIST_FIELDS = ['name', 'code', 'payerType', 'insuranceProvider', 'isDefault', 'isActive', 'notes'];
+
+const pickFields = (body) => {
+  const data = {};
+  PRICE_LIST_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// An insurer's list must point at a provider that exists; only one list can be the default
+const prepareFields = async (data, currentId) => {
+  if (data.insuranceProvider) {
+    const provider = await InsuranceProvider.findById(data.insuranceProvider).select('_id');
+    if (!provider) throw httpError(400, 'Insurance provider not found');
+    data.payerType = data.payerType || 'insurance';
+  } else if (data.insuranceProvider === null || data.insuranceProvider === '') {
+    data.insuranceProvider = undefined;
+  }
+
+  if (data.isDefault === true) {
+    await PriceList.updateMany({ isDefault: true, _id: { $ne: currentId } }, { isDefault: false });
+  }
+  return data;
+};
+
+const duplicateMessage = (error) =>
+  error.keyPattern?.insuranceProvider
+    ? 'This insurance provider already has a price list'
+    : 'A price list with this code already exists';
+
+// @desc    Get price lists
+// @route   GET /api/price-lists
+// @access  Private
+export const getPriceLists = async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    if (req.query.payerType) filter.payerType = req.query.payerType;
+
+    const priceLists = await PriceList.find(filter)
+      .populate('insuranceProvider', 'name code')
+      .sort({ isDefault: -1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: priceLists.length,
+      data: priceLists
+    });
+  } catch (error) {
+    logger.error('Get price lists error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get single price list
+// @route   GET /api/price-lists/:id
+// @access  Private
+export const getPriceList = async (req, res) => {
+  try {
+    const priceList = await PriceList.findById(req.params.id).populate('insuranceProvider', 'name code');
+
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: priceList
+    });
+  } catch (error) {
+    logger.error('Get price list error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create a price list for a payer
+// @route   POST /api/price-lists
+// @access  Private (Admin)
+export const createPriceList = async (req, res) => {
+  try {
+    const data = await prepareFields(pickFields(req.body));
+    const priceList = await PriceList.create(data);
+
+    res.status(201).json({
+      success: true,
+      data: priceList
+    });
+  } catch (error) {
+    logger.error('Create price list error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.code === 11000 ? duplicateMessage(error) : error.message
+    });
+  }
+};
+
+// @desc    Update a price list. Deactivate rather than delete; charges refer to it.
+// @route   PUT /api/price-lists/:id
+// @access  Private (Admin)
+export const updatePriceList = async (req, res) => {
+  try {
+    const priceList = await PriceList.findById(req.params.id);
+
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+
+    const data = await prepareFields(pickFields(req.body), priceList._id);
+    Object.assign(priceList, data);
+    await priceList.save();
+
+    res.status(200).json({
+      success: true,
+      data: priceList
+    });
+  } catch (error) {
+    logger.error('Update price list error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.code === 11000 ? duplicateMessage(error) : error.message
+    });
+  }
+};
+
+// @desc    Prices on a list in force on a date (default today)
+// @route   GET /api/price-lists/:id/items
+// @access  Private
+export const getPriceListItems = async (req, res) => {
+  try {
+    const { itemType, date } = req.query;
+
+    const filter = {
+      priceList: req.params.id,
+      ...PriceListItem.effectiveFilter(date ? new Date(date) : new Date())
+    };
+    if (itemType) filter.itemType = itemType;
+
+    const items = await PriceListItem.find(filter)
+      .populate('item', 'name strength type category')
+      .sort({ itemType: 1, effectiveFrom: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      data: items
+    });
+  } catch (error) {
+    logger.error('Get price list items error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Price history of one item on a list
+// @route   GET /api/price-lists/:id/items/history?itemType=&item=
+// @access  Private
+export const getPriceHistory = async (req, res) => {
+  try {
+    const { itemType, item } = req.query;
+
+    if (!PRICED_ITEM_TYPES.includes(itemType) || !mongoose.Types.ObjectId.isValid(item)) {
+      return res.status(400).json({
+        success: false,
+        message: `itemType (${PRICED_ITEM_TYPES.join(', ')}) and a valid item are required`
+      });
+    }
+
+    const history = await PriceListItem.find({ priceList: req.params.id, itemType, item })
+      .populate('createdBy', 'firstName lastName')
+      .sort({ effectiveFrom: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history
+    });
+  } catch (error) {
+    logger.error('Get price history error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Set prices on a list. Body: `items: [{ itemType, item, price, effectiveFrom, notes }]`;
+//          each price runs from effectiveFrom (default now) and closes the one it replaces.
+// @route   PUT /api/price-lists/:id/items
+// @access  Private (Admin, Pharmacist)
+export const setPriceListItems = async (req, res) => {
+  try {
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please add at least one price'
+      });
+    }
+
+    const priceList = await PriceList.findById(req.params.id);
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+
+    const invalid = items.find(line => !PRICED_ITEM_TYPES.includes(line.itemType));
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: `itemType must be one of ${PRICED_ITEM_TYPES.join(', ')}`
+      });
+    }
+
+    const entries = [];
+    for (const line of items) {
+      entries.push(await pricingService.setPrice({
+        priceList: priceList._id,
+        itemType: line.itemType,
+        item: line.item,
+        price: line.price,
+        effectiveFrom: line.effectiveFrom,
+        notes: line.notes,
+        userId: req.user.id
+      }));
+    }
+
+    logger.info(`${entries.length} price(s) set on ${priceList.code} by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries
+    });
+  } catch (error) {
+    logger.error('Set price list items error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Price a patient (or an explicit list) would be charged for an item
+// @route   GET /api/price-lists/resolve?itemType=&item=&patient=&priceList=&date=
+// @access  Private
+export const resolvePrice = async (req, res) => {
+  try {
+    const { itemType, item, patient, priceList, date } = req.query;
+
+    if (!PRICED_ITEM_TYPES.includes(itemType) || !mongoose.Types.ObjectId.isValid(item)) {
+      return res.status(400).json({
+        success: false,
+        message: `itemType (${PRICED_ITEM_TYPES.join(', ')}) and a valid item are required`
+      });
+    }
+
+    const resolved = await pricingService.resolvePrice({
+      itemType,
+      item,
+      patient,
+      priceList,
+      date: date ? new Date(date) : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      data: resolved
+    });
+  } catch (error) {
+    logger.error('Resolve price error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
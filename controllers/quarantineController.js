@@ -0,0 +1,319 @@
+import { QuarantineRecord } from '../models/QuarantineRecord.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import { MedicineBatch } from '../models/MedicineBatch.js';
+import { StockMovement } from '../models/StockMovement.js';
+import quarantineService from '../services/quarantineService.js';
+import controlledDrugService from '../services/controlledDrugService.js';
+import stockLedger from '../services/stockLedger.js';
+import logger from '../utils/logger.js';
+
+// @desc    Get quarantine records
+// @route   GET /api/quarantine
+// @access  Private
+export const getQuarantineRecords = async (req, res) => {
+  try {
+    const { status, reason, location } = req.query;
+
+    const filter = {};
+    if (status) filter.status = { $in: status.split(',') };
+    if (reason) filter.reason = reason;
+    if (location) filter.location = location.toUpperCase();
+
+    const records = await QuarantineRecord.find(filter)
+      .populate('medicine', 'name type strength')
+      .populate('quarantinedBy', 'firstName lastName')
+      .populate('disposition.requestedBy', 'firstName lastName')
+      .populate('disposition.approvedBy', 'firstName lastName')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: records.length,
+      data: records
+    });
+  } catch (error) {
+    logger.error('Get quarantine records error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Quarantine stock from a batch (damaged, recalled, expired)
+// @route   POST /api/quarantine
+// @access  Private (Admin, Pharmacist)
+export const createQuarantineRecord = async (req, res) => {
+  try {
+    const { batch, quantity, reason, notes } = req.body;
+
+    if (!['expired', 'damaged', 'recalled', 'other'].includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason must be expired, damaged, recalled or other'
+      });
+    }
+
+    const record = await quarantineService.quarantine({
+      batchId: batch,
+      quantity,
+      reason,
+      notes,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: record
+    });
+  } catch (error) {
+    logger.error('Create quarantine record error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Propose write-off or return to supplier; needs approval before it's final
+// @route   PUT /api/quarantine/:id/disposition
+// @access  Private (Admin, Pharmacist)
+export const requestDisposition = async (req, res) => {
+  try {
+    const { type, supplierName, notes } = req.body;
+
+    if (!['write_off', 'return_to_supplier'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Disposition must be write_off or return_to_supplier'
+      });
+    }
+
+    const record = await QuarantineRecord.findById(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quarantine record not found'
+      });
+    }
+
+    if (record.status !== 'quarantined') {
+      return res.status(400).json({
+        success: false,
+        message: `Record is already ${record.status.replace('_', ' ')}`
+      });
+    }
+
+    // Default the supplier to whoever the batch came from
+    let supplier = supplierName;
+    if (type === 'return_to_supplier' && !supplier) {
+      const batch = await MedicineBatch.findById(record.batch).select('purchaseOrder');
+      const purchaseOrder = batch && await PurchaseOrder.findById(batch.purchaseOrder)
+        .select('supplier')
+        .populate('supplier', 'name');
+      supplier = purchaseOrder?.supplier?.name;
+    }
+
+    record.status = 'pending_approval';
+    record.disposition = {
+      type,
+      supplierName: type === 'return_to_supplier' ? supplier : undefined,
+      notes,
+      requestedBy: req.user.id,
+      requestedAt: new Date()
+    };
+    await record.save();
+
+    res.status(200).json({
+      success: true,
+      data: record
+    });
+  } catch (error) {
+    logger.error('Request disposition error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Approve a proposed disposition. Destroying or returning a controlled drug
+//          takes it off the register and needs a witness.
+// @route   PUT /api/quarantine/:id/approve
+// @access  Private (Admin)
+export const approveDisposition = async (req, res) => {
+  try {
+    const record = await QuarantineRecord.findById(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quarantine record not found'
+      });
+    }
+
+    if (record.status !== 'pending_approval') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only records pending approval can be approved'
+      });
+    }
+
+    if (record.disposition.requestedBy?.toString() === req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'A disposition must be approved by someone other than the requester'
+      });
+    }
+
+    const witnessedBy = await controlledDrugService.resolveWitness(req.body.witness, req.user.id);
+
+    record.status = record.disposition.type === 'write_off' ? 'written_off' : 'returned';
+    record.disposition.approvedBy = req.user.id;
+    record.disposition.approvedAt = new Date();
+    record.disposition.rejectionReason = undefined;
+
+    await stockLedger.withTransaction(async (session) => {
+      await record.save({ session });
+
+      if (await controlledDrugService.isControlled(record.medicine, session)) {
+        await controlledDrugService.record({
+          session,
+          medicine: record.medicine,
+          location: record.location,
+          entryType: record.status === 'written_off' ? 'destruction' : 'return_to_supplier',
+          quantity: record.quantity,
+          batch: record.batch,
+          batchNumber: record.batchNumber,
+          reason: `${record.quarantineNumber} ${record.status.replace('_', ' ')}`,
+          performedBy: req.user.id,
+          witnessedBy
+        });
+      }
+    });
+
+    logger.info(`Quarantine ${record.quarantineNumber} ${record.status} (value ${record.value}) approved by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: record
+    });
+  } catch (error) {
+    logger.error('Approve disposition error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Send a proposed disposition back to quarantine
+// @route   PUT /api/quarantine/:id/reject
+// @access  Private (Admin)
+export const rejectDisposition = async (req, res) => {
+  try {
+    const record = await QuarantineRecord.findById(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quarantine record not found'
+      });
+    }
+
+    if (record.status !== 'pending_approval') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only records pending approval can be rejected'
+      });
+    }
+
+    record.status = 'quarantined';
+    record.disposition.rejectionReason = req.body.reason;
+    await record.save();
+
+    res.status(200).json({
+      success: true,
+      data: record
+    });
+  } catch (error) {
+    logger.error('Reject disposition error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Value of stock written off or returned, by reason and medicine, plus transfer shortfalls
+// @route   GET /api/quarantine/reports/losses
+// @access  Private (Admin, Pharmacist)
+export const getLossReport = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const match = { status: { $in: ['written_off', 'returned'] } };
+    if (startDate || endDate) {
+      match['disposition.approvedAt'] = {};
+      if (startDate) match['disposition.approvedAt'].$gte = new Date(startDate);
+      if (endDate) match['disposition.approvedAt'].$lte = new Date(endDate);
+    }
+
+    const valueExpr = { $multiply: ['$quantity', { $ifNull: ['$unitCost', 0] }] };
+
+    const [report] = await QuarantineRecord.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          byDisposition: [
+            { $group: { _id: '$status', quantity: { $sum: '$quantity' }, value: { $sum: valueExpr }, records: { $sum: 1 } } }
+          ],
+          byReason: [
+            { $group: { _id: { reason: '$reason', status: '$status' }, quantity: { $sum: '$quantity' }, value: { $sum: valueExpr } } },
+            { $sort: { value: -1 } }
+          ],
+          byMedicine: [
+            { $group: { _id: '$medicine', quantity: { $sum: '$quantity' }, value: { $sum: valueExpr } } },
+            { $sort: { value: -1 } },
+            { $lookup: { from: 'medicines', localField: '_id', foreignField: '_id', as: 'medicine' } },
+            { $unwind: '$medicine' },
+            { $project: { medicine: { _id: 1, name: 1, strength: 1, type: 1 }, quantity: 1, value: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const totals = Object.fromEntries(report.byDisposition.map(row => [row._id, row]));
+
+    // Stock that went missing between locations never passes through quarantine
+    const transitMatch = { type: 'DAMAGED', transfer: { $ne: null } };
+    if (match['disposition.approvedAt']) transitMatch.createdAt = match['disposition.approvedAt'];
+    const [transit] = await StockMovement.aggregate([
+      { $match: transitMatch },
+      {
+        $group: {
+          _id: null,
+          quantity: { $sum: '$quantity' },
+          value: { $sum: { $multiply: ['$quantity', { $ifNull: ['$unitCost', 0] }] } }
+        }
+      }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        // Written-off stock is a loss; returns are expected back as supplier credit
+        writtenOffValue: totals.written_off?.value || 0,
+        returnedValue: totals.returned?.value || 0,
+        transitLoss: { quantity: transit?.quantity || 0, value: transit?.value || 0 },
+        byDisposition: report.byDisposition,
+        byReason: report.byReason,
+        byMedicine: report.byMedicine
+      }
+    });
+  } catch (error) {
+    logger.error('Get loss report error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -1,4 +1,6 @@
 import RadiologyRequest from '../models/RadiologyRequest.js';
+import ImagingModality from '../models/ImagingModality.js';
+import RadiologyReportTemplate from '../models/RadiologyReportTemplate.js';
 import logger from '../utils/logger.js';
 
 // @desc    Create a new radiology request
@@ -6,18 +8,33 @@ import logger from '../utils/logger.js';
 // @access  Private (Doctor)
 export const createRadiologyRequest = async (req, res) => {
   try {
-    const { orderData, patient } = req.body;
+    const { orderData, patient, visit } = req.body;
     if (!orderData || !patient) {
       return res.status(400).json({ 
         success: false, 
         message: 'Order data and patient information are required' 
     });
     }
+
+    let modality;
+    if (orderData.modality) {
+        modality = await ImagingModality.findById(orderData.modality);
+        if (!modality) {
+            return res.status(404).json({
+                success: false,
+                message: 'Modality not found'
+            });
+        }
+    }
+
     const request = await RadiologyRequest.create({
+        modality: modality?._id,
         bodyPart: orderData.bodyPart,
-        scanType: orderData.scanType,
+        scanType: orderData.scanType || modality?.modalityType,
         reason: orderData.reason,
+        priority: orderData.priority,
         patient,
+        visit: visit || req.visit?._id,
         orderedBy: req.user.id
     });
     res.status(201).json({ 
@@ -40,7 +57,8 @@ export const getRadiologyRequests = async (req, res) => {
     try {
         const requests = await RadiologyRequest.find()
             .populate('patient', 'firstName lastName')
-            .populate('orderedBy', 'firstName lastName');
+            .populate('orderedBy', 'firstName lastName')
+            .populate('modality', 'name code modalityType room');
         res.status(200).json({ 
             success: true, 
             data: requests 
@@ -54,19 +72,375 @@ export const getRadiologyRequests = async (req, res) => {
     }
 };
 
-// @desc    Update a radiology request with findings
+// @desc    Radiology worklist: STAT first, then by scheduled time / order time
+// @route   GET /api/radiology/worklist
+// @access  Private (Radiologist)
+export const getRadiologyWorklist = async (req, res) => {
+    try {
+        const { modality, date, status } = req.query;
+
+        const filter = {
+            status: { $in: status ? status.split(',') : ['Pending', 'Scheduled', 'In Progress', 'Preliminary'] }
+        };
+        if (modality) filter.modality = modality;
+        if (date) {
+            const start = new Date(`${date}T00:00:00`);
+            const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+            filter.scheduledStart = { $gte: start, $lt: end };
+        }
+
+        const requests = await RadiologyRequest.find(filter)
+            .populate('patient', 'patientId firstName lastName dateOfBirth gender')
+            .populate('orderedBy', 'firstName lastName')
+            .populate('modality', 'name code modalityType room')
+            .sort({ scheduledStart: 1, createdAt: 1 });
+
+        const priorityRank = { STAT: 0, Urgent: 1, Routine: 2 };
+        const data = requests.sort((a, b) => priorityRank[a.priority] - priorityRank[b.priority]);
+
+        res.status(200).json({
+            success: true,
+            count: data.length,
+            data
+        });
+    } catch (error) {
+        logger.error('Get radiology worklist error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+// @desc    Book a radiology request into a modality slot
+// @route   PUT /api/radiology/:id/schedule
+// @access  Private (Radiologist, Receptionist)
+export const scheduleRadiologyRequest = async (req, res) => {
+    try {
+        const { modality: modalityId, scheduledStart } = req.body;
+
+        if (!modalityId || !scheduledStart) {
+            return res.status(400).json({
+                success: false,
+                message: 'Modality and scheduled start are required'
+            });
+        }
+
+        const request = await RadiologyRequest.findById(req.params.id);
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Request not found'
+            });
+        }
+
+        if (!['Pending', 'Scheduled'].includes(request.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot schedule a request that is ${request.status}`
+            });
+        }
+
+        const modality = await ImagingModality.findById(modalityId);
+        if (!modality || !modality.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Modality not found or inactive'
+            });
+        }
+
+        const start = new Date(scheduledStart);
+        if (Number.isNaN(start.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid scheduled start'
+            });
+        }
+
+        // Only the slots the modality offers that day (server local time) can be booked
+        const day = [
+            start.getFullYear(),
+            String(start.getMonth() + 1).padStart(2, '0'),
+            String(start.getDate()).padStart(2, '0')
+        ].join('-');
+        const isSlotStart = modality.generateSlots(day).some(slot => slot.start.getTime() === start.getTime());
+        if (!isSlotStart) {
+            return res.status(400).json({
+                success: false,
+                message: `${modality.name} takes bookings on ${modality.slotMinutes}-minute slots from ${modality.dayStart} to ${modality.dayEnd}; pick a slot start`
+            });
+        }
+
+        const end = new Date(start.getTime() + modality.slotMinutes * 60 * 1000);
+
+        const conflict = await RadiologyRequest.findScheduleConflict(modality._id, start, end, request._id);
+        if (conflict) {
+            return res.status(409).json({
+                success: false,
+                message: `${modality.name} is already booked at that time`
+            });
+        }
+
+        request.modality = modality._id;
+        request.scheduledStart = start;
+        request.scheduledEnd = end;
+        request.scheduledBy = req.user.id;
+        request.status = 'Scheduled';
+        await request.save();
+
+        res.status(200).json({
+            success: true,
+            data: request
+        });
+    } catch (error) {
+        logger.error('Schedule radiology request error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+// @desc    Mark the examination as started
+// @route   PUT /api/radiology/:id/start
+// @access  Private (Radiologist)
+export const startRadiologyExam = async (req, res) => {
+    try {
+        const request = await RadiologyRequest.findById(req.params.id);
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Request not found'
+            });
+        }
+
+        if (!['Pending', 'Scheduled'].includes(request.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot start a request that is ${request.status}`
+            });
+        }
+
+        request.status = 'In Progress';
+        await request.save();
+
+        res.status(200).json({
+            success: true,
+            data: request
+        });
+    } catch (error) {
+        logger.error('Start radiology exam error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+// @desc    Write or edit the structured report (until it is finalised)
+// @route   PUT /api/radiology/:id/report
+// @access  Private (Radiologist)
+export const saveRadiologyReport = async (req, res) => {
+    try {
+        const { template: templateId, findings, impression, recommendation } = req.body;
+
+        const request = await RadiologyRequest.findById(req.params.id);
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Request not found'
+            });
+        }
+
+        if (request.report?.status === 'final') {
+            return res.status(400).json({
+                success: false,
+                message: 'Report is final; add an addendum instead'
+            });
+        }
+
+        if (request.status === 'Cancelled') {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot report on a cancelled request'
+            });
+        }
+
+        const report = request.report || { status: 'draft' };
+
+        // Start from the template, then apply whatever the radiologist typed
+        if (templateId) {
+            const template = await RadiologyReportTemplate.findById(templateId);
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Template not found'
+                });
+            }
+            report.template = template._id;
+            report.findings = template.findings;
+            report.impression = template.impression;
+            report.recommendation = template.recommendation;
+        }
+
+        if (findings !== undefined) report.findings = findings;
+        if (impression !== undefined) report.impression = impression;
+        if (recommendation !== undefined) report.recommendation = recommendation;
+        report.lastEditedBy = req.user.id;
+        report.lastEditedAt = new Date();
+
+        request.report = report;
+        if (['Pending', 'Scheduled'].includes(request.status)) {
+            request.status = 'In Progress';
+        }
+        await request.save();
+
+        res.status(200).json({
+            success: true,
+            data: request
+        });
+    } catch (error) {
+        logger.error('Save radiology report error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+// @desc    Sign the report as preliminary or final
+// @route   PUT /api/radiology/:id/report/sign
+// @access  Private (Radiologist)
+export const signRadiologyReport = async (req, res) => {
+    try {
+        const { stage } = req.body;
+
+        if (!['preliminary', 'final'].includes(stage)) {
+            return res.status(400).json({
+                success: false,
+                message: "Stage must be 'preliminary' or 'final'"
+            });
+        }
+
+        const request = await RadiologyRequest.findById(req.params.id);
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Request not found'
+            });
+        }
+
+        if (!request.report?.findings || !request.report?.impression) {
+            return res.status(400).json({
+                success: false,
+                message: 'Findings and impression are required before signing'
+            });
+        }
+
+        if (request.report.status === 'final') {
+            return res.status(400).json({
+                success: false,
+                message: 'Report is already final'
+            });
+        }
+
+        const now = new Date();
+        if (stage === 'preliminary') {
+            request.report.status = 'preliminary';
+            request.report.preliminarySignedBy = req.user.id;
+            request.report.preliminarySignedAt = now;
+            request.status = 'Preliminary';
+        } else {
+            request.report.status = 'final';
+            request.report.finalSignedBy = req.user.id;
+            request.report.finalSignedAt = now;
+            request.status = 'Completed';
+            request.completedBy = req.user.id;
+            request.completedAt = now;
+        }
+        await request.save();
+
+        logger.info(`Radiology report ${request._id} signed ${stage} by ${req.user.id}`);
+
+        res.status(200).json({
+            success: true,
+            data: request
+        });
+    } catch (error) {
+        logger.error('Sign radiology report error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+// @desc    Add an addendum to a finalised report
+// @route   POST /api/radiology/:id/addenda
+// @access  Private (Radiologist)
+export const addRadiologyAddendum = async (req, res) => {
+    try {
+        const { text } = req.body;
+        if (!text) {
+            return res.status(400).json({
+                success: false,
+                message: 'Addendum text is required'
+            });
+        }
+
+        const request = await RadiologyRequest.findById(req.params.id);
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Request not found'
+            });
+        }
+
+        if (request.report?.status !== 'final') {
+            return res.status(400).json({
+                success: false,
+                message: 'Addenda can only be added to a final report; edit the report instead'
+            });
+        }
+
+        request.addenda.push({ text, addedBy: req.user.id });
+        await request.save();
+
+        res.status(201).json({
+            success: true,
+            data: request
+        });
+    } catch (error) {
+        logger.error('Add radiology addendum error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+// @desc    Update a radiology request (cancellation); reports go through /report
 // @route   PUT /api/radiology/:id
 // @access  Private (Radiologist)
 export const updateRadiologyRequest = async (req, res) => {
     try {
-        const { findings, imageUrl, status } = req.body;
-        const request = await RadiologyRequest.findByIdAndUpdate(req.params.id, {
-            findings,
-            imageUrl,
-            status,
-            completedBy: req.user.id,
-            completedAt: Date.now(),
-        }, { new: true });
+        const { findings, status } = req.body;
+
+        if (findings !== undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Findings are written through PUT /api/radiology/:id/report'
+            });
+        }
+
+        if (status && status !== 'Cancelled') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only cancellation is allowed here; use the schedule, start and report endpoints'
+            });
+        }
+
+        const request = await RadiologyRequest.findById(req.params.id);
 
         if (!request) {
             return res.status(404).json({ 
@@ -74,6 +448,20 @@ export const updateRadiologyRequest = async (req, res) => {
                 message: 'Request not found' 
             });
         }
+
+        if (status === 'Cancelled') {
+            if (request.report?.status === 'final') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot cancel a request with a final report'
+                });
+            }
+            request.status = 'Cancelled';
+        }
+
+        if (req.body.priority) request.priority = req.body.priority;
+        await request.save();
+
         res.status(200).json({ 
             success: true, 
             data: request 
@@ -85,4 +473,4 @@ export const updateRadiologyRequest = async (req, res) => {
             message: error.message 
         });
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,268 @@
+import fs from 'fs/promises';
+import path from 'path';
+import RadiologyRequest from '../models/RadiologyRequest.js';
+import { RADIOLOGY_STORAGE_DIR } from '../middleware/upload.js';
+import { createThumbnail } from '../utils/imageThumbnail.js';
+import { readDicomMetadata, checkDicomAgainstRequest } from '../utils/dicomMetadata.js';
+import logger from '../utils/logger.js';
+
+const removeFiles = (files = []) =>
+    Promise.all(files.map(file => fs.unlink(file.path).catch(() => {})));
+
+// @desc    Upload images / DICOM files to a radiology request
+// @route   POST /api/radiology/:id/images
+// @access  Private (Radiologist)
+export const uploadImages = async (req, res) => {
+    const files = req.files || [];
+    try {
+        if (files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No files uploaded; send them in the images field'
+            });
+        }
+
+        const request = await RadiologyRequest.findById(req.params.id)
+            .populate('patient', 'patientId')
+            .populate('modality', 'modalityType');
+        if (!request || request.status === 'Cancelled') {
+            await removeFiles(files);
+            return res.status(request ? 400 : 404).json({
+                success: false,
+                message: request ? 'Cannot attach images to a cancelled request' : 'Request not found'
+            });
+        }
+
+        const images = [];
+        const rejected = [];
+        const attachedUids = new Set(request.images.map(img => img.dicom?.sopInstanceUid).filter(Boolean));
+
+        for (const file of files) {
+            const kind = path.extname(file.originalname).toLowerCase() === '.dcm' ? 'dicom' : 'image';
+            const image = {
+                originalName: file.originalname,
+                storedName: file.filename,
+                mimeType: file.mimetype,
+                size: file.size,
+                kind,
+                uploadedBy: req.user.id
+            };
+
+            // DICOM headers must match the request's patient and modality
+            if (kind === 'dicom') {
+                let metadata;
+                try {
+                    metadata = await readDicomMetadata(file.path);
+                } catch (error) {
+                    rejected.push({ file: file.originalname, errors: [`Not a readable DICOM file: ${error.message || error}`] });
+                    continue;
+                }
+
+                const { errors, warnings } = checkDicomAgainstRequest(metadata, {
+                    request,
+                    patient: request.patient,
+                    modalityType: request.modality?.modalityType
+                });
+
+                if (metadata.sopInstanceUid && attachedUids.has(metadata.sopInstanceUid)) {
+                    errors.push('This DICOM instance is already attached to the request');
+                }
+
+                if (errors.length > 0) {
+                    rejected.push({ file: file.originalname, errors });
+                    continue;
+                }
+
+                attachedUids.add(metadata.sopInstanceUid);
+                image.dicom = metadata;
+                image.warnings = warnings;
+            }
+
+            // DICOM files are stored as-is; only JPEG/PNG get a thumbnail
+            if (kind === 'image') {
+                try {
+                    const thumbnailName = `${file.filename}.thumb.png`;
+                    const { width, height } = await createThumbnail(
+                        file.path,
+                        path.join(path.dirname(file.path), thumbnailName)
+                    );
+                    Object.assign(image, { thumbnailName, width, height });
+                } catch (error) {
+                    logger.warn(`Thumbnail generation failed for ${file.originalname}: ${error.message}`);
+                }
+            }
+
+            images.push(image);
+        }
+
+        // One bad file rejects the whole upload so a study is never half attached
+        if (rejected.length > 0) {
+            await removeFiles(files);
+            const thumbnails = images.filter(img => img.thumbnailName).map(img => ({
+                path: path.join(RADIOLOGY_STORAGE_DIR, request._id.toString(), img.thumbnailName)
+            }));
+            await removeFiles(thumbnails);
+
+            logger.warn(`Rejected upload to radiology request ${request._id}: ${JSON.stringify(rejected)}`);
+            return res.status(422).json({
+                success: false,
+                message: 'Upload rejected: files do not match this request',
+                rejected
+            });
+        }
+
+        request.images.push(...images);
+        await request.save();
+
+        logger.info(`${images.length} file(s) attached to radiology request ${request._id} by ${req.user.id}`);
+
+        res.status(201).json({
+            success: true,
+            data: request.images.slice(-images.length)
+        });
+    } catch (error) {
+        await removeFiles(files);
+        logger.error('Upload radiology images error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+const findImage = async (req, res) => {
+    const request = await RadiologyRequest.findById(req.params.id).select('images');
+    const image = request?.images.id(req.params.imageId);
+
+    if (!image) {
+        res.status(404).json({
+            success: false,
+            message: 'Image not found'
+        });
+        return null;
+    }
+    return { request, image };
+};
+
+// @desc    List files attached to a radiology request
+// @route   GET /api/radiology/:id/images
+// @access  Private
+export const getImages = async (req, res) => {
+    try {
+        const request = await RadiologyRequest.findById(req.params.id)
+            .select('images')
+            .populate('images.uploadedBy', 'firstName lastName');
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Request not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            count: request.images.length,
+            data: request.images
+        });
+    } catch (error) {
+        logger.error('Get radiology images error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+// @desc    Download an image or DICOM file
+// @route   GET /api/radiology/:id/images/:imageId
+// @access  Private
+export const downloadImage = async (req, res) => {
+    try {
+        const found = await findImage(req, res);
+        if (!found) return;
+
+        const { request, image } = found;
+        const disposition = image.kind === 'dicom' ? 'attachment' : 'inline';
+
+        res.setHeader('Content-Type', image.mimeType);
+        res.setHeader('Content-Disposition', `${disposition}; filename="${path.basename(image.originalName)}"`);
+        res.sendFile(path.join(request._id.toString(), image.storedName), { root: RADIOLOGY_STORAGE_DIR });
+    } catch (error) {
+        logger.error('Download radiology image error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+// @desc    Get the thumbnail of an image
+// @route   GET /api/radiology/:id/images/:imageId/thumbnail
+// @access  Private
+export const getImageThumbnail = async (req, res) => {
+    try {
+        const found = await findImage(req, res);
+        if (!found) return;
+
+        const { request, image } = found;
+        if (!image.thumbnailName) {
+            return res.status(404).json({
+                success: false,
+                message: 'No thumbnail for this file'
+            });
+        }
+
+        res.sendFile(path.join(request._id.toString(), image.thumbnailName), { root: RADIOLOGY_STORAGE_DIR });
+    } catch (error) {
+        logger.error('Get radiology thumbnail error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+// @desc    Remove a file from a request whose report is not final
+// @route   DELETE /api/radiology/:id/images/:imageId
+// @access  Private (Radiologist, Admin)
+export const deleteImage = async (req, res) => {
+    try {
+        const request = await RadiologyRequest.findById(req.params.id);
+        const image = request?.images.id(req.params.imageId);
+
+        if (!image) {
+            return res.status(404).json({
+                success: false,
+                message: 'Image not found'
+            });
+        }
+
+        if (request.report?.status === 'final') {
+            return res.status(400).json({
+                success: false,
+                message: 'Images of a finalised report cannot be removed'
+            });
+        }
+
+        const dir = path.join(RADIOLOGY_STORAGE_DIR, request._id.toString());
+        await fs.unlink(path.join(dir, image.storedName)).catch(() => {});
+        if (image.thumbnailName) {
+            await fs.unlink(path.join(dir, image.thumbnailName)).catch(() => {});
+        }
+
+        image.deleteOne();
+        await request.save();
+
+        res.status(200).json({
+            success: true,
+            data: {}
+        });
+    } catch (error) {
+        logger.error('Delete radiology image error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
@@ -0,0 +1,79 @@
+import RadiologyReportTemplate from '../models/RadiologyReportTemplate.js';
+import { escapeRegex } from '../utils/escapeRegex.js';
+import logger from '../utils/logger.js';
+
+// @desc    Get radiology report templates
+// @route   GET /api/radiology/templates
+// @access  Private
+export const getReportTemplates = async (req, res) => {
+    try {
+        const filter = { isActive: true };
+        if (req.query.modalityType) filter.modalityType = req.query.modalityType;
+        if (req.query.bodyPart) filter.bodyPart = { $regex: escapeRegex(req.query.bodyPart), $options: 'i' };
+
+        const templates = await RadiologyReportTemplate.find(filter).sort('name');
+        res.status(200).json({
+            success: true,
+            count: templates.length,
+            data: templates
+        });
+    } catch (error) {
+        logger.error('Get report templates error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+// @desc    Create a radiology report template
+// @route   POST /api/radiology/templates
+// @access  Private (Admin, Radiologist)
+export const createReportTemplate = async (req, res) => {
+    try {
+        const template = await RadiologyReportTemplate.create({
+            ...req.body,
+            createdBy: req.user.id
+        });
+        res.status(201).json({
+            success: true,
+            data: template
+        });
+    } catch (error) {
+        logger.error('Create report template error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+// @desc    Update a radiology report template
+// @route   PUT /api/radiology/templates/:id
+// @access  Private (Admin, Radiologist)
+export const updateReportTemplate = async (req, res) => {
+    try {
+        const template = await RadiologyReportTemplate.findByIdAndUpdate(req.params.id, req.body, {
+            new: true,
+            runValidators: true
+        });
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: template
+        });
+    } catch (error) {
+        logger.error('Update report template error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
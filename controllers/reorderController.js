@@ -0,0 +1,59 @@
+import reorderService from '../services/reorderService.js';
+import logger from '../utils/logger.js';
+
+// @desc    Reorder suggestions from recent consumption, lead time and safety stock
+// @route   GET /api/reorder/suggestions
+// @access  Private
+export const getReorderSuggestions = async (req, res) => {
+  try {
+    const { settings, suggestions } = await reorderService.getSuggestions(req.query);
+
+    res.status(200).json({
+      success: true,
+      count: suggestions.length,
+      settings,
+      data: suggestions
+    });
+  } catch (error) {
+    logger.error('Get reorder suggestions error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create draft purchase orders, one per supplier, from the current suggestions
+// @route   POST /api/reorder/draft-orders
+// @access  Private (Admin, Pharmacist)
+export const generateDraftOrders = async (req, res) => {
+  try {
+    const { medicineIds, quantities, defaultSupplier, settings } = req.body;
+
+    const { orders, unassigned } = await reorderService.createDraftOrders({
+      userId: req.user.id,
+      medicineIds,
+      quantities,
+      defaultSupplier,
+      settings
+    });
+
+    logger.info(`Reorder run by ${req.user.id} created ${orders.length} draft purchase order(s)`);
+
+    res.status(201).json({
+      success: true,
+      count: orders.length,
+      data: orders,
+      unassigned,
+      ...(unassigned.length > 0 && {
+        warning: `${unassigned.length} medicine(s) have no known supplier and were left out`
+      })
+    });
+  } catch (error) {
+    logger.error('Generate draft orders error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -1,7 +1,11 @@
 import Requisition from '../models/Requisition.js';
 import { Medicine } from '../models/Medicine.js';
-import { MedicineBatch } from '../models/MedicineBatch.js';
-import { StockMovement } from '../models/StockMovement.js';
+import { StockLocation } from '../models/StockLocation.js';
+import stockLedger from '../services/stockLedger.js';
+import controlledDrugService from '../services/controlledDrugService.js';
+import stockReservationService from '../services/stockReservationService.js';
+import requisitionApprovalService from '../services/requisitionApprovalService.js';
+import { httpError } from '../utils/httpError.js';
 import logger from '../utils/logger.js';
 
 // @desc    Get all requisitions
@@ -20,6 +24,7 @@ export const getRequisitions = async (req, res) => {
       .populate('approvedBy', 'firstName lastName')
       .populate('issuedBy', 'firstName lastName')
       .populate('items.medicine', 'name type strength')
+      .populate('approvalHistory.by', 'firstName lastName role')
       .sort('-createdAt');
 
     res.status(200).json({
@@ -45,6 +50,9 @@ export const getRequisition = async (req, res) => {
       .populate('requestedBy', 'firstName lastName email')
       .populate('approvedBy', 'firstName lastName')
       .populate('issuedBy', 'firstName lastName')
+      .populate('rejection.rejectedBy', 'firstName lastName')
+      .populate('review.reviewedBy', 'firstName lastName')
+      .populate('approvalHistory.by', 'firstName lastName role')
       .populate('items.medicine');
 
     if (!requisition) {
@@ -76,7 +84,7 @@ export const createRequisition = async (req, res) => {
 
     const requisitionNumber = await Requisition.generateRequisitionNumber();
 
-    const requisition = await Requisition.create({
+    const requisition = new Requisition({
       requisitionNumber,
       requestedBy: req.user.id,
       requestedFor: {
@@ -92,6 +100,24 @@ export const createRequisition = async (req, res) => {
       notes
     });
 
+    // Pending approval, or approved straight away for priorities that are reviewed afterwards
+    requisitionApprovalService.applySubmission(requisition, req.user.id);
+    await requisition.save();
+
+    // Hold each line's stock until it is issued, rejected or the hold expires
+    for (const item of requisition.items) {
+      await stockReservationService.reserve({
+        medicine: item.medicine,
+        quantity: item.requestedQty,
+        sourceType: 'Requisition',
+        sourceId: requisition._id,
+        sourceItem: item._id,
+        createdBy: req.user.id
+      });
+    }
+
+    await requisitionApprovalService.notifySubmission(requisition);
+
     const populatedRequisition = await Requisition.findById(requisition._id)
       .populate('requestedBy', 'firstName lastName')
       .populate('items.medicine', 'name type strength');
@@ -115,7 +141,7 @@ export const createRequisition = async (req, res) => {
 export const updateRequisitionItem = async (req, res) => {
   try {
     const { id, itemId } = req.params;
-    const { status, issuedQty, remarks } = req.body;
+    const { status, issuedQty, remarks, location, witness } = req.body;
 
     const requisition = await Requisition.findById(id);
     
@@ -126,6 +152,15 @@ export const updateRequisitionItem = async (req, res) => {
       });
     }
 
+    if (!requisition.isIssuable()) {
+      return res.status(requisition.status === 'Pending Approval' ? 409 : 400).json({
+        success: false,
+        message: requisition.status === 'Pending Approval'
+          ? 'Requisition is awaiting approval and cannot be issued yet'
+          : `Cannot issue against a requisition that is ${requisition.status}`
+      });
+    }
+
     const item = requisition.items.id(itemId);
     
     if (!item) {
@@ -135,60 +170,66 @@ export const updateRequisitionItem = async (req, res) => {
       });
     }
 
-    // Update item
-    if (status) item.status = status;
-    if (issuedQty !== undefined) item.issuedQty = issuedQty;
-    if (remarks) item.remarks = remarks;
-
-    // If issuing, deduct from stock
-    if (status === 'Issued' && issuedQty > 0) {
-      const batches = await MedicineBatch.find({
-        medicine: item.medicine,
-        status: 'active',
-        quantityRemaining: { $gt: 0 },
-        expiryDate: { $gt: new Date() }
-      }).sort('expiryDate');
-
-      let remainingQty = issuedQty;
-      
-      for (const batch of batches) {
-        if (remainingQty <= 0) break;
-
-        const qtyToIssue = Math.min(remainingQty, batch.quantityRemaining);
-        
-        batch.quantityRemaining -= qtyToIssue;
-        if (batch.quantityRemaining === 0) {
-          batch.status = 'depleted';
-        }
-        await batch.save();
-
-        // Record movement
-        await StockMovement.create({
-          medicine: item.medicine,
-          batch: batch._id,
-          type: 'OUT',
-          quantity: qtyToIssue,
-          reason: `Issued via requisition ${requisition.requisitionNumber}`,
-          performedBy: req.user.id
-        });
+    if (item.status === 'Issued') {
+      return res.status(409).json({
+        success: false,
+        message: 'This item has already been issued'
+      });
+    }
 
-        remainingQty -= qtyToIssue;
-      }
+    const reservation = { sourceType: 'Requisition', sourceId: requisition._id, sourceItem: item._id };
 
-      if (remainingQty > 0) {
+    // If issuing, deduct from stock in the same transaction as the requisition update
+    if (status === 'Issued') {
+      const quantity = Number(issuedQty);
+      if (!Number.isInteger(quantity) || quantity <= 0 || quantity > item.requestedQty) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock. Only ${issuedQty - remainingQty} units available`
+          message: `Issued quantity must be a whole number between 1 and ${item.requestedQty}`
         });
       }
 
-      requisition.issuedBy = req.user.id;
-      requisition.issuedAt = new Date();
-    }
+      const fromLocation = location ? await StockLocation.resolveCode(location) : undefined;
+      const witnessedBy = await controlledDrugService.resolveWitness(witness, req.user.id);
+
+      await stockLedger.withTransaction(async (session) => {
+        // Re-read so two pharmacists issuing the same line can't both take the stock
+        const current = await Requisition.findById(id).session(session);
+        const line = current.items.id(itemId);
+        if (line.status === 'Issued') throw httpError(409, 'This item has already been issued');
+
+        await stockLedger.deduct(line.medicine, quantity, {
+          session,
+          reservation,
+          location: fromLocation,
+          reason: `Issued via requisition ${current.requisitionNumber}`,
+          requisition: current._id,
+          performedBy: req.user.id,
+          witnessedBy
+        });
+        // Whatever was held beyond the issued quantity goes back
+        await stockReservationService.release(reservation, { session });
+
+        line.status = 'Issued';
+        line.issuedQty = quantity;
+        if (remarks) line.remarks = remarks;
+        current.issuedBy = req.user.id;
+        current.issuedAt = new Date();
+        current.updateStatus();
+        await current.save({ session });
+      });
+    } else {
+      if (status) item.status = status;
+      if (remarks) item.remarks = remarks;
 
-    // Update overall status
-    requisition.updateStatus();
-    await requisition.save();
+      if (status === 'Rejected') {
+        await stockReservationService.release(reservation);
+      }
+
+      // Update overall status
+      requisition.updateStatus();
+      await requisition.save();
+    }
 
     const updatedRequisition = await Requisition.findById(id)
       .populate('items.medicine', 'name type strength');
@@ -199,7 +240,7 @@ export const updateRequisitionItem = async (req, res) => {
     });
   } catch (error) {
     logger.error('Update requisition item error:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       message: error.message
     });
@@ -220,11 +261,19 @@ export const completeRequisition = async (req, res) => {
       });
     }
 
+    if (!requisition.isIssuable()) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot complete a requisition that is ${requisition.status}`
+      });
+    }
+
     requisition.status = 'Completed';
     requisition.issuedBy = req.user.id;
     requisition.issuedAt = new Date();
     
     await requisition.save();
+    await stockReservationService.release({ sourceType: 'Requisition', sourceId: requisition._id });
 
     res.status(200).json({
       success: true,
@@ -253,15 +302,17 @@ export const cancelRequisition = async (req, res) => {
       });
     }
 
-    if (requisition.status === 'Completed') {
+    if (['Completed', 'Rejected', 'Cancelled'].includes(requisition.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot cancel completed requisition'
+        message: `Cannot cancel a requisition that is ${requisition.status}`
       });
     }
 
     requisition.status = 'Cancelled';
+    requisition.approvalHistory.push({ action: 'cancelled', by: req.user.id, comment: req.body.reason });
     await requisition.save();
+    await stockReservationService.release({ sourceType: 'Requisition', sourceId: requisition._id });
 
     res.status(200).json({
       success: true,
@@ -274,4 +325,126 @@ export const cancelRequisition = async (req, res) => {
       message: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+const populateApproval = (query) => query
+  .populate('requestedBy', 'firstName lastName')
+  .populate('approvedBy', 'firstName lastName')
+  .populate('rejection.rejectedBy', 'firstName lastName')
+  .populate('review.reviewedBy', 'firstName lastName')
+  .populate('approvalHistory.by', 'firstName lastName role')
+  .populate('items.medicine', 'name type strength');
+
+// @desc    Requisitions waiting for the current user's approval or retrospective review
+// @route   GET /api/requisitions/awaiting-approval
+// @access  Private
+export const getAwaitingApproval = async (req, res) => {
+  try {
+    const filter = await requisitionApprovalService.getAwaiting(req.user);
+    const requisitions = await populateApproval(Requisition.find(filter)).sort('createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: requisitions.length,
+      data: requisitions
+    });
+  } catch (error) {
+    logger.error('Get requisitions awaiting approval error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Approve a requisition so the pharmacy can issue it
+// @route   PUT /api/requisitions/:id/approve
+// @access  Private (department head or approver role)
+export const approveRequisition = async (req, res) => {
+  try {
+    const requisition = await Requisition.findById(req.params.id);
+    if (!requisition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Requisition not found'
+      });
+    }
+
+    await requisitionApprovalService.approve(requisition, req.user, req.body.comment);
+    logger.info(`Requisition ${requisition.requisitionNumber} approved by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: await populateApproval(Requisition.findById(requisition._id))
+    });
+  } catch (error) {
+    logger.error('Approve requisition error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Reject a requisition with one of the configured reasons; its stock holds are released
+// @route   PUT /api/requisitions/:id/reject
+// @access  Private (department head or approver role)
+export const rejectRequisition = async (req, res) => {
+  try {
+    const requisition = await Requisition.findById(req.params.id);
+    if (!requisition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Requisition not found'
+      });
+    }
+
+    const { reason, comment } = req.body;
+    await requisitionApprovalService.reject(requisition, req.user, { reason, comment });
+    logger.info(`Requisition ${requisition.requisitionNumber} rejected by ${req.user.id}: ${reason}`);
+
+    res.status(200).json({
+      success: true,
+      data: await populateApproval(Requisition.findById(requisition._id))
+    });
+  } catch (error) {
+    logger.error('Reject requisition error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Review an auto-approved (Emergency) requisition after the fact: accepted or queried
+// @route   PUT /api/requisitions/:id/review
+// @access  Private (department head or approver role)
+export const reviewRequisition = async (req, res) => {
+  try {
+    const requisition = await Requisition.findById(req.params.id);
+    if (!requisition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Requisition not found'
+      });
+    }
+
+    const { outcome, comment } = req.body;
+    await requisitionApprovalService.review(requisition, req.user, { outcome, comment });
+
+    if (outcome === 'queried') {
+      logger.warn(`Emergency requisition ${requisition.requisitionNumber} queried on review: ${comment}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await populateApproval(Requisition.findById(requisition._id))
+    });
+  } catch (error) {
+    logger.error('Review requisition error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -2,6 +2,7 @@ import StockItem from '../models/StockItem.js';
 import { Medicine } from '../models/Medicine.js';
 import { StockMovement } from '../models/StockMovement.js';
 import { MedicineBatch }  from '../models/MedicineBatch.js';
+import { StockReservation } from '../models/StockReservation.js';
 import logger from '../utils/logger.js';
 
 // @desc    Get all medicines (master catalog)
@@ -24,11 +25,13 @@ export const getStockItems = async (req, res) => {
   }
 };
 
-// @desc    Get current stock balance with aggregated quantities
+// @desc    Get current stock balance with on-hand, reserved and available quantities
 // @route   GET /api/stock/balance
 // @access  Private
 export const getStockBalance = async (req, res) => {
   try {
+    const location = req.query.location?.toUpperCase();
+
     const stockBalance = await MedicineBatch.aggregate([
       {
         $match: {
@@ -38,11 +41,19 @@ export const getStockBalance = async (req, res) => {
       },
       {
         $group: {
-          _id: '$medicine',
-          totalQuantity: { $sum: '$quantityRemaining' },
-          batches: { $push: '$$ROOT' },
-          nearestExpiry: { $min: '$expiryDate' },
-          oldestBatch: { $first: '$$ROOT' }
+          _id: { medicine: '$medicine', location: '$location' },
+          quantity: { $sum: '$quantityRemaining' },
+          batchCount: { $sum: 1 },
+          nearestExpiry: { $min: '$expiryDate' }
+        }
+      },
+      {
+        $group: {
+          _id: '$_id.medicine',
+          totalQuantity: { $sum: '$quantity' },
+          batchCount: { $sum: '$batchCount' },
+          nearestExpiry: { $min: '$nearestExpiry' },
+          locations: { $push: { location: '$_id.location', quantity: '$quantity' } }
         }
       },
       {
@@ -66,7 +77,8 @@ export const getStockBalance = async (req, res) => {
           isLowStock: { 
             $lt: ['$totalQuantity', '$medicineInfo.reorderLevel'] 
           },
-          batchCount: { $size: '$batches' },
+          batchCount: 1,
+          locations: 1,
           reorderLevel: '$medicineInfo.reorderLevel'
         }
       },
@@ -75,10 +87,26 @@ export const getStockBalance = async (req, res) => {
       }
     ]);
 
+    // Reservations are hospital-wide; at a single location they can only cap what's free there
+    const reservedByMedicine = await StockReservation.getReservedByMedicine();
+    const rows = [];
+    stockBalance.forEach(row => {
+      const reserved = Math.min(reservedByMedicine.get(row._id.toString()) || 0, row.totalQuantity);
+      const free = row.totalQuantity - reserved;
+
+      if (location) {
+        const atLocation = row.locations.find(l => l.location === location)?.quantity || 0;
+        if (atLocation === 0) return;
+        rows.push({ ...row, quantity: atLocation, onHand: atLocation, reserved, available: Math.min(atLocation, free) });
+      } else {
+        rows.push({ ...row, onHand: row.totalQuantity, reserved, available: free });
+      }
+    });
+
     res.status(200).json({ 
       success: true, 
-      count: stockBalance.length, 
-      data: stockBalance 
+      count: rows.length, 
+      data: rows 
     });
   } catch (error) {
     logger.error('Get stock balance error:', error);
@@ -152,63 +180,6 @@ export const getStockTaking = async (req, res) => {
   }
 };
 
-// @desc    Update stock after audit (stock taking)
-// @route   PUT /api/stock/audit/:medicineId
-// @access  Private
-export const updateStockAudit = async (req, res) => {
-  try {
-    const { medicineId } = req.params;
-    const { actualCount } = req.body;
-
-    // Get current total
-    const batches = await MedicineBatch.find({
-      medicine: medicineId,
-      status: 'active',
-      expiryDate: { $gt: new Date() }
-    }).sort('expiryDate');
-
-    const currentTotal = batches.reduce((sum, b) => sum + b.quantityRemaining, 0);
-    const difference = actualCount - currentTotal;
-
-    if (difference !== 0) {
-      // Adjust the oldest batch
-      if (batches.length > 0) {
-        const oldestBatch = batches[0];
-        oldestBatch.quantityRemaining += difference;
-        
-        if (oldestBatch.quantityRemaining <= 0) {
-          oldestBatch.status = 'depleted';
-          oldestBatch.quantityRemaining = 0;
-        }
-        
-        await oldestBatch.save();
-
-        // Record adjustment
-        await StockMovement.create({
-          medicine: medicineId,
-          batch: oldestBatch._id,
-          type: 'ADJUSTMENT',
-          quantity: Math.abs(difference),
-          reason: `Stock audit adjustment: ${difference > 0 ? 'Added' : 'Removed'} ${Math.abs(difference)} units`,
-          performedBy: req.user.id
-        });
-      }
-    }
-
-    res.status(200).json({ 
-      success: true, 
-      message: 'Stock audit completed',
-      data: { difference, actualCount }
-    });
-  } catch (error) {
-    logger.error('Update stock audit error:', error);
-    res.status(400).json({ 
-      success: false, 
-      message: error.message 
-    });
-  }
-};
-
 // @desc    Create a medicine
 // @route   POST /api/stock
 // @access  Private
@@ -301,6 +272,36 @@ export const deleteMedicine = async (req, res) => {
   }
 };
 
+// @desc    Get active stock reservations
+// @route   GET /api/stock/reservations
+// @access  Private
+export const getStockReservations = async (req, res) => {
+  try {
+    const { medicineId, sourceType } = req.query;
+
+    const filter = StockReservation.activeFilter();
+    if (medicineId) filter.medicine = medicineId;
+    if (sourceType) filter.sourceType = sourceType;
+
+    const reservations = await StockReservation.find(filter)
+      .populate('medicine', 'name type strength')
+      .populate('createdBy', 'firstName lastName')
+      .sort('expiresAt');
+
+    res.status(200).json({ 
+      success: true, 
+      count: reservations.length, 
+      data: reservations 
+    });
+  } catch (error) {
+    logger.error('Get stock reservations error:', error);
+    res.status(400).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+};
+
 // @desc    Get stock movements (audit trail)
 // @route   GET /api/stock/movements
 // @access  Private
@@ -0,0 +1,269 @@
+import { StockCountSession } from '../models/StockCountSession.js';
+import stockCountService from '../services/stockCountService.js';
+import controlledDrugService from '../services/controlledDrugService.js';
+import logger from '../utils/logger.js';
+
+const populateCount = (query) => query
+  .populate('lines.medicine', 'name type strength')
+  .populate('lines.count.countedBy', 'firstName lastName')
+  .populate('lines.recount.countedBy', 'firstName lastName')
+  .populate('startedBy', 'firstName lastName')
+  .populate('approvedBy', 'firstName lastName');
+
+// On a blind count nobody but a supervisor sees the system quantity (or, during
+// recount, the first count) until the counting is over
+const forViewer = (countSession, user) => {
+  const data = countSession.toJSON();
+  const counting = ['counting', 'recount'].includes(countSession.status);
+  if (!countSession.blind || !counting || user.role === 'admin') return data;
+
+  data.lines = data.lines.map(({ expectedQuantity, variance, varianceValue, finalQuantity, ...line }) => ({
+    ...line,
+    ...(countSession.status === 'recount' && { count: line.count && { countedBy: line.count.countedBy } })
+  }));
+  return data;
+};
+
+const respondWithCount = async (res, status, id, user) => {
+  const countSession = await populateCount(StockCountSession.findById(id));
+  res.status(status).json({
+    success: true,
+    data: forViewer(countSession, user)
+  });
+};
+
+// @desc    Get stock count sessions
+// @route   GET /api/stock-counts
+// @access  Private (Admin, Pharmacist)
+export const getStockCounts = async (req, res) => {
+  try {
+    const { status, location } = req.query;
+
+    const filter = {};
+    if (status) filter.status = { $in: status.split(',') };
+    if (location) filter.location = location.toUpperCase();
+
+    const sessions = await StockCountSession.find(filter)
+      .select('-lines')
+      .populate('startedBy', 'firstName lastName')
+      .populate('approvedBy', 'firstName lastName')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (error) {
+    logger.error('Get stock counts error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get single stock count session
+// @route   GET /api/stock-counts/:id
+// @access  Private (Admin, Pharmacist)
+export const getStockCount = async (req, res) => {
+  try {
+    const countSession = await populateCount(StockCountSession.findById(req.params.id));
+
+    if (!countSession) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock count not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: forViewer(countSession, req.user)
+    });
+  } catch (error) {
+    logger.error('Get stock count error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Start a count: snapshots every batch at the location
+// @route   POST /api/stock-counts
+// @access  Private (Admin, Pharmacist)
+export const createStockCount = async (req, res) => {
+  try {
+    const { location, category, blind, recountThreshold, notes } = req.body;
+
+    const countSession = await stockCountService.startSession({
+      location,
+      category,
+      blind,
+      recountThreshold,
+      notes,
+      userId: req.user.id
+    });
+
+    await respondWithCount(res, 201, countSession._id, req.user);
+  } catch (error) {
+    logger.error('Create stock count error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Record counts, or recounts once the session is in recount
+// @route   PUT /api/stock-counts/:id/counts
+// @access  Private (Admin, Pharmacist)
+export const recordStockCounts = async (req, res) => {
+  try {
+    const countSession = await StockCountSession.findById(req.params.id);
+
+    if (!countSession) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock count not found'
+      });
+    }
+
+    await stockCountService.recordCounts(countSession, req.body.counts, req.user.id);
+
+    await respondWithCount(res, 200, countSession._id, req.user);
+  } catch (error) {
+    logger.error('Record stock counts error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Finish counting; lines over the threshold go for recount
+// @route   PUT /api/stock-counts/:id/submit
+// @access  Private (Admin, Pharmacist)
+export const submitStockCount = async (req, res) => {
+  try {
+    const countSession = await StockCountSession.findById(req.params.id);
+
+    if (!countSession) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock count not found'
+      });
+    }
+
+    await stockCountService.submit(countSession, req.user.id);
+
+    await respondWithCount(res, 200, countSession._id, req.user);
+  } catch (error) {
+    logger.error('Submit stock count error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message,
+      ...(error.uncounted && { uncounted: error.uncounted })
+    });
+  }
+};
+
+// @desc    Approve a count and post its adjustments (controlled drugs need a `witness`)
+// @route   PUT /api/stock-counts/:id/approve
+// @access  Private (Admin)
+export const approveStockCount = async (req, res) => {
+  try {
+    const witnessedBy = await controlledDrugService.resolveWitness(req.body.witness, req.user.id);
+
+    await stockCountService.approve(req.params.id, req.user.id, witnessedBy);
+
+    await respondWithCount(res, 200, req.params.id, req.user);
+  } catch (error) {
+    logger.error('Approve stock count error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Cancel a count that hasn't been posted
+// @route   PUT /api/stock-counts/:id/cancel
+// @access  Private (Admin, Pharmacist)
+export const cancelStockCount = async (req, res) => {
+  try {
+    const countSession = await StockCountSession.findById(req.params.id);
+
+    if (!countSession) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock count not found'
+      });
+    }
+
+    await stockCountService.cancel(countSession, { reason: req.body.reason, userId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      data: countSession
+    });
+  } catch (error) {
+    logger.error('Cancel stock count error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Variance report for a submitted count
+// @route   GET /api/stock-counts/:id/variance
+// @access  Private (Admin, Pharmacist)
+export const getStockCountVariance = async (req, res) => {
+  try {
+    const countSession = await populateCount(StockCountSession.findById(req.params.id));
+
+    if (!countSession) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock count not found'
+      });
+    }
+
+    if (countSession.status === 'counting') {
+      return res.status(400).json({
+        success: false,
+        message: 'Variances are available once the count has been submitted'
+      });
+    }
+
+    const { blind, status } = countSession;
+    if (blind && status === 'recount' && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Variances on a blind count are hidden until recounts are done'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        countNumber: countSession.countNumber,
+        location: countSession.location,
+        status,
+        snapshotAt: countSession.snapshotAt,
+        approvedBy: countSession.approvedBy,
+        approvedAt: countSession.approvedAt,
+        summary: countSession.varianceSummary(),
+        lines: countSession.lines.filter(line => line.variance !== 0)
+      }
+    });
+  } catch (error) {
+    logger.error('Get stock count variance error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
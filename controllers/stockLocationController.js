@@ -0,0 +1,81 @@
+import { StockLocation, DEFAULT_LOCATION } from '../models/StockLocation.js';
+import logger from '../utils/logger.js';
+
+// @desc    Get stock locations
+// @route   GET /api/stock-locations
+// @access  Private
+export const getStockLocations = async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const locations = await StockLocation.find(filter)
+      .populate('department', 'name')
+      .sort('name');
+
+    res.status(200).json({
+      success: true,
+      count: locations.length,
+      defaultLocation: DEFAULT_LOCATION,
+      data: locations
+    });
+  } catch (error) {
+    logger.error('Get stock locations error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create stock location
+// @route   POST /api/stock-locations
+// @access  Private (Admin, Pharmacist)
+export const createStockLocation = async (req, res) => {
+  try {
+    const { code, name, type, department } = req.body;
+
+    const location = await StockLocation.create({ code, name, type, department });
+
+    res.status(201).json({
+      success: true,
+      data: location
+    });
+  } catch (error) {
+    logger.error('Create stock location error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.code === 11000 ? 'A location with this code already exists' : error.message
+    });
+  }
+};
+
+// @desc    Update stock location. The code can't change since batches refer to it.
+// @route   PUT /api/stock-locations/:id
+// @access  Private (Admin, Pharmacist)
+export const updateStockLocation = async (req, res) => {
+  try {
+    const location = await StockLocation.findById(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock location not found'
+      });
+    }
+
+    ['name', 'type', 'department', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) location[field] = req.body[field];
+    });
+    await location.save();
+
+    res.status(200).json({
+      success: true,
+      data: location
+    });
+  } catch (error) {
+    logger.error('Update stock location error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,46 @@
+import inventoryReportService from '../services/inventoryReportService.js';
+import logger from '../utils/logger.js';
+
+// @desc    Stock on hand at cost and at selling price, by location and category
+// @route   GET /api/stock/reports/valuation
+// @access  Private (Admin, Pharmacist)
+export const getInventoryValuation = async (req, res) => {
+  try {
+    const { location, category } = req.query;
+
+    const report = await inventoryReportService.getValuation({ location, category });
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Get inventory valuation error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Cost of goods dispensed and gross margin per medicine (defaults to this month)
+// @route   GET /api/stock/reports/cost-of-goods
+// @access  Private (Admin, Pharmacist)
+export const getCostOfGoodsDispensed = async (req, res) => {
+  try {
+    const { startDate, endDate, location } = req.query;
+
+    const report = await inventoryReportService.getCostOfGoods({ startDate, endDate, location });
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Get cost of goods dispensed error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,375 @@
+import { StockTransfer } from '../models/StockTransfer.js';
+import { StockLocation } from '../models/StockLocation.js';
+import { MedicineBatch } from '../models/MedicineBatch.js';
+import { StockMovement } from '../models/StockMovement.js';
+import stockLedger from '../services/stockLedger.js';
+import controlledDrugService from '../services/controlledDrugService.js';
+import { httpError } from '../utils/httpError.js';
+import logger from '../utils/logger.js';
+
+const populateTransfer = (query) => query
+  .populate('items.medicine', 'name type strength')
+  .populate('requestedBy', 'firstName lastName')
+  .populate('dispatchedBy', 'firstName lastName')
+  .populate('receivedBy', 'firstName lastName');
+
+// @desc    Get stock transfers
+// @route   GET /api/stock-transfers
+// @access  Private
+export const getStockTransfers = async (req, res) => {
+  try {
+    const { status, fromLocation, toLocation } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (fromLocation) filter.fromLocation = fromLocation.toUpperCase();
+    if (toLocation) filter.toLocation = toLocation.toUpperCase();
+
+    const transfers = await populateTransfer(StockTransfer.find(filter)).sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: transfers.length,
+      data: transfers
+    });
+  } catch (error) {
+    logger.error('Get stock transfers error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Transfers on their way to a location, waiting to be received
+// @route   GET /api/incoming-items
+// @access  Private
+export const getIncomingTransfers = async (req, res) => {
+  try {
+    const filter = { status: 'In Transit' };
+    if (req.query.location) filter.toLocation = req.query.location.toUpperCase();
+
+    const transfers = await populateTransfer(StockTransfer.find(filter)).sort('dispatchedAt');
+
+    res.status(200).json({
+      success: true,
+      count: transfers.length,
+      data: transfers
+    });
+  } catch (error) {
+    logger.error('Get incoming transfers error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get single stock transfer
+// @route   GET /api/stock-transfers/:id
+// @access  Private
+export const getStockTransfer = async (req, res) => {
+  try {
+    const transfer = await populateTransfer(StockTransfer.findById(req.params.id));
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock transfer not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: transfer
+    });
+  } catch (error) {
+    logger.error('Get stock transfer error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Request a transfer between two locations
+// @route   POST /api/stock-transfers
+// @access  Private
+export const createStockTransfer = async (req, res) => {
+  try {
+    const { fromLocation, toLocation, items, notes } = req.body;
+
+    const from = await StockLocation.resolveCode(fromLocation);
+    const to = await StockLocation.resolveCode(toLocation);
+    if (from === to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Source and destination must be different locations'
+      });
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please add at least one item'
+      });
+    }
+
+    const transfer = await StockTransfer.create({
+      transferNumber: await StockTransfer.generateTransferNumber(),
+      fromLocation: from,
+      toLocation: to,
+      items: items.map(item => ({
+        medicine: item.medicineId || item.medicine,
+        requestedQty: item.qty || item.requestedQty
+      })),
+      requestedBy: req.user.id,
+      notes
+    });
+
+    res.status(201).json({
+      success: true,
+      data: await populateTransfer(StockTransfer.findById(transfer._id))
+    });
+  } catch (error) {
+    logger.error('Create stock transfer error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Sender confirms the goods have left: stock comes off the source location
+// @route   PUT /api/stock-transfers/:id/dispatch
+// @access  Private
+export const dispatchStockTransfer = async (req, res) => {
+  try {
+    const witnessedBy = await controlledDrugService.resolveWitness(req.body.witness, req.user.id);
+
+    await stockLedger.withTransaction(async (session) => {
+      const transfer = await StockTransfer.findById(req.params.id).session(session);
+      if (!transfer) throw httpError(404, 'Stock transfer not found');
+      if (transfer.status !== 'Pending') {
+        throw httpError(400, `Cannot dispatch a transfer that is ${transfer.status}`);
+      }
+
+      for (const item of transfer.items) {
+        const deduction = await stockLedger.deduct(item.medicine, item.requestedQty, {
+          session,
+          allowPartial: true,
+          ignoreReservations: true,
+          location: transfer.fromLocation,
+          type: 'TRANSFER_OUT',
+          reason: `Transfer ${transfer.transferNumber} to ${transfer.toLocation}`,
+          transfer: transfer._id,
+          performedBy: req.user.id,
+          witnessedBy
+        });
+
+        item.dispatchedQty = deduction.quantity;
+        item.batches = deduction.allocations;
+      }
+
+      if (transfer.items.every(item => item.dispatchedQty === 0)) {
+        throw httpError(409, `No stock available at ${transfer.fromLocation} for this transfer`);
+      }
+
+      transfer.status = 'In Transit';
+      transfer.dispatchedBy = req.user.id;
+      transfer.dispatchedAt = new Date();
+      await transfer.save({ session });
+    });
+
+    const transfer = await populateTransfer(StockTransfer.findById(req.params.id));
+    const short = transfer.items.filter(item => item.dispatchedQty < item.requestedQty);
+
+    res.status(200).json({
+      success: true,
+      data: transfer,
+      ...(short.length > 0 && {
+        warning: `${short.length} item(s) dispatched short of the requested quantity`
+      })
+    });
+  } catch (error) {
+    logger.error('Dispatch stock transfer error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Receiver confirms what arrived: batches are recreated at the destination.
+//          Body may list `items: [{ itemId, receivedQty, discrepancyNote }]`; lines not
+//          listed are taken as received in full.
+// @route   PUT /api/stock-transfers/:id/receive (also PUT /api/incoming-items/:id)
+// @access  Private
+export const receiveStockTransfer = async (req, res) => {
+  try {
+    const confirmations = new Map((req.body.items || []).map(line => [String(line.itemId), line]));
+    const witnessedBy = await controlledDrugService.resolveWitness(req.body.witness, req.user.id);
+
+    await stockLedger.withTransaction(async (session) => {
+      const transfer = await StockTransfer.findById(req.params.id).session(session);
+      if (!transfer) throw httpError(404, 'Stock transfer not found');
+      if (transfer.status !== 'In Transit') {
+        throw httpError(400, `Cannot receive a transfer that is ${transfer.status}`);
+      }
+      if (transfer.dispatchedBy?.toString() === req.user.id.toString()) {
+        throw httpError(403, 'The transfer must be received by someone other than the sender');
+      }
+
+      let hasDiscrepancy = false;
+
+      for (const item of transfer.items) {
+        const confirmation = confirmations.get(item._id.toString());
+        const receivedQty = confirmation?.receivedQty !== undefined
+          ? parseInt(confirmation.receivedQty)
+          : item.dispatchedQty;
+
+        if (!(receivedQty >= 0) || receivedQty > item.dispatchedQty) {
+          throw httpError(400, `Received quantity must be between 0 and ${item.dispatchedQty}`);
+        }
+
+        item.receivedQty = receivedQty;
+        if (receivedQty < item.dispatchedQty) {
+          hasDiscrepancy = true;
+          item.discrepancyNote = confirmation?.discrepancyNote;
+        }
+
+        // Fill batches in dispatch order; any shortfall lands on the last ones
+        let remaining = receivedQty;
+        for (const sent of item.batches) {
+          const quantity = Math.min(remaining, sent.quantity);
+          sent.receivedQuantity = quantity;
+          remaining -= quantity;
+          if (quantity === 0) continue;
+
+          const [batch] = await MedicineBatch.create([{
+            medicine: item.medicine,
+            purchaseOrder: sent.purchaseOrder,
+            batchNumber: sent.batchNumber,
+            expiryDate: sent.expiryDate,
+            quantityReceived: quantity,
+            quantityRemaining: quantity,
+            buyingPrice: sent.buyingPrice,
+            sellingPrice: sent.sellingPrice,
+            location: transfer.toLocation,
+            receivedBy: req.user.id
+          }], { session });
+
+          await StockMovement.create([{
+            medicine: item.medicine,
+            batch: batch._id,
+            type: 'TRANSFER_IN',
+            quantity,
+            reason: `Transfer ${transfer.transferNumber} from ${transfer.fromLocation}`,
+            location: transfer.toLocation,
+            transfer: transfer._id,
+            unitCost: sent.buyingPrice,
+            performedBy: req.user.id
+          }], { session });
+
+          await stockLedger.recordBatchChange(batch, quantity, {
+            session,
+            registerEntry: 'transfer_in',
+            reason: `Transfer ${transfer.transferNumber} from ${transfer.fromLocation}`,
+            performedBy: req.user.id,
+            witnessedBy
+          });
+        }
+
+        // Units that left the source but never arrived are booked as a loss against the
+        // batches they were sent from, at the source location their TRANSFER_OUT came from,
+        // so the ledger still accounts for the full dispatch
+        for (const sent of item.batches) {
+          const missing = sent.quantity - sent.receivedQuantity;
+          if (missing === 0) continue;
+
+          const reason = `Transfer ${transfer.transferNumber} short receipt`;
+          await StockMovement.create([{
+            medicine: item.medicine,
+            batch: sent.batch,
+            type: 'DAMAGED',
+            quantity: missing,
+            reason,
+            location: transfer.fromLocation,
+            transfer: transfer._id,
+            unitCost: sent.buyingPrice,
+            performedBy: req.user.id
+          }], { session });
+
+          // On the register the shortfall comes back to the source and is written off there
+          const source = { _id: sent.batch, medicine: item.medicine, batchNumber: sent.batchNumber, location: transfer.fromLocation };
+          await stockLedger.recordBatchChange(source, missing, {
+            session, registerEntry: 'transfer_in', reason, performedBy: req.user.id, witnessedBy, shelfChanged: false
+          });
+          await stockLedger.recordBatchChange(source, missing, {
+            session, registerEntry: 'adjustment_out', reason, performedBy: req.user.id, witnessedBy, shelfChanged: false
+          });
+        }
+      }
+
+      transfer.status = 'Received';
+      transfer.hasDiscrepancy = hasDiscrepancy;
+      transfer.receivedBy = req.user.id;
+      transfer.receivedAt = new Date();
+      await transfer.save({ session });
+    });
+
+    const transfer = await populateTransfer(StockTransfer.findById(req.params.id));
+
+    if (transfer.hasDiscrepancy) {
+      logger.warn(`Transfer ${transfer.transferNumber} received with discrepancies`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: transfer
+    });
+  } catch (error) {
+    logger.error('Receive stock transfer error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Cancel a transfer that hasn't been dispatched
+// @route   PUT /api/stock-transfers/:id/cancel
+// @access  Private
+export const cancelStockTransfer = async (req, res) => {
+  try {
+    const transfer = await StockTransfer.findById(req.params.id);
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock transfer not found'
+      });
+    }
+
+    if (transfer.status !== 'Pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending transfers can be cancelled'
+      });
+    }
+
+    transfer.status = 'Cancelled';
+    await transfer.save();
+
+    res.status(200).json({
+      success: true,
+      data: transfer
+    });
+  } catch (error) {
+    logger.error('Cancel stock transfer error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,124 @@
+import Supplier from '../models/Supplier.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import { escapeRegex } from '../utils/escapeRegex.js';
+import logger from '../utils/logger.js';
+
+const SUPPLIER_FIELDS = [
+  'name', 'taxId', 'email', 'phone', 'address', 'contacts',
+  'paymentTermsDays', 'leadTimeDays', 'isActive', 'notes'
+];
+
+// @desc    Get suppliers
+// @route   GET /api/suppliers
+// @access  Private
+export const getSuppliers = async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    if (req.query.search) filter.name = { $regex: escapeRegex(req.query.search), $options: 'i' };
+
+    const suppliers = await Supplier.find(filter).sort('name');
+
+    res.status(200).json({
+      success: true,
+      count: suppliers.length,
+      data: suppliers
+    });
+  } catch (error) {
+    logger.error('Get suppliers error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get single supplier with its open purchase orders
+// @route   GET /api/suppliers/:id
+// @access  Private
+export const getSupplier = async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const openOrders = await PurchaseOrder.find({
+      supplier: supplier._id,
+      status: { $in: ['draft', 'sent', 'pending', 'partial'] }
+    })
+      .select('poNumber status createdAt items')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      data: { supplier, openOrders }
+    });
+  } catch (error) {
+    logger.error('Get supplier error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create supplier
+// @route   POST /api/suppliers
+// @access  Private (Admin, Pharmacist)
+export const createSupplier = async (req, res) => {
+  try {
+    const data = {};
+    SUPPLIER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const supplier = await Supplier.create(data);
+
+    res.status(201).json({
+      success: true,
+      data: supplier
+    });
+  } catch (error) {
+    logger.error('Create supplier error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.code === 11000 ? 'A supplier with this name already exists' : error.message
+    });
+  }
+};
+
+// @desc    Update supplier. Deactivate rather than delete; purchase orders refer to it.
+// @route   PUT /api/suppliers/:id
+// @access  Private (Admin, Pharmacist)
+export const updateSupplier = async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    SUPPLIER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) supplier[field] = req.body[field];
+    });
+    await supplier.save();
+
+    res.status(200).json({
+      success: true,
+      data: supplier
+    });
+  } catch (error) {
+    logger.error('Update supplier error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.code === 11000 ? 'A supplier with this name already exists' : error.message
+    });
+  }
+};
@@ -0,0 +1,355 @@
+import SupplierInvoice from '../models/SupplierInvoice.js';
+import GoodsReceivedNote from '../models/GoodsReceivedNote.js';
+import Supplier from '../models/Supplier.js';
+import supplierInvoiceService from '../services/supplierInvoiceService.js';
+import logger from '../utils/logger.js';
+
+const populateInvoice = (query) => query
+  .populate('supplier', 'name paymentTermsDays')
+  .populate('purchaseOrder', 'poNumber status')
+  .populate('goodsReceivedNotes', 'grnNumber deliveryNote createdAt')
+  .populate('lines.medicine', 'name type strength')
+  .populate('match.lines.medicine', 'name type strength')
+  .populate('enteredBy', 'firstName lastName')
+  .populate('approvedBy', 'firstName lastName');
+
+// @desc    Get supplier invoices
+// @route   GET /api/supplier-invoices
+// @access  Private (Admin, Pharmacist)
+export const getSupplierInvoices = async (req, res) => {
+  try {
+    const { status, supplier, purchaseOrder, match } = req.query;
+
+    const filter = {};
+    if (status) filter.status = { $in: status.split(',') };
+    if (supplier) filter.supplier = supplier;
+    if (purchaseOrder) filter.purchaseOrder = purchaseOrder;
+    if (match) filter['match.status'] = match;
+
+    const invoices = await SupplierInvoice.find(filter)
+      .populate('supplier', 'name')
+      .populate('purchaseOrder', 'poNumber')
+      .select('-match.lines')
+      .sort('dueDate');
+
+    res.status(200).json({
+      success: true,
+      count: invoices.length,
+      data: invoices
+    });
+  } catch (error) {
+    logger.error('Get supplier invoices error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get single supplier invoice with its match result
+// @route   GET /api/supplier-invoices/:id
+// @access  Private (Admin, Pharmacist)
+export const getSupplierInvoice = async (req, res) => {
+  try {
+    const invoice = await populateInvoice(SupplierInvoice.findById(req.params.id));
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier invoice not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    logger.error('Get supplier invoice error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Enter a supplier invoice; it is matched against the PO and GRNs straight away
+// @route   POST /api/supplier-invoices
+// @access  Private (Admin, Pharmacist)
+export const createSupplierInvoice = async (req, res) => {
+  try {
+    const invoice = await supplierInvoiceService.createInvoice({
+      data: req.body,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: await populateInvoice(SupplierInvoice.findById(invoice._id)),
+      ...(invoice.match.status === 'discrepancy' && {
+        warning: `Invoice does not match: ${invoice.match.issues.join(', ')}`
+      })
+    });
+  } catch (error) {
+    logger.error('Create supplier invoice error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.code === 11000 ? 'This invoice number is already recorded for the supplier' : error.message
+    });
+  }
+};
+
+// @desc    Correct a pending or rejected invoice and match it again
+// @route   PUT /api/supplier-invoices/:id
+// @access  Private (Admin, Pharmacist)
+export const updateSupplierInvoice = async (req, res) => {
+  try {
+    const invoice = await SupplierInvoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier invoice not found'
+      });
+    }
+
+    await supplierInvoiceService.updateInvoice(invoice, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: await populateInvoice(SupplierInvoice.findById(invoice._id)),
+      ...(invoice.match.status === 'discrepancy' && {
+        warning: `Invoice does not match: ${invoice.match.issues.join(', ')}`
+      })
+    });
+  } catch (error) {
+    logger.error('Update supplier invoice error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.code === 11000 ? 'This invoice number is already recorded for the supplier' : error.message
+    });
+  }
+};
+
+// @desc    Approve an invoice for payment. One with discrepancies needs `override.reason`.
+// @route   PUT /api/supplier-invoices/:id/approve
+// @access  Private (Admin)
+export const approveSupplierInvoice = async (req, res) => {
+  try {
+    const invoice = await SupplierInvoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier invoice not found'
+      });
+    }
+
+    if (invoice.status !== 'pending_approval') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only invoices pending approval can be approved'
+      });
+    }
+
+    if (invoice.enteredBy.toString() === req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'An invoice must be approved by someone other than the person who entered it'
+      });
+    }
+
+    const overrideReason = req.body.override?.reason?.trim();
+    if (invoice.match.status === 'discrepancy') {
+      if (!overrideReason) {
+        return res.status(409).json({
+          success: false,
+          message: 'Invoice does not match the purchase order and goods received; give a reason to approve anyway',
+          issues: invoice.match.issues,
+          variance: invoice.match.variance
+        });
+      }
+      invoice.discrepancyOverride = {
+        reason: overrideReason,
+        overriddenBy: req.user.id,
+        overriddenAt: new Date()
+      };
+    }
+
+    invoice.status = 'approved';
+    invoice.approvedBy = req.user.id;
+    invoice.approvedAt = new Date();
+    await invoice.save();
+
+    if (invoice.discrepancyOverride?.reason) {
+      logger.warn(`Invoice ${invoice.invoiceNumber} approved with discrepancies (${invoice.match.issues.join(', ')}) by ${req.user.id}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    logger.error('Approve supplier invoice error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Reject an invoice back to the supplier; its GRNs become free for the corrected one
+// @route   PUT /api/supplier-invoices/:id/reject
+// @access  Private (Admin)
+export const rejectSupplierInvoice = async (req, res) => {
+  try {
+    const invoice = await SupplierInvoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier invoice not found'
+      });
+    }
+
+    if (invoice.status !== 'pending_approval') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only invoices pending approval can be rejected'
+      });
+    }
+
+    invoice.status = 'rejected';
+    invoice.rejectionReason = req.body.reason;
+    await invoice.save();
+    await supplierInvoiceService.releaseGoodsReceivedNotes(invoice);
+
+    res.status(200).json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    logger.error('Reject supplier invoice error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Record payment of an approved invoice
+// @route   PUT /api/supplier-invoices/:id/pay
+// @access  Private (Admin)
+export const paySupplierInvoice = async (req, res) => {
+  try {
+    const invoice = await SupplierInvoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier invoice not found'
+      });
+    }
+
+    if (invoice.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only approved invoices can be paid'
+      });
+    }
+
+    invoice.status = 'paid';
+    invoice.paidAt = req.body.paidAt ? new Date(req.body.paidAt) : new Date();
+    invoice.paymentReference = req.body.paymentReference;
+    await invoice.save();
+
+    res.status(200).json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    logger.error('Pay supplier invoice error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Per supplier: value received on GRNs vs. invoiced, approved and paid
+// @route   GET /api/supplier-invoices/reports/reconciliation
+// @access  Private (Admin)
+export const getReconciliationReport = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const dateMatch = {};
+    if (startDate) dateMatch.$gte = new Date(startDate);
+    if (endDate) dateMatch.$lte = new Date(endDate);
+    const hasDates = Object.keys(dateMatch).length > 0;
+
+    const received = await GoodsReceivedNote.aggregate([
+      { $match: hasDates ? { createdAt: dateMatch } : {} },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$supplier',
+          receivedValue: { $sum: { $multiply: ['$items.quantity', { $ifNull: ['$items.unitCost', 0] }] } },
+          uninvoicedValue: {
+            $sum: {
+              $cond: [
+                { $ifNull: ['$invoice', false] },
+                0,
+                { $multiply: ['$items.quantity', { $ifNull: ['$items.unitCost', 0] }] }
+              ]
+            }
+          }
+        }
+      }
+    ]);
+
+    const billed = await SupplierInvoice.aggregate([
+      { $match: { status: { $ne: 'rejected' }, ...(hasDates && { invoiceDate: dateMatch }) } },
+      {
+        $group: {
+          _id: '$supplier',
+          invoicedValue: { $sum: '$total' },
+          approvedValue: { $sum: { $cond: [{ $in: ['$status', ['approved', 'paid']] }, '$total', 0] } },
+          paidValue: { $sum: { $cond: [{ $eq: ['$status', 'paid'] }, '$total', 0] } },
+          discrepancies: { $sum: { $cond: [{ $eq: ['$match.status', 'discrepancy'] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    const bySupplier = new Map();
+    [...received, ...billed].forEach(row => {
+      const key = String(row._id);
+      bySupplier.set(key, { ...bySupplier.get(key), ...row });
+    });
+
+    const suppliers = await Supplier.find({ _id: { $in: [...bySupplier.keys()] } }).select('name');
+    const names = new Map(suppliers.map(supplier => [supplier._id.toString(), supplier.name]));
+
+    const report = [...bySupplier.entries()].map(([id, row]) => ({
+      supplier: { _id: id, name: names.get(id) },
+      receivedValue: row.receivedValue || 0,
+      uninvoicedValue: row.uninvoicedValue || 0,
+      invoicedValue: row.invoicedValue || 0,
+      approvedValue: row.approvedValue || 0,
+      paidValue: row.paidValue || 0,
+      discrepancies: row.discrepancies || 0
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: report.length,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Get reconciliation report error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,114 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import multer from 'multer';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Kept outside the public /uploads mount; files are only served through authenticated routes
+export const RADIOLOGY_STORAGE_DIR = process.env.RADIOLOGY_STORAGE_DIR
+  || path.join(__dirname, '..', 'storage', 'radiology');
+
+const MAX_FILE_MB = parseInt(process.env.RADIOLOGY_MAX_FILE_MB) || 100;
+
+const ALLOWED_TYPES = {
+  '.jpg': ['image/jpeg'],
+  '.jpeg': ['image/jpeg'],
+  '.png': ['image/png'],
+  '.dcm': ['application/dicom', 'application/octet-stream'],
+};
+
+const radiologyStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const dir = path.join(RADIOLOGY_STORAGE_DIR, req.params.id);
+    fs.mkdir(dir, { recursive: true }, (err) => cb(err, dir));
+  },
+  filename: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${ext}`);
+  },
+});
+
+const radiologyFileFilter = (req, file, cb) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+  const allowedMimeTypes = ALLOWED_TYPES[ext];
+
+  if (!allowedMimeTypes || !allowedMimeTypes.includes(file.mimetype)) {
+    return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+  }
+  cb(null, true);
+};
+
+const radiologyMulter = multer({
+  storage: radiologyStorage,
+  fileFilter: radiologyFileFilter,
+  limits: {
+    fileSize: MAX_FILE_MB * 1024 * 1024,
+    files: 20,
+  },
+});
+
+// Accept up to 20 JPEG/PNG/DICOM files in the `images` field
+export const uploadRadiologyImages = (req, res, next) => {
+  // The request id becomes a directory name, so it must be a plain ObjectId
+  if (!/^[0-9a-fA-F]{24}$/.test(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid radiology request id',
+    });
+  }
+
+  radiologyMulter.array('images', 20)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_UNEXPECTED_FILE'
+        ? 'Only JPEG, PNG and DICOM (.dcm) files can be uploaded in the images field'
+        : err.message;
+      return res.status(400).json({
+        success: false,
+        message,
+      });
+    }
+    next(err);
+  });
+};
+
+const CATALOGUE_MAX_FILE_MB = parseInt(process.env.CATALOGUE_MAX_FILE_MB) || 10;
+
+// Spreadsheets are parsed straight from memory and never written to disk
+const catalogueMulter = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (!['.csv', '.xlsx'].includes(ext)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  },
+  limits: {
+    fileSize: CATALOGUE_MAX_FILE_MB * 1024 * 1024,
+    files: 1,
+  },
+});
+
+// Accept one CSV or XLSX file in the `file` field
+export const uploadCatalogueFile = (req, res, next) => {
+  catalogueMulter.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_UNEXPECTED_FILE'
+        ? 'Only one .csv or .xlsx file can be uploaded in the file field'
+        : err.message;
+      return res.status(400).json({
+        success: false,
+        message,
+      });
+    }
+    next(err);
+  });
+};
+
+export default {
+  uploadRadiologyImages,
+  uploadCatalogueFile,
+  RADIOLOGY_STORAGE_DIR,
+};
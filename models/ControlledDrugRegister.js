@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+
+// Entry types that add to / take from the register balance
+export const REGISTER_IN_TYPES = ['opening', 'receipt', 'transfer_in', 'return', 'adjustment_in'];
+export const REGISTER_OUT_TYPES = ['issue', 'transfer_out', 'destruction', 'return_to_supplier', 'adjustment_out'];
+
+// Running balance per medicine and location; entries take their balance from here
+const ControlledDrugBalanceSchema = new mongoose.Schema({
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true,
+  },
+  location: {
+    type: String,
+    required: true,
+  },
+  balance: {
+    type: Number,
+    default: 0,
+  },
+}, { timestamps: true });
+
+ControlledDrugBalanceSchema.index({ medicine: 1, location: 1 }, { unique: true });
+
+// One line in the controlled drugs register. Entries are never edited; corrections are new entries.
+const ControlledDrugRegisterSchema = new mongoose.Schema({
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true,
+  },
+  location: {
+    type: String,
+    required: true,
+  },
+  entryType: {
+    type: String,
+    enum: [...REGISTER_IN_TYPES, ...REGISTER_OUT_TYPES],
+    required: true,
+  },
+  quantity: { // Always positive; entryType gives the direction
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  balance: { // Register balance after this entry
+    type: Number,
+    required: true,
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicineBatch',
+  },
+  batchNumber: String,
+  reason: String,
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Second signature; only the opening entry is written without one
+  witnessedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() { return this.entryType !== 'opening'; },
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ControlledDrugRegisterSchema.index({ medicine: 1, location: 1, createdAt: 1 });
+
+export const ControlledDrugBalance = mongoose.model('ControlledDrugBalance', ControlledDrugBalanceSchema);
+export const ControlledDrugRegister = mongoose.model('ControlledDrugRegister', ControlledDrugRegisterSchema);
@@ -9,6 +9,10 @@ const DepartmentSchema = new mongoose.Schema({
     description: {
         type: String,
         trim: true
+    },
+    head: { // Receives escalations, e.g. unacknowledged critical lab results
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
     }
 }, {
     timestamps: true,
@@ -1,25 +1,103 @@
 import mongoose from 'mongoose';
+import { Sequence } from './Sequence.js';
 
+export const SALE_PAYMENT_METHODS = ['cash', 'mobile_money'];
+
+// Quantity taken from one batch to fill a sale line
+const SoldBatchSchema = new mongoose.Schema({
+  batch: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'MedicineBatch',
+  },
+  batchNumber: String,
+  expiryDate: Date,
+  quantity: Number,
+}, { _id: false });
+
+// Prices are resolved on the server from the price list; the client never sets them
 const SoldMedicineSchema = new mongoose.Schema({
+  medicine: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Medicine',
+  },
   name: String,
   qty: Number,
-  price: Number,
+  unitPrice: Number,
+  lineTotal: Number,
+  batches: [SoldBatchSchema],
+  qtyReturned: {
+    type: Number,
+    default: 0,
+  },
 });
 
 const DirectDispensingSchema = new mongoose.Schema({
+  receiptNumber: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
   clientName: {
     type: String,
-    required: true,
+    default: 'Walk-in client',
+  },
+  patient: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Patient',
+  },
+  priceList: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'PriceList',
   },
   medicines: [SoldMedicineSchema],
+  subtotal: Number,
+  discount: {
+    amount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    reason: String,
+    approvedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+  },
   totalCost: {
     type: Number,
     required: true,
   },
+  payment: {
+    method: {
+      type: String,
+      enum: SALE_PAYMENT_METHODS,
+    },
+    amountTendered: Number,
+    change: Number,
+    // Mobile money network and the transaction id from the confirmation message
+    provider: String,
+    reference: String,
+  },
+  shift: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'PharmacyShift',
+  },
+  location: String,
+  issuedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
   date: {
     type: Date,
     default: Date.now,
   },
 });
 
-export default mongoose.model('DirectDispensing', DirectDispensingSchema);
\ No newline at end of file
+DirectDispensingSchema.index({ shift: 1, date: 1 });
+
+// Taken from an atomic counter; pass the session when numbering inside a transaction
+DirectDispensingSchema.statics.generateReceiptNumber = function(session) {
+  return Sequence.nextNumber('RCT', { model: this, field: 'receiptNumber', session });
+};
+
+export default mongoose.model('DirectDispensing', DirectDispensingSchema);
@@ -1,12 +1,32 @@
 import mongoose from 'mongoose';
 
+// Quantity taken from one batch to fill this dispensing
+const DispensedBatchSchema = new mongoose.Schema({
+  batch: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'MedicineBatch',
+  },
+  batchNumber: String,
+  expiryDate: Date,
+  quantity: Number,
+}, { _id: false });
+
 const DispensingSchema = new mongoose.Schema({
   patient: {
     type: mongoose.Schema.ObjectId,
     ref: 'Patient',
     required: true,
   },
+  prescription: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Prescription',
+  },
   medicine: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Medicine',
+  },
+  // Name at the time of dispensing; older records only have this
+  medicineName: {
     type: String,
     required: true,
   },
@@ -14,14 +34,27 @@ const DispensingSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  // What was asked for at the counter; more than `quantity` when stock was short
+  quantityRequested: Number,
+  batches: [DispensedBatchSchema],
+  unitPrice: Number, // Price charged per unit, used when crediting a return
+  quantityReturned: {
+    type: Number,
+    default: 0,
+  },
   issuedBy: {
-    type: String, // Or could be a ref to a User model
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
     required: true,
   },
+  notes: String,
   date: {
     type: Date,
     default: Date.now,
   },
 });
 
-export default mongoose.model('Dispensing', DispensingSchema);
\ No newline at end of file
+DispensingSchema.index({ prescription: 1 });
+DispensingSchema.index({ patient: 1, date: -1 });
+
+export default mongoose.model('Dispensing', DispensingSchema);
@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+export const INTERACTION_SEVERITIES = ['minor', 'moderate', 'major', 'contraindicated'];
+
+// One row per pair of generic names. The pair is stored in sorted order so
+// (warfarin, aspirin) and (aspirin, warfarin) resolve to the same entry.
+const DrugInteractionSchema = new mongoose.Schema({
+  drugA: {
+    type: String,
+    required: [true, 'Please add the first generic name'],
+    trim: true,
+    lowercase: true,
+  },
+  drugB: {
+    type: String,
+    required: [true, 'Please add the second generic name'],
+    trim: true,
+    lowercase: true,
+  },
+  severity: {
+    type: String,
+    enum: INTERACTION_SEVERITIES,
+    required: [true, 'Please add a severity'],
+  },
+  description: {
+    type: String,
+    required: [true, 'Please describe the interaction'],
+  },
+  management: String,
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, { timestamps: true });
+
+DrugInteractionSchema.index({ drugA: 1, drugB: 1 }, { unique: true });
+DrugInteractionSchema.index({ drugB: 1 });
+
+DrugInteractionSchema.pre('validate', function(next) {
+  if (this.drugA && this.drugB && this.drugA.toLowerCase() > this.drugB.toLowerCase()) {
+    [this.drugA, this.drugB] = [this.drugB, this.drugA];
+  }
+  next();
+});
+
+// Active interactions between one generic name and any of the others
+DrugInteractionSchema.statics.findBetween = function(genericName, otherNames) {
+  const name = genericName.toLowerCase();
+  const others = otherNames.map(n => n.toLowerCase()).filter(n => n !== name);
+  if (others.length === 0) return Promise.resolve([]);
+
+  return this.find({
+    isActive: true,
+    $or: [
+      { drugA: name, drugB: { $in: others } },
+      { drugB: name, drugA: { $in: others } }
+    ]
+  });
+};
+
+export const DrugInteraction = mongoose.model('DrugInteraction', DrugInteractionSchema);
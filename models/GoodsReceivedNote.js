@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+const GoodsReceivedItemSchema = new mongoose.Schema({
+  poLine: { // PurchaseOrder.items._id, when the order has lines
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true,
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicineBatch',
+  },
+  batchNumber: String,
+  expiryDate: Date,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  unitCost: { // Buying price recorded at receipt
+    type: Number,
+    default: 0,
+  },
+});
+
+const GoodsReceivedNoteSchema = new mongoose.Schema({
+  grnNumber: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    required: true,
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+  },
+  deliveryNote: { // Supplier's delivery note / waybill reference
+    type: String,
+    trim: true,
+  },
+  location: String,
+  items: [GoodsReceivedItemSchema],
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Set once a supplier invoice has been matched against this note
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SupplierInvoice',
+  },
+  notes: String,
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+GoodsReceivedNoteSchema.index({ purchaseOrder: 1, createdAt: -1 });
+
+GoodsReceivedNoteSchema.virtual('totalValue').get(function() {
+  return this.items.reduce((sum, item) => sum + item.quantity * (item.unitCost || 0), 0);
+});
+
+// Generate GRN number
+GoodsReceivedNoteSchema.statics.generateGrnNumber = async function() {
+  const date = new Date();
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+
+  const lastGrn = await this.findOne({
+    grnNumber: new RegExp(`^GRN-${year}${month}-`)
+  }).sort({ grnNumber: -1 });
+
+  let sequence = 1;
+  if (lastGrn) {
+    sequence = parseInt(lastGrn.grnNumber.split('-')[2]) + 1;
+  }
+
+  return `GRN-${year}${month}-${String(sequence).padStart(5, '0')}`;
+};
+
+export default mongoose.model('GoodsReceivedNote', GoodsReceivedNoteSchema);
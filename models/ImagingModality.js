@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const ImagingModalitySchema = new mongoose.Schema({
+  name: { // e.g. "X-Ray Room 1"
+    type: String,
+    required: [true, 'Please provide a modality name'],
+    trim: true,
+  },
+  code: {
+    type: String,
+    required: [true, 'Please provide a modality code'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+  },
+  modalityType: {
+    type: String,
+    enum: ['X-Ray', 'Ultrasound', 'CT', 'MRI', 'Mammography', 'Fluoroscopy', 'Other'],
+    required: [true, 'Please specify the modality type'],
+  },
+  room: {
+    type: String,
+    required: [true, 'Please specify the room'],
+  },
+  slotMinutes: {
+    type: Number,
+    default: 15,
+    min: 5,
+  },
+  dayStart: {
+    type: String,
+    default: '08:00',
+    match: [TIME_PATTERN, 'Use HH:mm for the day start'],
+  },
+  dayEnd: {
+    type: String,
+    default: '17:00',
+    match: [TIME_PATTERN, 'Use HH:mm for the day end'],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, { timestamps: true });
+
+// Bookable slots for a day (YYYY-MM-DD, server local time)
+ImagingModalitySchema.methods.generateSlots = function(date) {
+  const dayStart = new Date(`${date}T${this.dayStart}:00`);
+  const dayEnd = new Date(`${date}T${this.dayEnd}:00`);
+  const slotMs = this.slotMinutes * 60 * 1000;
+
+  if (Number.isNaN(dayStart.getTime())) {
+    throw new Error('Invalid date, expected YYYY-MM-DD');
+  }
+
+  const slots = [];
+  for (let start = dayStart.getTime(); start + slotMs <= dayEnd.getTime(); start += slotMs) {
+    slots.push({ start: new Date(start), end: new Date(start + slotMs) });
+  }
+  return slots;
+};
+
+export default mongoose.model('ImagingModality', ImagingModalitySchema);
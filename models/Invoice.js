@@ -37,6 +37,19 @@ const invoiceSchema = new mongoose.Schema({
       required: true
     },
     code: String,
+    // Catalogue item the line charges for; its price comes from the patient's price list
+    medicine: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medicine'
+    },
+    service: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service'
+    },
+    priceList: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PriceList'
+    },
     description: {
       type: String,
       required: true
@@ -1,19 +1,12 @@
 import mongoose from 'mongoose';
 
+// A chargeable item that isn't a medicine or service; its prices live on the price lists
 const ItemPriceSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
     unique: true,
   },
-  prices: {
-    BRITAM: Number,
-    NSSF: Number,
-    NHIF: Number,
-    ASSEMBLE: Number,
-    Pharmacy: Number,
-    HospitalShop: Number,
-  },
 });
 
 export default mongoose.model('ItemPrice', ItemPriceSchema);
\ No newline at end of file
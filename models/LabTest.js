@@ -1,16 +1,79 @@
 import mongoose from 'mongoose';
 
+// One measured parameter of a panel, with the reference range it was flagged against
+const resultValueSchema = new mongoose.Schema({
+  parameterCode: {
+    type: String,
+    required: true
+  },
+  parameterName: String,
+  value: Number,
+  textValue: String,
+  unit: String,
+  referenceLow: Number,
+  referenceHigh: Number,
+  criticalLow: Number,
+  criticalHigh: Number,
+  flag: {
+    type: String,
+    enum: ['normal', 'low', 'high', 'critical_low', 'critical_high']
+  },
+  comment: String
+}, { _id: false });
+
+const SPECIMEN_TYPES = ['Whole Blood', 'Serum', 'Plasma', 'Urine', 'Stool', 'Sputum', 'CSF', 'Swab', 'Tissue', 'Other'];
+const REJECTION_REASONS = ['haemolysed', 'insufficient', 'clotted', 'mislabelled', 'contaminated', 'other'];
+
+// Allowed status changes. Completed/Cancelled are set through the result update; results
+// need a specimen the lab has received (Received is allowed for labs that skip the start step)
+const SPECIMEN_TRANSITIONS = {
+  Collected: ['Pending', 'Rejected'],
+  Received: ['Collected'],
+  'In Process': ['Received'],
+  Rejected: ['Collected', 'Received', 'In Process'],
+  Completed: ['Received', 'In Process'],
+  Cancelled: ['Pending', 'Collected', 'Received', 'In Process', 'Rejected']
+};
+
+// Audit trail entry for the specimen (collection, receipt, rejection...)
+const specimenEventSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: ['Collected', 'Received', 'In Process', 'Rejected'],
+    required: true
+  },
+  accessionNumber: String,
+  performedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  reason: String,
+  notes: String
+}, { _id: false });
+
 const labTestSchema = new mongoose.Schema({
   testName: {
     type: String,
     required: false,
     trim: true
   },
+  catalogItem: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'LabTestCatalog'
+  },
   patient:{
     type: mongoose.Schema.ObjectId,
     ref: 'Patient',
     required: true
   },
+  visit: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Visit'
+  },
   orderedBy:{
     type: mongoose.Schema.ObjectId,
     ref: 'User',
@@ -18,12 +81,72 @@ const labTestSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Pending', 'Completed', 'Cancelled'],
+    enum: ['Pending', 'Collected', 'Received', 'In Process', 'Completed', 'Rejected', 'Cancelled'],
     default: 'Pending'
   },
-  results: {
+  priority: {
+    type: String,
+    enum: ['Routine', 'Urgent', 'STAT'],
+    default: 'Routine'
+  },
+  accessionNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  specimen: {
+    sampleType: {
+      type: String,
+      enum: SPECIMEN_TYPES
+    },
+    collectedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    collectedAt: Date,
+    receivedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    receivedAt: Date,
+    processingStartedAt: Date,
+    rejectedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    rejectedAt: Date,
+    rejectionReason: {
+      type: String,
+      enum: REJECTION_REASONS
+    },
+    rejectionNotes: String
+  },
+  specimenEvents: [specimenEventSchema],
+  notes: String,
+  results: { // Free-text interpretation / comments
     type: String
   },
+  resultValues: [resultValueSchema],
+  criticalAlert: { // Set once critical results have been notified to the ordering doctor
+    raisedAt: Date,
+    acknowledgedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    acknowledgedAt: Date,
+    acknowledgementNote: String,
+    escalationLevel: Number,
+    nextEscalationAt: Date,
+    escalatedTo: [{
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    }]
+  },
+  resultedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  completedAt: Date,
   category: {
     type: String,
     required: false,
@@ -34,6 +157,53 @@ const labTestSchema = new mongoose.Schema({
     unique: true,
     sparse: true
   }
-}, { timestamps: true });
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual flagging any result outside the critical limits
+labTestSchema.virtual('hasCriticalResults').get(function() {
+  return (this.resultValues || []).some(r => r.flag === 'critical_low' || r.flag === 'critical_high');
+});
+
+// Generate accession number, e.g. LAB-20250314-0007
+labTestSchema.statics.generateAccessionNumber = async function() {
+  const date = new Date();
+  const stamp = `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+
+  const last = await this.findOne({
+    accessionNumber: new RegExp(`^LAB-${stamp}-`)
+  }).sort({ accessionNumber: -1 });
+
+  let sequence = 1;
+  if (last) {
+    sequence = parseInt(last.accessionNumber.split('-')[2]) + 1;
+  }
+
+  return `LAB-${stamp}-${String(sequence).padStart(4, '0')}`;
+};
+
+labTestSchema.methods.canTransitionTo = function(status) {
+  return (SPECIMEN_TRANSITIONS[status] || []).includes(this.status);
+};
+
+labTestSchema.methods.recordSpecimenEvent = function(event, userId, details = {}) {
+  this.specimenEvents.push({
+    event,
+    accessionNumber: this.accessionNumber,
+    performedBy: userId,
+    ...details
+  });
+  this.status = event;
+  return this;
+};
+
+labTestSchema.index({ status: 1, priority: 1, createdAt: 1 });
+labTestSchema.index({ completedAt: 1 });
+labTestSchema.index({ 'criticalAlert.acknowledgedAt': 1, 'criticalAlert.nextEscalationAt': 1 });
+
+export { SPECIMEN_TYPES, REJECTION_REASONS };
 
-export default mongoose.model('LabTest', labTestSchema);
\ No newline at end of file
+export default mongoose.model('LabTest', labTestSchema);
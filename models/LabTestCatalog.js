@@ -0,0 +1,167 @@
+import mongoose from 'mongoose';
+import { SPECIMEN_TYPES } from './LabTest.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reference interval for one parameter. Ages are in years (fractions allowed for neonates),
+// ageMin is inclusive and ageMax is exclusive.
+const referenceRangeSchema = new mongoose.Schema({
+  sex: {
+    type: String,
+    enum: ['Any', 'Male', 'Female'],
+    default: 'Any'
+  },
+  ageMin: {
+    type: Number,
+    default: 0
+  },
+  ageMax: {
+    type: Number,
+    default: 150
+  },
+  low: Number,
+  high: Number,
+  criticalLow: Number,
+  criticalHigh: Number
+}, { _id: false });
+
+const parameterSchema = new mongoose.Schema({
+  code: { // e.g. HGB, WBC, ALT
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  unit: String,
+  valueType: {
+    type: String,
+    enum: ['numeric', 'text'],
+    default: 'numeric'
+  },
+  referenceRanges: [referenceRangeSchema],
+  displayOrder: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const labTestCatalogSchema = new mongoose.Schema({
+  code: { // Panel code, e.g. CBC, LFT
+    type: String,
+    required: [true, 'Please provide a test code'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a test name'],
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: ['Hematology', 'Chemistry', 'Microbiology', 'Imaging', 'Other'],
+    default: 'Other'
+  },
+  specimenType: { // Default sample type collected for this test
+    type: String,
+    enum: SPECIMEN_TYPES
+  },
+  parameters: [parameterSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+labTestCatalogSchema.index({ name: 1 });
+labTestCatalogSchema.index({ category: 1, isActive: 1 });
+
+const normaliseSex = (gender) => {
+  if (!gender) return null;
+  const value = gender.toLowerCase();
+  if (value === 'male') return 'Male';
+  if (value === 'female') return 'Female';
+  return null;
+};
+
+const ageInYears = (dateOfBirth, at = new Date()) => {
+  if (!dateOfBirth) return null;
+  return (at - new Date(dateOfBirth)) / (365.25 * DAY_MS);
+};
+
+const flagValue = (value, range) => {
+  if (!range) return undefined;
+  if (range.criticalLow !== undefined && value <= range.criticalLow) return 'critical_low';
+  if (range.criticalHigh !== undefined && value >= range.criticalHigh) return 'critical_high';
+  if (range.low !== undefined && value < range.low) return 'low';
+  if (range.high !== undefined && value > range.high) return 'high';
+  return 'normal';
+};
+
+// Pick the reference range matching the patient's age and sex. A sex-specific range wins
+// over an 'Any' range covering the same age.
+labTestCatalogSchema.methods.getReferenceRange = function(parameterCode, patient = {}) {
+  const parameter = this.parameters.find(p => p.code === parameterCode.toUpperCase());
+  if (!parameter) return null;
+
+  const sex = normaliseSex(patient.gender);
+  const age = ageInYears(patient.dateOfBirth);
+
+  const candidates = parameter.referenceRanges.filter(range => {
+    if (range.sex !== 'Any' && range.sex !== sex) return false;
+    if (age === null) return true;
+    return age >= range.ageMin && age < range.ageMax;
+  });
+
+  return candidates.find(range => range.sex !== 'Any') || candidates[0] || null;
+};
+
+// Turn raw `{ parameter, value }` entries into flagged result values for a patient
+labTestCatalogSchema.methods.evaluateResults = function(entries, patient = {}) {
+  return entries.map(entry => {
+    const code = (entry.parameter || entry.code || '').toUpperCase();
+    const parameter = this.parameters.find(p => p.code === code);
+
+    if (!parameter) {
+      throw new Error(`Unknown parameter '${code}' for test ${this.code}`);
+    }
+
+    const result = {
+      parameterCode: parameter.code,
+      parameterName: parameter.name,
+      unit: parameter.unit,
+      comment: entry.comment
+    };
+
+    if (parameter.valueType === 'text') {
+      result.textValue = entry.value;
+      return result;
+    }
+
+    const value = Number(entry.value);
+    if (entry.value === '' || entry.value === null || entry.value === undefined || Number.isNaN(value)) {
+      throw new Error(`Result for ${parameter.code} must be a number`);
+    }
+
+    const range = this.getReferenceRange(parameter.code, patient);
+
+    result.value = value;
+    result.flag = flagValue(value, range);
+    if (range) {
+      result.referenceLow = range.low;
+      result.referenceHigh = range.high;
+      result.criticalLow = range.criticalLow;
+      result.criticalHigh = range.criticalHigh;
+    }
+
+    return result;
+  });
+};
+
+export default mongoose.model('LabTestCatalog', labTestCatalogSchema);
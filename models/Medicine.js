@@ -1,5 +1,8 @@
 import mongoose from "mongoose";
 
+// Controlled drug schedules; any scheduled medicine goes through the controlled drugs register
+export const CONTROLLED_SCHEDULES = ['I', 'II', 'III', 'IV', 'V'];
+
 const MedicineSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -10,6 +13,12 @@ const MedicineSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  // Allergy classes this medicine belongs to, e.g. "penicillins", "sulfonamides"
+  allergenGroups: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+  }],
   type: {
     type: String,
     enum: ['Syrup', 'Injection', 'Infusion', 'Gel', 'Capsule', 'Tablet', 'Cream', 'Drop', 'Inhaler', 'Other'],
@@ -25,22 +34,24 @@ const MedicineSchema = new mongoose.Schema({
     type: String,
     // enum: ['Antibiotic', 'Analgesic', 'Antiviral', 'Antifungal', 'Cardiovascular', 'Diabetic', 'Other']
   },
+  controlledSchedule: {
+    type: String,
+    enum: CONTROLLED_SCHEDULES,
+  },
   sellingPrice: {
     type: Number,
     required: [true, 'Please add selling price'],
   },
-  prices: {
-    BRITAM: { type: Number, default: '-' },
-    NSSF: { type: Number, default: '-' },
-    NHIF: { type: Number, default: '-' },
-    ASSEMBLE: { type: Number, default: '-' },
-    Pharmacy: { type: Number, default: '-' },
-    HospitalShop: { type: Number, default: '-' },
-  },
   reorderLevel: {
     type: Number,
     default: 10,
   },
+  // Bumped whenever stock is reserved, so concurrent reservations conflict and are retried
+  reservationVersion: {
+    type: Number,
+    default: 0,
+    select: false,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { DEFAULT_LOCATION } from "./StockLocation.js";
 
 const MedicineBatchSchema = new mongoose.Schema({
   medicine: {
@@ -35,9 +36,11 @@ const MedicineBatchSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
-  location: {
+  location: { // StockLocation code
     type: String,
-    default: 'MAIN STORE',
+    default: DEFAULT_LOCATION,
+    uppercase: true,
+    trim: true,
   },
   status: {
     type: String,
@@ -54,13 +57,40 @@ const MedicineBatchSchema = new mongoose.Schema({
   },
 });
 
+// Only usable batches change status on their own; expired and damaged batches keep
+// the status the expiry sweep or quarantine flow gave them
 MedicineBatchSchema.pre('save', function(next) {
-  if (this.quantityRemaining <= 0) {
-    this.status = 'depleted';
-  } else if (this.expiryDate < new Date()) {
+  if (this.status !== 'active') return next();
+
+  if (this.expiryDate < new Date()) {
     this.status = 'expired';
+  } else if (this.quantityRemaining <= 0) {
+    this.status = 'depleted';
   }
   next();
 });
 
+// Batches that can still be issued: active, in date and not empty; optionally at one location
+MedicineBatchSchema.statics.usableFilter = function(medicineId, location) {
+  return {
+    medicine: medicineId,
+    status: 'active',
+    quantityRemaining: { $gt: 0 },
+    expiryDate: { $gt: new Date() },
+    ...(location && { location })
+  };
+};
+
+// Total usable quantity of a medicine across its batches (or at one location)
+MedicineBatchSchema.statics.getOnHand = async function(medicineId, { session, location } = {}) {
+  const [stock] = await this.aggregate([
+    { $match: this.usableFilter(new mongoose.Types.ObjectId(String(medicineId)), location) },
+    { $group: { _id: null, total: { $sum: '$quantityRemaining' } } }
+  ]).session(session || null);
+
+  return stock?.total || 0;
+};
+
+MedicineBatchSchema.index({ medicine: 1, location: 1, status: 1, expiryDate: 1 });
+
 export const MedicineBatch = mongoose.model('MedicineBatch', MedicineBatchSchema);
\ No newline at end of file
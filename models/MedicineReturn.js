@@ -0,0 +1,122 @@
+import mongoose from "mongoose";
+import { Sequence } from "./Sequence.js";
+
+export const RETURN_SOURCE_TYPES = ['Dispensing', 'DirectDispensing'];
+
+// Quantity handed back from one of the batches the original issue came from
+const ReturnedBatchSchema = new mongoose.Schema({
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicineBatch',
+    required: true,
+  },
+  batchNumber: String,
+  expiryDate: Date,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+}, { _id: false });
+
+// Medicine a patient brought back. It goes back into its original batch (restock) or is
+// destroyed, and the patient is credited on their visit or refunded.
+const MedicineReturnSchema = new mongoose.Schema({
+  returnNumber: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  sourceType: {
+    type: String,
+    enum: RETURN_SOURCE_TYPES,
+    required: true,
+  },
+  source: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'sourceType',
+    required: true,
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+  },
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true,
+  },
+  medicineName: String,
+  batches: [ReturnedBatchSchema],
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  disposition: {
+    type: String,
+    enum: ['restock', 'destroy'],
+    required: true,
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please give a reason for the return'],
+  },
+  unitPrice: Number,
+  creditAmount: {
+    type: Number,
+    default: 0,
+  },
+  settlement: {
+    type: {
+      type: String,
+      enum: ['visit_credit', 'refund'],
+      required: true,
+    },
+    visit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Visit',
+    },
+    method: { // Refunds only
+      type: String,
+      enum: ['cash', 'mobile_money'],
+    },
+    reference: String,
+    shift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PharmacyShift',
+    },
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  witnessedBy: { // Controlled drugs only
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  notes: String,
+}, {
+  timestamps: true,
+});
+
+MedicineReturnSchema.index({ sourceType: 1, source: 1 });
+MedicineReturnSchema.index({ patient: 1, createdAt: -1 });
+
+// Taken from an atomic counter; pass the session when numbering inside a transaction
+MedicineReturnSchema.statics.generateReturnNumber = function(session) {
+  return Sequence.nextNumber('RTN', { model: this, field: 'returnNumber', session });
+};
+
+// Units already returned from each batch of one issue, keyed by batch id
+MedicineReturnSchema.statics.returnedByBatch = async function(sourceType, source, medicine, session) {
+  const rows = await this.aggregate([
+    { $match: { sourceType, source: new mongoose.Types.ObjectId(source), medicine: new mongoose.Types.ObjectId(medicine) } },
+    { $unwind: '$batches' },
+    { $group: { _id: '$batches.batch', quantity: { $sum: '$batches.quantity' } } }
+  ]).session(session || null);
+  return new Map(rows.map(row => [row._id.toString(), row.quantity]));
+};
+
+export const MedicineReturn = mongoose.model('MedicineReturn', MedicineReturnSchema);
@@ -22,7 +22,8 @@ const notificationSchema = new mongoose.Schema({
       'system_announcement',
       'message',
       'task_assigned',
-      'patient_critical'
+      'patient_critical',
+      'critical_lab_result'
     ],
     required: true
   },
@@ -42,7 +43,7 @@ const notificationSchema = new mongoose.Schema({
   relatedEntity: {
     entityType: {
       type: String,
-      enum: ['appointment', 'patient', 'visit', 'labtest', 'prescription', 'invoice']
+      enum: ['appointment', 'patient', 'visit', 'labtest', 'prescription', 'invoice', 'requisition']
     },
     entityId: mongoose.Schema.Types.ObjectId
   },
@@ -51,6 +52,15 @@ const notificationSchema = new mongoose.Schema({
     default: false
   },
   readAt: Date,
+  requiresAcknowledgement: {
+    type: Boolean,
+    default: false
+  },
+  acknowledgedAt: Date,
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   actionUrl: String,
   metadata: {
     type: Map,
@@ -72,6 +82,14 @@ notificationSchema.methods.markAsRead = async function() {
   await this.save();
 };
 
+notificationSchema.methods.acknowledge = async function(userId) {
+  this.acknowledgedAt = new Date();
+  this.acknowledgedBy = userId;
+  this.isRead = true;
+  this.readAt = this.readAt || this.acknowledgedAt;
+  await this.save();
+};
+
 // Static methods
 notificationSchema.statics.getUnreadCount = async function(userId) {
   return await this.countDocuments({ recipient: userId, isRead: false });
@@ -105,14 +105,11 @@ const patientSchema = new mongoose.Schema({
     }
   }],
   insurance: {
+    // Selects the price list the patient is charged from
     provider: {
-      type: String,
-      enum: {
-        values: ['NHIF', 'NSSF', 'ASSEMBLE', 'BRITAM'],
-        message: 'Invalid insurance provider'
-      },
-      default: null,
-      sparse: true
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InsuranceProvider',
+      default: null
     },
     membershipNumber: {
       type: String,
@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+import { Sequence } from "./Sequence.js";
+
+// One pharmacist's till session: opened with a cash float, closed with a cash count.
+// Every walk-in sale belongs to the seller's open shift.
+const PharmacyShiftSchema = new mongoose.Schema({
+  shiftNumber: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  pharmacist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  location: {
+    type: String,
+    uppercase: true,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open',
+  },
+  openingFloat: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Filled in at cash-up
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  totals: {
+    sales: Number,
+    discounts: Number,
+    cash: Number,
+    mobileMoney: Number,
+    salesCount: Number,
+    refunds: Number, // Returned medicine paid back to patients
+    cashRefunds: Number,
+  },
+  expectedCash: Number, // openingFloat + cash taken - cash refunded
+  countedCash: {
+    type: Number,
+    min: 0,
+  },
+  variance: Number, // countedCash - expectedCash; negative is a shortage
+  notes: String,
+}, {
+  timestamps: true,
+});
+
+// A pharmacist has at most one open till
+PharmacyShiftSchema.index(
+  { pharmacist: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+PharmacyShiftSchema.index({ openedAt: -1 });
+
+// Taken from an atomic counter; pass the session when numbering inside a transaction
+PharmacyShiftSchema.statics.generateShiftNumber = function(session) {
+  return Sequence.nextNumber('SHF', { model: this, field: 'shiftNumber', session });
+};
+
+export const PharmacyShift = mongoose.model('PharmacyShift', PharmacyShiftSchema);
@@ -1,6 +1,30 @@
 import mongoose from "mongoose";
+import { FREQUENCY_CODES, DOSE_UNITS, ROUTES } from "../utils/dosing.js";
+import { INTERACTION_SEVERITIES } from "./DrugInteraction.js";
+
+// Allergy / interaction warning shown to the prescriber when the prescription was written
+const safetyWarningSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['allergy', 'interaction']
+    },
+    severity: {
+        type: String,
+        enum: INTERACTION_SEVERITIES
+    },
+    message: String,
+    allergy: String,
+    interactingDrug: String,
+    management: String
+}, { _id: false });
 
 const prescriptionSchema = new mongoose.Schema({
+    medicine: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Medicine'
+    },
+
+    // Display name of the medicine; filled from the catalogue for structured prescriptions
     medication: {
         type: String,
         required: true
@@ -12,6 +36,56 @@ const prescriptionSchema = new mongoose.Schema({
         required: true
     },
 
+    visit: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Visit'
+    },
+
+    // Structured dosing
+    dose: {
+        type: Number,
+        min: [0, 'Dose must be positive']
+    },
+    doseUnit: {
+        type: String,
+        enum: DOSE_UNITS
+    },
+    route: {
+        type: String,
+        enum: ROUTES
+    },
+    frequencyCode: {
+        type: String,
+        enum: Object.keys(FREQUENCY_CODES)
+    },
+    maxDosesPerDay: Number, // PRN only
+    durationDays: {
+        type: Number,
+        min: [1, 'Duration must be at least one day']
+    },
+    // Total dispensing units for the course
+    quantity: {
+        type: Number,
+        min: [1, 'Quantity must be at least 1']
+    },
+    quantityComputed: {
+        type: Boolean,
+        default: false
+    },
+
+    // Pharmacy progress against `quantity`
+    quantityDispensed: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    dispenseStatus: {
+        type: String,
+        enum: ['pending', 'partial', 'dispensed'],
+        default: 'pending'
+    },
+
+    // Free-text summaries derived from the structured fields
     dosage: {
         type: String,
         required: true
@@ -25,6 +99,16 @@ const prescriptionSchema = new mongoose.Schema({
     duration: String,
     notes: String,
 
+    safetyWarnings: [safetyWarningSchema],
+    override: {
+        reason: String,
+        overriddenBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        overriddenAt: Date
+    },
+
     prescribedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
@@ -39,6 +123,17 @@ const prescriptionSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     }
+}, {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+prescriptionSchema.index({ patient: 1, isActive: 1 });
+prescriptionSchema.index({ dispenseStatus: 1, isActive: 1 });
+
+prescriptionSchema.virtual('quantityOutstanding').get(function() {
+    if (!this.quantity) return undefined;
+    return Math.max(this.quantity - (this.quantityDispensed || 0), 0);
 });
 
-export default mongoose.model('Prescription', prescriptionSchema);
\ No newline at end of file
+export default mongoose.model('Prescription', prescriptionSchema);
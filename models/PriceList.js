@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// A set of prices for one payer: cash patients, an insurer, a corporate scheme
+const PriceListSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide price list name'],
+    trim: true,
+  },
+  code: {
+    type: String,
+    required: [true, 'Please provide price list code'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  payerType: {
+    type: String,
+    enum: ['cash', 'insurance', 'corporate', 'other'],
+    default: 'cash',
+  },
+  // Patients covered by this insurer are charged from this list
+  insuranceProvider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InsuranceProvider',
+  },
+  // Used for patients without a payer list, and for anything a payer list doesn't price
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  notes: String,
+}, {
+  timestamps: true,
+});
+
+PriceListSchema.index(
+  { insuranceProvider: 1 },
+  { unique: true, partialFilterExpression: { insuranceProvider: { $exists: true } } }
+);
+PriceListSchema.index({ isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+export default mongoose.model('PriceList', PriceListSchema);
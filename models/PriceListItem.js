@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+export const PRICED_ITEM_TYPES = ['Medicine', 'Service', 'ItemPrice'];
+
+// One price for one item on one list, valid from effectiveFrom until effectiveTo
+// (open-ended when unset). Prices are never overwritten: a change closes the current
+// entry and starts a new one, so the history stays.
+const PriceListItemSchema = new mongoose.Schema({
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList',
+    required: true,
+  },
+  itemType: {
+    type: String,
+    enum: PRICED_ITEM_TYPES,
+    required: true,
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'itemType',
+    required: true,
+  },
+  price: {
+    type: Number,
+    required: [true, 'Please provide price'],
+    min: 0,
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true,
+    default: Date.now,
+  },
+  effectiveTo: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  notes: String,
+}, {
+  timestamps: true,
+});
+
+PriceListItemSchema.index({ priceList: 1, itemType: 1, item: 1, effectiveFrom: -1 });
+
+// Entry in force on `date`
+PriceListItemSchema.statics.effectiveFilter = function(date = new Date()) {
+  return {
+    effectiveFrom: { $lte: date },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gt: date } }]
+  };
+};
+
+export default mongoose.model('PriceListItem', PriceListItemSchema);
@@ -1,5 +1,45 @@
 import mongoose from 'mongoose';
 
+const PurchaseOrderItemSchema = new mongoose.Schema({
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  agreedPrice: { // Unit price agreed with the supplier
+    type: Number,
+    default: 0,
+  },
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+  },
+  // Figures the reorder engine based its suggestion on
+  suggestion: {
+    averageDailyUsage: Number,
+    onHand: Number,
+    onOrder: Number,
+    reorderPoint: Number,
+    suggestedQuantity: Number,
+  },
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+PurchaseOrderItemSchema.virtual('outstandingQuantity').get(function() {
+  return Math.max(this.quantity - (this.receivedQuantity || 0), 0);
+});
+
+PurchaseOrderItemSchema.virtual('overDeliveredQuantity').get(function() {
+  return Math.max((this.receivedQuantity || 0) - this.quantity, 0);
+});
+
 const PurchaseOrderSchema = new mongoose.Schema({
   poNumber: {
     type: String,
@@ -8,23 +48,36 @@ const PurchaseOrderSchema = new mongoose.Schema({
     trim: true,
   },
   supplier: {
-    name: {
-      type: String,
-      required: [true, 'Please provide supplier name'],
-    },
-    contact: String,
-    email: String,
-    phone: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Please provide supplier'],
   },
+  items: [PurchaseOrderItemSchema],
   totalAmount: {
     type: Number,
     default: 0,
   },
+  // draft -> sent to the supplier -> partial/completed as goods arrive.
+  // 'pending' is what manually created orders have always used.
   status: {
     type: String,
-    enum: ['pending', 'partial', 'completed', 'cancelled'],
+    enum: ['draft', 'sent', 'pending', 'partial', 'completed', 'cancelled'],
     default: 'pending',
   },
+  source: {
+    type: String,
+    enum: ['manual', 'reorder'],
+    default: 'manual',
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  sentAt: Date,
   receivedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -37,6 +90,45 @@ const PurchaseOrderSchema = new mongoose.Schema({
     type: Date,
   },
   notes: String,
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
 });
 
+PurchaseOrderSchema.index({ supplier: 1, status: 1 });
+
+// Value of the ordered lines
+PurchaseOrderSchema.methods.orderValue = function() {
+  return this.items.reduce((sum, item) => sum + item.quantity * (item.agreedPrice || 0), 0);
+};
+
+// Status after a delivery: completed once every line is in, partial otherwise
+PurchaseOrderSchema.methods.updateReceiptStatus = function() {
+  if (this.items.length === 0) {
+    this.status = 'partial';
+    return;
+  }
+  const allReceived = this.items.every(item => item.receivedQuantity >= item.quantity);
+  this.status = allReceived ? 'completed' : 'partial';
+  if (allReceived) this.completedAt = new Date();
+};
+
+// Generate PO number
+PurchaseOrderSchema.statics.generatePoNumber = async function() {
+  const date = new Date();
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+
+  const lastPo = await this.findOne({
+    poNumber: new RegExp(`^PO-${year}${month}-`)
+  }).sort({ poNumber: -1 });
+
+  let sequence = 1;
+  if (lastPo) {
+    sequence = parseInt(lastPo.poNumber.split('-')[2]) + 1;
+  }
+
+  return `PO-${year}${month}-${String(sequence).padStart(5, '0')}`;
+};
+
 export default mongoose.model('PurchaseOrder', PurchaseOrderSchema);
\ No newline at end of file
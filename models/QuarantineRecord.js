@@ -0,0 +1,98 @@
+import mongoose from "mongoose";
+
+// Stock pulled out of use (expired, damaged, recalled) waiting to be written off
+// or sent back to the supplier. The quantity has already left MedicineBatch.
+const QuarantineRecordSchema = new mongoose.Schema({
+  quarantineNumber: {
+    type: String,
+    unique: true,
+    required: true,
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicineBatch',
+    required: true,
+  },
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true,
+  },
+  batchNumber: String,
+  expiryDate: Date,
+  location: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  unitCost: { // Batch buying price, used to value the loss
+    type: Number,
+    default: 0,
+  },
+  reason: {
+    type: String,
+    enum: ['expired', 'damaged', 'recalled', 'other'],
+    required: true,
+  },
+  notes: String,
+  status: {
+    type: String,
+    enum: ['quarantined', 'pending_approval', 'written_off', 'returned'],
+    default: 'quarantined',
+  },
+  disposition: {
+    type: {
+      type: String,
+      enum: ['write_off', 'return_to_supplier'],
+    },
+    supplierName: String,
+    notes: String,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    requestedAt: Date,
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    approvedAt: Date,
+    rejectionReason: String,
+  },
+  quarantinedBy: { // Empty when the expiry sweep created the record
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+QuarantineRecordSchema.index({ status: 1, reason: 1 });
+QuarantineRecordSchema.index({ 'disposition.approvedAt': 1 });
+
+QuarantineRecordSchema.virtual('value').get(function() {
+  return this.quantity * (this.unitCost || 0);
+});
+
+// Generate quarantine number
+QuarantineRecordSchema.statics.generateQuarantineNumber = async function(session) {
+  const date = new Date();
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+
+  const last = await this.findOne({
+    quarantineNumber: new RegExp(`^QRN-${year}${month}`)
+  }).sort({ quarantineNumber: -1 }).session(session || null);
+
+  let sequence = 1;
+  if (last) {
+    sequence = parseInt(last.quarantineNumber.split('-')[2]) + 1;
+  }
+
+  return `QRN-${year}${month}-${String(sequence).padStart(5, '0')}`;
+};
+
+export const QuarantineRecord = mongoose.model('QuarantineRecord', QuarantineRecordSchema);
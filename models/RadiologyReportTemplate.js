@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+const RadiologyReportTemplateSchema = new mongoose.Schema({
+  name: { // e.g. "Chest X-Ray - Normal"
+    type: String,
+    required: [true, 'Please provide a template name'],
+    trim: true,
+  },
+  modalityType: {
+    type: String,
+    enum: ['X-Ray', 'Ultrasound', 'CT', 'MRI', 'Mammography', 'Fluoroscopy', 'Other'],
+  },
+  bodyPart: {
+    type: String,
+    trim: true,
+  },
+  findings: {
+    type: String,
+    default: '',
+  },
+  impression: {
+    type: String,
+    default: '',
+  },
+  recommendation: {
+    type: String,
+    default: '',
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, { timestamps: true });
+
+export default mongoose.model('RadiologyReportTemplate', RadiologyReportTemplateSchema);
@@ -1,5 +1,91 @@
 import mongoose from 'mongoose';
 
+const ReportSchema = new mongoose.Schema({
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RadiologyReportTemplate',
+  },
+  findings: String,
+  impression: String,
+  recommendation: String,
+  status: {
+    type: String,
+    enum: ['draft', 'preliminary', 'final'],
+    default: 'draft',
+  },
+  lastEditedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  lastEditedAt: Date,
+  preliminarySignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  preliminarySignedAt: Date,
+  finalSignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  finalSignedAt: Date,
+}, { _id: false });
+
+// Additions to a finalised report; the signed report itself is never edited
+const AddendumSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Uploaded image or DICOM file; stored under RADIOLOGY_STORAGE_DIR/<request id>/
+const ImageSchema = new mongoose.Schema({
+  originalName: String,
+  storedName: {
+    type: String,
+    required: true,
+  },
+  mimeType: String,
+  size: Number,
+  kind: {
+    type: String,
+    enum: ['image', 'dicom'],
+    required: true,
+  },
+  width: Number,
+  height: Number,
+  thumbnailName: String,
+  dicom: { // Header values read from DICOM uploads
+    patientId: String,
+    patientName: String,
+    studyDate: Date,
+    modality: String,
+    bodyPart: String,
+    studyDescription: String,
+    studyInstanceUid: String,
+    seriesInstanceUid: String,
+    sopInstanceUid: String,
+  },
+  warnings: [String],
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
 const RadiologyRequestSchema = new mongoose.Schema({
   patient: {
     type: mongoose.Schema.Types.ObjectId,
@@ -15,6 +101,10 @@ const RadiologyRequestSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Visit',
   },
+  modality: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImagingModality',
+  },
   scanType: { // e.g., X-Ray, CT Scan, MRI
     type: String,
     required: [true, 'Please specify the scan type'],
@@ -27,15 +117,29 @@ const RadiologyRequestSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Please provide a reason for the scan'],
   },
+  priority: {
+    type: String,
+    enum: ['Routine', 'Urgent', 'STAT'],
+    default: 'Routine',
+  },
   status: {
     type: String,
-    enum: ['Pending', 'Completed', 'Cancelled'],
+    enum: ['Pending', 'Scheduled', 'In Progress', 'Preliminary', 'Completed', 'Cancelled'],
     default: 'Pending',
   },
-  findings: {
+  scheduledStart: Date,
+  scheduledEnd: Date,
+  scheduledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  report: ReportSchema,
+  addenda: [AddendumSchema],
+  findings: { // Legacy free-text findings; new reports are written to `report`
     type: String,
   },
-  imageUrl: {
+  images: [ImageSchema],
+  imageUrl: { // Legacy single link; uploads are stored in `images`
     type: String,
   },
   completedBy: {
@@ -47,4 +151,18 @@ const RadiologyRequestSchema = new mongoose.Schema({
   },
 }, { timestamps: true });
 
+RadiologyRequestSchema.index({ modality: 1, scheduledStart: 1 });
+RadiologyRequestSchema.index({ status: 1, priority: 1, createdAt: 1 });
+
+// Find a booking on the modality that overlaps the given window
+RadiologyRequestSchema.statics.findScheduleConflict = function(modalityId, start, end, excludeId) {
+  return this.findOne({
+    _id: { $ne: excludeId },
+    modality: modalityId,
+    status: { $ne: 'Cancelled' },
+    scheduledStart: { $lt: end },
+    scheduledEnd: { $gt: start },
+  });
+};
+
 export default mongoose.model('RadiologyRequest', RadiologyRequestSchema);
\ No newline at end of file
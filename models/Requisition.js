@@ -23,6 +23,25 @@ const RequisitionItemSchema = new mongoose.Schema({
   remarks: String
 });
 
+// One step in a requisition's approval trail, shown with the requisition
+const ApprovalEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['submitted', 'approved', 'auto_approved', 'rejected', 'reviewed', 'cancelled'],
+    required: true
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  reason: String,
+  comment: String
+}, { _id: false });
+
 const RequisitionSchema = new mongoose.Schema({
   requisitionNumber: {
     type: String,
@@ -45,8 +64,9 @@ const RequisitionSchema = new mongoose.Schema({
   items: [RequisitionItemSchema],
   status: {
     type: String,
-    enum: ['Draft', 'Submitted', 'In Progress', 'Completed', 'Cancelled'],
-    default: 'Submitted'
+    // Submitted is from before approvals; such requisitions can still be issued
+    enum: ['Draft', 'Submitted', 'Pending Approval', 'Approved', 'Rejected', 'In Progress', 'Completed', 'Cancelled'],
+    default: 'Pending Approval'
   },
   priority: {
     type: String,
@@ -58,6 +78,34 @@ const RequisitionSchema = new mongoose.Schema({
     ref: 'User'
   },
   approvedAt: Date,
+  autoApproved: {
+    type: Boolean,
+    default: false
+  },
+  rejection: {
+    reason: String,
+    comment: String,
+    rejectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rejectedAt: Date
+  },
+  // Auto-approved (Emergency) requisitions are checked afterwards
+  review: {
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'queried']
+    },
+    dueAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    comment: String
+  },
+  approvalHistory: [ApprovalEventSchema],
   issuedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -88,6 +136,11 @@ RequisitionSchema.statics.generateRequisitionNumber = async function() {
   return `REQ-${year}${month}-${String(sequence).padStart(5, '0')}`;
 };
 
+// Whether the pharmacy may issue against this requisition
+RequisitionSchema.methods.isIssuable = function() {
+  return ['Approved', 'In Progress', 'Submitted'].includes(this.status);
+};
+
 // Update overall status based on items
 RequisitionSchema.methods.updateStatus = function() {
   const allIssued = this.items.every(item => item.status === 'Issued');
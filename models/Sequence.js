@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+// Monthly document counters (`RCT-202610` -> last receipt sequence used), incremented
+// atomically so two concurrent writers never get the same number
+const SequenceSchema = new mongoose.Schema({
+  _id: String,
+  value: {
+    type: Number,
+    default: 0
+  }
+}, { versionKey: false });
+
+/**
+ * Next number for `prefix` this month, e.g. `RCT-202610-00042`. Inside a transaction
+ * pass its session: concurrent callers then conflict on the counter and are retried.
+ * `model` and `field` are where numbers were stored before the counter existed; the
+ * counter starts after the highest of those.
+ */
+SequenceSchema.statics.nextNumber = async function(prefix, { model, field, session } = {}) {
+  const date = new Date();
+  const key = `${prefix}-${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+  let { value } = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { value: 1 } },
+    { upsert: true, new: true, session }
+  );
+
+  if (value === 1 && model) {
+    const last = await model.findOne({ [field]: new RegExp(`^${key}-`) })
+      .sort({ [field]: -1 })
+      .session(session || null);
+    const lastValue = last ? parseInt(last[field].split('-')[2]) : 0;
+    if (lastValue >= value) {
+      ({ value } = await this.findOneAndUpdate(
+        { _id: key },
+        { $max: { value: lastValue + 1 } },
+        { new: true, session }
+      ));
+    }
+  }
+
+  return `${key}-${String(value).padStart(5, '0')}`;
+};
+
+export const Sequence = mongoose.model('Sequence', SequenceSchema);
@@ -0,0 +1,151 @@
+import mongoose from "mongoose";
+
+const CountEntrySchema = new mongoose.Schema({
+  quantity: {
+    type: Number,
+    min: 0,
+  },
+  countedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  countedAt: Date,
+}, { _id: false });
+
+// One batch as it stood when the session started, and what was found on the shelf
+const CountLineSchema = new mongoose.Schema({
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicineBatch',
+    required: true,
+  },
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true,
+  },
+  batchNumber: String,
+  expiryDate: Date,
+  unitCost: Number,
+  expectedQuantity: { // System quantity in the snapshot
+    type: Number,
+    required: true,
+  },
+  count: CountEntrySchema,
+  recount: CountEntrySchema,
+  needsRecount: {
+    type: Boolean,
+    default: false,
+  },
+  // Recount when there is one, otherwise the first count
+  finalQuantity: Number,
+  variance: Number, // finalQuantity - expectedQuantity
+  // What actually posted; less than the variance if the batch ran dry before approval
+  adjustedQuantity: Number,
+  note: String,
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+CountLineSchema.virtual('varianceValue').get(function() {
+  return this.variance === undefined ? undefined : this.variance * (this.unitCost || 0);
+});
+
+const StockCountSessionSchema = new mongoose.Schema({
+  countNumber: {
+    type: String,
+    unique: true,
+    required: true,
+  },
+  location: { // StockLocation code
+    type: String,
+    required: true,
+  },
+  category: String, // Limit the count to one medicine category
+  // Counters don't see the system quantity until the session is submitted
+  blind: {
+    type: Boolean,
+    default: false,
+  },
+  // A line is recounted by someone else when its variance exceeds either threshold
+  recountThreshold: {
+    units: Number,
+    percent: Number,
+  },
+  lines: [CountLineSchema],
+  // counting -> recount (only if lines breach the threshold) -> pending_approval -> posted
+  status: {
+    type: String,
+    enum: ['counting', 'recount', 'pending_approval', 'posted', 'cancelled'],
+    default: 'counting',
+  },
+  snapshotAt: {
+    type: Date,
+    default: Date.now,
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  submittedAt: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  approvedAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  cancelReason: String,
+  notes: String,
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+StockCountSessionSchema.index({ location: 1, status: 1 });
+
+// Generate count number
+StockCountSessionSchema.statics.generateCountNumber = async function() {
+  const date = new Date();
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+
+  const lastSession = await this.findOne({
+    countNumber: new RegExp(`^CNT-${year}${month}`)
+  }).sort({ countNumber: -1 });
+
+  let sequence = 1;
+  if (lastSession) {
+    sequence = parseInt(lastSession.countNumber.split('-')[2]) + 1;
+  }
+
+  return `CNT-${year}${month}-${String(sequence).padStart(5, '0')}`;
+};
+
+// Variance summary kept with the session for audit
+StockCountSessionSchema.methods.varianceSummary = function() {
+  const counted = this.lines.filter(line => line.variance !== undefined);
+  const withVariance = counted.filter(line => line.variance !== 0);
+  const value = (lines) => lines.reduce((sum, line) => sum + line.varianceValue, 0);
+
+  return {
+    lines: this.lines.length,
+    counted: counted.length,
+    withVariance: withVariance.length,
+    recounted: this.lines.filter(line => line.recount?.countedBy).length,
+    gainValue: value(withVariance.filter(line => line.variance > 0)),
+    lossValue: -value(withVariance.filter(line => line.variance < 0)),
+    netValue: value(withVariance)
+  };
+};
+
+export const StockCountSession = mongoose.model('StockCountSession', StockCountSessionSchema);
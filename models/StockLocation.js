@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+import { httpError } from "../utils/httpError.js";
+
+// Code used by batches received before locations existed
+export const DEFAULT_LOCATION = 'MAIN STORE';
+
+const StockLocationSchema = new mongoose.Schema({
+  // Stored on MedicineBatch.location, so keep it stable once stock is held here
+  code: {
+    type: String,
+    required: [true, 'Please add a location code'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a location name'],
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: ['store', 'pharmacy', 'ward', 'theatre', 'other'],
+    default: 'other',
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, { timestamps: true });
+
+// Normalise a location code and make sure it's a known, active location
+StockLocationSchema.statics.resolveCode = async function(code, { session } = {}) {
+  const normalised = (code || DEFAULT_LOCATION).toString().trim().toUpperCase();
+  if (normalised === DEFAULT_LOCATION) return normalised;
+
+  const location = await this.findOne({ code: normalised, isActive: true }).session(session || null);
+  if (!location) {
+    throw httpError(400, `Unknown stock location: ${code}`);
+  }
+  return location.code;
+};
+
+export const StockLocation = mongoose.model('StockLocation', StockLocationSchema);
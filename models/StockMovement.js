@@ -12,7 +12,13 @@ const StockMovementSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['IN', 'OUT', 'ADJUSTMENT', 'DAMAGED', 'EXPIRED'],
+    // ADJUSTMENT is the old single-item audit; count sessions record the direction.
+    // RETURN puts patient-returned stock back on the shelf; RETURN_DESTROYED takes it back
+    // without restocking, so on-hand is unchanged.
+    enum: [
+      'IN', 'OUT', 'ADJUSTMENT', 'ADJUSTMENT_IN', 'ADJUSTMENT_OUT', 'DAMAGED', 'EXPIRED',
+      'TRANSFER_OUT', 'TRANSFER_IN', 'RETURN', 'RETURN_DESTROYED'
+    ],
     required: true,
   },
   quantity: {
@@ -22,6 +28,13 @@ const StockMovementSchema = new mongoose.Schema({
   reason: {
     type: String,
   },
+  location: { // StockLocation code the movement happened at
+    type: String,
+  },
+  transfer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockTransfer',
+  },
   purchaseOrder: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'PurchaseOrder',
@@ -33,8 +46,28 @@ const StockMovementSchema = new mongoose.Schema({
   performedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    // The scheduled expiry sweep runs without a user
+    required: function() { return this.type !== 'EXPIRED'; },
+  },
+  quarantine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuarantineRecord',
+  },
+  countSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockCountSession',
+  },
+  medicineReturn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicineReturn',
+  },
+  requisition: { // Set on issues to departments, which aren't sales
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Requisition',
   },
+  // Snapshot at the time of the movement so reports don't depend on later price edits
+  unitCost: Number,  // Batch buying price
+  unitPrice: Number, // Selling price charged (dispensing) or batch selling price
   createdAt: {
     type: Date,
     default: Date.now,
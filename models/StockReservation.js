@@ -0,0 +1,120 @@
+import mongoose from "mongoose";
+
+// Soft hold on stock for a prescription or a requisition line until it is issued,
+// released or expires. Nothing is taken off MedicineBatch; the ledger just won't
+// hand reserved units to anyone else.
+const StockReservationSchema = new mongoose.Schema({
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // What was asked for; more than `quantity` when stock was already short
+  requestedQuantity: {
+    type: Number,
+    required: true,
+  },
+  sourceType: {
+    type: String,
+    enum: ['Prescription', 'Requisition'],
+    required: true,
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'sourceType',
+    required: true,
+  },
+  sourceItem: { // Requisition line
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  status: {
+    type: String,
+    enum: ['active', 'consumed', 'released', 'expired'],
+    default: 'active',
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  closedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, { timestamps: true });
+
+StockReservationSchema.index({ medicine: 1, status: 1, expiresAt: 1 });
+StockReservationSchema.index({ sourceType: 1, sourceId: 1, sourceItem: 1 });
+
+const sourceFilter = ({ sourceType, sourceId, sourceItem }) => ({
+  sourceType,
+  sourceId,
+  ...(sourceItem && { sourceItem })
+});
+
+StockReservationSchema.statics.activeFilter = function() {
+  return { status: 'active', expiresAt: { $gt: new Date() } };
+};
+
+// Units of a medicine currently held, optionally leaving out one source's own hold
+StockReservationSchema.statics.getReservedQuantity = async function(medicineId, { exclude, session } = {}) {
+  const match = {
+    medicine: new mongoose.Types.ObjectId(String(medicineId)),
+    ...this.activeFilter()
+  };
+  if (exclude) {
+    match.$nor = [sourceFilter({
+      ...exclude,
+      sourceId: new mongoose.Types.ObjectId(String(exclude.sourceId)),
+      sourceItem: exclude.sourceItem && new mongoose.Types.ObjectId(String(exclude.sourceItem))
+    })];
+  }
+
+  const [reserved] = await this.aggregate([
+    { $match: match },
+    { $group: { _id: null, total: { $sum: '$quantity' } } }
+  ]).session(session || null);
+
+  return reserved?.total || 0;
+};
+
+// Reserved totals keyed by medicine id, for balance reports
+StockReservationSchema.statics.getReservedByMedicine = async function() {
+  const rows = await this.aggregate([
+    { $match: this.activeFilter() },
+    { $group: { _id: '$medicine', total: { $sum: '$quantity' } } }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.total]));
+};
+
+// Draw down a source's hold after stock has been issued against it
+StockReservationSchema.statics.consume = async function(source, quantity, { session } = {}) {
+  const reservations = await this.find({ ...sourceFilter(source), status: 'active' }).session(session || null);
+
+  let remaining = quantity;
+  for (const reservation of reservations) {
+    const used = Math.min(remaining, reservation.quantity);
+    reservation.quantity -= used;
+    remaining -= used;
+    if (reservation.quantity <= 0) {
+      reservation.status = 'consumed';
+      reservation.closedAt = new Date();
+    }
+    await reservation.save({ session });
+  }
+};
+
+StockReservationSchema.statics.release = function(source, { session } = {}) {
+  return this.updateMany(
+    { ...sourceFilter(source), status: 'active' },
+    { status: 'released', closedAt: new Date() },
+    { session }
+  );
+};
+
+export const StockReservation = mongoose.model('StockReservation', StockReservationSchema);
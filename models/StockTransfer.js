@@ -0,0 +1,107 @@
+import mongoose from "mongoose";
+
+// Batch split off at the sending location; recreated as-is at the receiving end
+const TransferBatchSchema = new mongoose.Schema({
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicineBatch',
+  },
+  batchNumber: String,
+  expiryDate: Date,
+  buyingPrice: Number,
+  sellingPrice: Number,
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+  },
+  quantity: Number,
+  receivedQuantity: Number,
+}, { _id: false });
+
+const TransferItemSchema = new mongoose.Schema({
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true,
+  },
+  requestedQty: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  dispatchedQty: {
+    type: Number,
+    default: 0,
+  },
+  receivedQty: {
+    type: Number,
+    default: 0,
+  },
+  batches: [TransferBatchSchema],
+  discrepancyNote: String,
+});
+
+const StockTransferSchema = new mongoose.Schema({
+  transferNumber: {
+    type: String,
+    unique: true,
+    required: true,
+  },
+  fromLocation: { // StockLocation codes
+    type: String,
+    required: true,
+  },
+  toLocation: {
+    type: String,
+    required: true,
+  },
+  items: [TransferItemSchema],
+  status: {
+    type: String,
+    enum: ['Pending', 'In Transit', 'Received', 'Cancelled'],
+    default: 'Pending',
+  },
+  hasDiscrepancy: {
+    type: Boolean,
+    default: false,
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  dispatchedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  dispatchedAt: Date,
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  receivedAt: Date,
+  notes: String,
+}, { timestamps: true });
+
+StockTransferSchema.index({ toLocation: 1, status: 1 });
+StockTransferSchema.index({ fromLocation: 1, status: 1 });
+
+// Generate transfer number
+StockTransferSchema.statics.generateTransferNumber = async function() {
+  const date = new Date();
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+
+  const lastTransfer = await this.findOne({
+    transferNumber: new RegExp(`^TRF-${year}${month}`)
+  }).sort({ transferNumber: -1 });
+
+  let sequence = 1;
+  if (lastTransfer) {
+    sequence = parseInt(lastTransfer.transferNumber.split('-')[2]) + 1;
+  }
+
+  return `TRF-${year}${month}-${String(sequence).padStart(5, '0')}`;
+};
+
+export const StockTransfer = mongoose.model('StockTransfer', StockTransferSchema);
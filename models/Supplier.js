@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+const SupplierContactSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  role: String,
+  phone: String,
+  email: String,
+}, { _id: false });
+
+const SupplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide supplier name'],
+    unique: true,
+    trim: true,
+  },
+  taxId: { // TIN / VAT registration
+    type: String,
+    trim: true,
+  },
+  email: String,
+  phone: String,
+  address: String,
+  contacts: [SupplierContactSchema],
+  paymentTermsDays: { // e.g. 30 for net 30; 0 means cash on delivery
+    type: Number,
+    default: 30,
+    min: 0,
+  },
+  leadTimeDays: { // Typical days from sending a PO to delivery; used by the reorder engine
+    type: Number,
+    min: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  notes: String,
+}, {
+  timestamps: true,
+});
+
+// Case-insensitive lookup by name, for imports and older clients that send names
+SupplierSchema.statics.findByName = function(name) {
+  return this.findOne({ name: name.trim() }).collation({ locale: 'en', strength: 2 });
+};
+
+export default mongoose.model('Supplier', SupplierSchema);
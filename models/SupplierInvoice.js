@@ -0,0 +1,142 @@
+import mongoose from 'mongoose';
+
+export const MATCH_ISSUES = [
+  'not_ordered',          // Invoiced medicine isn't on the purchase order
+  'not_received',         // Invoiced more than the GRNs show arrived
+  'quantity_over_order',  // Invoiced more than was ordered
+  'price_variance',       // Invoice unit price differs from the agreed PO price
+  'line_amount',          // Line amount isn't quantity x unit price
+  'invoice_total',        // Invoice total isn't the sum of its lines plus tax
+  'received_not_invoiced' // Goods arrived on the matched GRNs but aren't billed
+];
+
+const InvoiceLineSchema = new mongoose.Schema({
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true,
+  },
+  description: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  amount: { // As printed on the invoice
+    type: Number,
+    required: true,
+    min: 0,
+  },
+});
+
+// Result of comparing one medicine across PO, GRNs and invoice
+const MatchLineSchema = new mongoose.Schema({
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+  },
+  orderedQuantity: Number,
+  agreedPrice: Number,
+  receivedQuantity: Number,
+  invoicedQuantity: Number,
+  invoicedPrice: Number,
+  invoicedAmount: Number,
+  // What the invoice should come to for this line: received quantity at the agreed price
+  expectedAmount: Number,
+  issues: [{
+    type: String,
+    enum: MATCH_ISSUES,
+  }],
+}, { _id: false });
+
+const SupplierInvoiceSchema = new mongoose.Schema({
+  invoiceNumber: { // The supplier's own invoice number
+    type: String,
+    required: [true, 'Please provide the supplier invoice number'],
+    trim: true,
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true,
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    required: true,
+  },
+  goodsReceivedNotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GoodsReceivedNote',
+  }],
+  invoiceDate: {
+    type: Date,
+    required: true,
+  },
+  dueDate: Date,
+  lines: [InvoiceLineSchema],
+  tax: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  match: {
+    status: {
+      type: String,
+      enum: ['matched', 'discrepancy'],
+    },
+    lines: [MatchLineSchema],
+    issues: [{
+      type: String,
+      enum: MATCH_ISSUES,
+    }],
+    expectedTotal: Number,
+    variance: Number, // invoice total - expected total
+    checkedAt: Date,
+  },
+  status: {
+    type: String,
+    enum: ['pending_approval', 'approved', 'rejected', 'paid'],
+    default: 'pending_approval',
+  },
+  enteredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  approvedAt: Date,
+  // Approving with a discrepancy on file needs a recorded reason
+  discrepancyOverride: {
+    reason: String,
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    overriddenAt: Date,
+  },
+  rejectionReason: String,
+  paidAt: Date,
+  paymentReference: String,
+  notes: String,
+}, {
+  timestamps: true,
+});
+
+SupplierInvoiceSchema.index({ supplier: 1, invoiceNumber: 1 }, { unique: true });
+SupplierInvoiceSchema.index({ status: 1, dueDate: 1 });
+
+export default mongoose.model('SupplierInvoice', SupplierInvoiceSchema);
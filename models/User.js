@@ -37,6 +37,11 @@ const userSchema = new mongoose.Schema({
     enum: ['admin', 'doctor', 'nurse', 'receptionist', 'pharmacist', 'radiologist', 'surgeon', 'lab_technician', 'mortuary_attendant'],
     default: 'user'
   },
+  // Granted on top of the role's permissions, e.g. 'apply_discounts' for a senior pharmacist
+  permissions: [{
+    type: String,
+    trim: true
+  }],
   employeeId: {
     type: String,
     unique: true,
@@ -181,7 +186,7 @@ userSchema.methods.hasPermission = function(permission) {
     mortuary_attendant: ['view_corpses', 'update_corpses']
   };
   
-  const permissions = rolePermissions[this.role] || [];
+  const permissions = [...(rolePermissions[this.role] || []), ...(this.permissions || [])];
   return permissions.includes('all') || permissions.includes(permission);
 };
 
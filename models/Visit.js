@@ -127,10 +127,10 @@ const visitSchema = new mongoose.Schema({
   vitalSigns: vitalSignsSchema,
   diagnosis: [diagnosisSchema],
   labOrders: [labOrderSchema],
-  prescriptions: {
+  prescriptions: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Prescription'
-  },
+  }],
   
   // Financial tracking fields
   serviceCharges: [serviceChargeSchema],
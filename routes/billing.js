@@ -162,7 +162,11 @@ router.post('/invoices',
     body('items.*.type').isIn(['consultation', 'procedure', 'medication', 'lab_test', 'imaging', 'room_charge', 'equipment', 'other']),
     body('items.*.description').notEmpty().withMessage('Item description required'),
     body('items.*.quantity').isInt({ min: 1 }).withMessage('Valid quantity required'),
-    body('items.*.unitPrice').isFloat({ min: 0 }).withMessage('Valid price required'),
+    // Lines for a catalogue medicine or service are priced from the patient's price list
+    body('items.*.unitPrice').if((value, { req, path }) => {
+      const item = req.body.items[parseInt(path.match(/\d+/)[0])];
+      return !item?.medicine && !item?.service;
+    }).isFloat({ min: 0 }).withMessage('Valid price required'),
     body('paymentTerms').optional().isIn(['immediate', 'net_15', 'net_30', 'net_45', 'net_60'])
   ],
   handleValidation,
@@ -202,7 +206,7 @@ router.post('/invoices',
       });
     } catch (error) {
       logger.error('Create invoice error:', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         status: 'error',
         message: error.message || 'Server error'
       });
@@ -0,0 +1,14 @@
+import express from 'express';
+import { importCatalogue, exportCatalogue } from '../controllers/catalogueController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { uploadCatalogueFile } from '../middleware/upload.js';
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize('admin', 'pharmacist'));
+
+router.post('/:catalogue/import', uploadCatalogueFile, importCatalogue);
+router.get('/:catalogue/export', exportCatalogue);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  getRegisterEntries,
+  getRegisterBalances,
+  getReconciliation,
+} from '../controllers/controlledDrugController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/register')
+  .get(authorize('admin', 'pharmacist'), getRegisterEntries);
+
+router.route('/balances')
+  .get(authorize('admin', 'pharmacist'), getRegisterBalances);
+
+router.route('/reconciliation')
+  .get(authorize('admin', 'pharmacist'), getReconciliation);
+
+export default router;
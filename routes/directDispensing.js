@@ -1,11 +1,21 @@
 import express from 'express';
 import {
   getDirectDispensingRecords,
+  getDirectDispensingRecord,
+  quoteDirectSale,
   createDirectDispensingRecord,
 } from '../controllers/directDispensingController.js';
+import { protect, authorize } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.route('/').get(getDirectDispensingRecords).post(createDirectDispensingRecord);
+router.use(protect);
 
-export default router;
\ No newline at end of file
+router.route('/')
+  .get(authorize('admin', 'pharmacist'), getDirectDispensingRecords)
+  .post(authorize('admin', 'pharmacist'), createDirectDispensingRecord);
+
+router.post('/quote', authorize('admin', 'pharmacist'), quoteDirectSale);
+router.get('/:id', authorize('admin', 'pharmacist'), getDirectDispensingRecord);
+
+export default router;
@@ -1,11 +1,19 @@
 import express from 'express';
 import {
   getDispensingRecords,
+  getOutstandingPrescriptions,
   createDispensingRecord,
 } from '../controllers/dispensingController.js';
+import { protect, authorize } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.route('/').get(getDispensingRecords).post(createDispensingRecord);
+router.use(protect);
 
-export default router;
\ No newline at end of file
+router.route('/')
+  .get(authorize('admin', 'pharmacist', 'doctor', 'nurse'), getDispensingRecords)
+  .post(authorize('admin', 'pharmacist'), createDispensingRecord);
+
+router.get('/outstanding', authorize('admin', 'pharmacist', 'doctor', 'nurse'), getOutstandingPrescriptions);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  getDrugInteractions,
+  createDrugInteraction,
+  updateDrugInteraction,
+  deleteDrugInteraction,
+} from '../controllers/drugInteractionController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(authorize('admin', 'pharmacist', 'doctor'), getDrugInteractions)
+  .post(authorize('admin', 'pharmacist'), createDrugInteraction);
+
+router.route('/:id')
+  .put(authorize('admin', 'pharmacist'), updateDrugInteraction)
+  .delete(authorize('admin', 'pharmacist'), deleteDrugInteraction);
+
+export default router;
@@ -1,12 +1,16 @@
 import express from 'express';
 import {
-  getIncomingItems,
-  receiveIncomingItem,
-} from '../controllers/incomingItemsController.js';
+  getIncomingTransfers,
+  receiveStockTransfer,
+} from '../controllers/stockTransferController.js';
+import { protect, authorize } from '../middleware/auth.js';
 
+// Receiving side of stock transfers, kept at its old path for the pharmacy screens
 const router = express.Router();
 
-router.route('/').get(getIncomingItems);
-router.route('/:id').put(receiveIncomingItem);
+router.use(protect);
 
-export default router;
\ No newline at end of file
+router.route('/').get(authorize('admin', 'pharmacist', 'nurse'), getIncomingTransfers);
+router.route('/:id').put(authorize('admin', 'pharmacist', 'nurse'), receiveStockTransfer);
+
+export default router;
@@ -5,11 +5,18 @@ import {
   updateItemPrice,
   deleteItemPrice,
 } from '../controllers/itemPricingController.js';
+import { protect, authorize } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.route('/').get(getItemPrices).post(createItemPrice);
+router.use(protect);
 
-router.route('/:id').put(updateItemPrice).delete(deleteItemPrice);
+router.route('/')
+  .get(getItemPrices)
+  .post(authorize('admin', 'pharmacist'), createItemPrice);
 
-export default router;
\ No newline at end of file
+router.route('/:id')
+  .put(authorize('admin', 'pharmacist'), updateItemPrice)
+  .delete(authorize('admin'), deleteItemPrice);
+
+export default router;
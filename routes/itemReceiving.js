@@ -1,11 +1,16 @@
 import express from 'express';
 import {
   getPurchaseOrders,
+  getPurchaseOrder,
+  getGoodsReceivedNotes,
+  getGoodsReceivedNote,
   addPurchaseOrder,
   receiveItem,
   getStockLevels,
   getExpiringMedicines,
   completePurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
 } from '../controllers/itemReceivingController.js';
 import { protect, authorize } from '../middleware/auth.js';
 
@@ -17,12 +22,25 @@ router.route('/purchase-orders')
   .get(authorize('admin', 'pharmacist', 'doctor'), getPurchaseOrders)
   .post(authorize('admin', 'pharmacist'), addPurchaseOrder);
 
+router.route('/purchase-orders/:id')
+  .get(authorize('admin', 'pharmacist', 'doctor'), getPurchaseOrder)
+  .put(authorize('admin', 'pharmacist'), updatePurchaseOrder);
+
+router.route('/purchase-orders/:id/send')
+  .put(authorize('admin', 'pharmacist'), sendPurchaseOrder);
+
 router.route('/purchase-orders/:id/complete')
   .put(authorize('admin', 'pharmacist'), completePurchaseOrder);
 
 router.route('/')
   .post(authorize('admin', 'pharmacist'), receiveItem);
 
+router.route('/grns')
+  .get(authorize('admin', 'pharmacist'), getGoodsReceivedNotes);
+
+router.route('/grns/:id')
+  .get(authorize('admin', 'pharmacist'), getGoodsReceivedNote);
+
 router.route('/stock')
   .get(authorize('admin', 'pharmacist', 'doctor'), getStockLevels);
 
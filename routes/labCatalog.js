@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getLabCatalog,
+  getLabCatalogItem,
+  createLabCatalogItem,
+  updateLabCatalogItem,
+  deactivateLabCatalogItem
+} from '../controllers/labCatalogController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+const viewRoles = ['admin', 'doctor', 'lab_technician'];
+const manageRoles = ['admin', 'lab_technician'];
+
+router.route('/')
+  .get(authorize(...viewRoles), getLabCatalog)
+  .post(authorize(...manageRoles), createLabCatalogItem);
+
+router.route('/:id')
+  .get(authorize(...viewRoles), getLabCatalogItem)
+  .put(authorize(...manageRoles), updateLabCatalogItem)
+  .delete(authorize('admin'), deactivateLabCatalogItem);
+
+export default router;
@@ -3,7 +3,15 @@ import {
   createLabTest,
   getLabTest,
   getLabTests,
-  updateLabTest
+  updateLabTest,
+  acknowledgeCriticalResult,
+  collectSpecimen,
+  receiveSpecimen,
+  startProcessing,
+  rejectSpecimen,
+  getSpecimenLabel,
+  getLabWorklist,
+  getTurnaroundReport
 } from '../controllers/labTestController.js';
 import { protect, authorize } from '../middleware/auth.js';
 
@@ -20,6 +28,9 @@ router.route('/')
   .get(authorize(...viewRoles), getLabTests)
   .post(authorize('admin', 'doctor'), createLabTest);
 
+router.get('/worklist', authorize('admin', 'lab_technician'), getLabWorklist);
+router.get('/reports/turnaround', authorize('admin', 'lab_technician'), getTurnaroundReport);
+
 router.route('/:id')
   .get(authorize(...viewRoles), getLabTest)
   .put(authorize('admin', 'lab_technician'), updateLabTest)
@@ -31,4 +42,14 @@ router.route('/:id')
     });
   });
 
+// Specimen lifecycle
+router.put('/:id/collect', authorize('admin', 'lab_technician', 'nurse'), collectSpecimen);
+router.put('/:id/receive', authorize('admin', 'lab_technician'), receiveSpecimen);
+router.put('/:id/start', authorize('admin', 'lab_technician'), startProcessing);
+router.put('/:id/reject', authorize('admin', 'lab_technician'), rejectSpecimen);
+router.get('/:id/label', authorize('admin', 'lab_technician', 'nurse'), getSpecimenLabel);
+
+router.route('/:id/acknowledge-critical')
+  .put(authorize('admin', 'doctor'), acknowledgeCriticalResult);
+
 export default router;
\ No newline at end of file
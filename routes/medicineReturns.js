@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  getReturns,
+  getReturnable,
+  getReturn,
+  createReturn,
+} from '../controllers/medicineReturnController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize('admin', 'pharmacist'));
+
+router.route('/')
+  .get(getReturns)
+  .post(createReturn);
+
+router.get('/returnable', getReturnable);
+router.get('/:id', getReturn);
+
+export default router;
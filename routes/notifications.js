@@ -0,0 +1,136 @@
+import express from 'express';
+import Notification from '../models/Notification.js';
+import LabTest from '../models/LabTest.js';
+import labAlertService from '../services/labAlertService.js';
+import { protect } from '../middleware/auth.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// @desc    Get the current user's notifications
+// @route   GET /api/notifications
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { unread, type, pendingAcknowledgement } = req.query;
+
+    const filter = { recipient: req.user.id };
+    if (unread === 'true') filter.isRead = false;
+    if (type) filter.type = type;
+    if (pendingAcknowledgement === 'true') {
+      filter.requiresAcknowledgement = true;
+      filter.acknowledgedAt = null;
+    }
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    const unreadCount = await Notification.getUnreadCount(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      count: notifications.length,
+      unreadCount,
+      data: notifications
+    });
+  } catch (error) {
+    logger.error('Get notifications error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server Error'
+    });
+  }
+});
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+router.put('/:id/read', async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user.id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Notification not found'
+      });
+    }
+
+    await notification.markAsRead();
+
+    res.status(200).json({
+      status: 'success',
+      data: notification
+    });
+  } catch (error) {
+    logger.error('Mark notification read error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// @desc    Acknowledge a notification that requires it. Acknowledging a critical lab
+//          result acknowledges the result itself, which stops its escalation.
+// @route   PATCH /api/notifications/:id/acknowledge
+// @access  Private
+router.patch('/:id/acknowledge', async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user.id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.requiresAcknowledgement) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This notification does not need acknowledging'
+      });
+    }
+
+    if (notification.acknowledgedAt) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Notification has already been acknowledged'
+      });
+    }
+
+    const labTest = notification.type === 'critical_lab_result'
+      ? await LabTest.findById(notification.relatedEntity?.entityId)
+      : null;
+
+    if (labTest?.criticalAlert?.raisedAt && !labTest.criticalAlert.acknowledgedAt) {
+      await labAlertService.acknowledge(labTest, req.user.id, req.body.note);
+      logger.info(`Critical result on lab test ${labTest._id} acknowledged by ${req.user.id}`);
+    } else {
+      await notification.acknowledge(req.user.id);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: await Notification.findById(notification._id)
+    });
+  } catch (error) {
+    logger.error('Acknowledge notification error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,16 +1,29 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import { body, validationResult } from 'express-validator';
 import Patient from '../models/Patient.js';
+import InsuranceProvider from '../models/InsuranceProvider.js';
 import { protect, authorize } from '../middleware/auth.js';
+import { httpError } from '../utils/httpError.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
-// Helper function to clean insurance data
-const cleanInsuranceData = (data) => {
+// Helper function to clean insurance data. The provider may be given as an
+// InsuranceProvider id or code (e.g. 'NHIF'); it is stored as the id.
+const cleanInsuranceData = async (data) => {
   if (data.insurance) {
     if (!data.insurance.provider || data.insurance.provider === '') {
       data.insurance.provider = null;
+    } else {
+      const value = String(data.insurance.provider);
+      const provider = await InsuranceProvider.findOne(
+        mongoose.Types.ObjectId.isValid(value) ? { _id: value } : { code: value.toUpperCase() }
+      ).select('_id');
+      if (!provider) {
+        throw httpError(400, `Unknown insurance provider: ${value}`);
+      }
+      data.insurance.provider = provider._id;
     }
     if (!data.insurance.membershipNumber || data.insurance.membershipNumber === '') {
       data.insurance.membershipNumber = null;
@@ -112,7 +125,7 @@ router.get('/', protect, authorize('admin', 'doctor', 'receptionist', 'pharmacis
 // @access  Private (Admin, Doctor, Nurse)
 router.get('/:id', protect, authorize('admin', 'doctor', 'receptionist'), async (req, res) => {
   try {
-    const patient = await Patient.findById(req.params.id);
+    const patient = await Patient.findById(req.params.id).populate('insurance.provider', 'name code');
 
     if (!patient) {
       return res.status(404).json({
@@ -167,7 +180,7 @@ router.post('/', protect, authorize('admin', 'receptionist'), [
     }
 
     // Clean insurance data
-    let patientData = cleanInsuranceData(req.body);
+    let patientData = await cleanInsuranceData(req.body);
 
     // Check if patient already exists with same email or phone
     const existingPatient = await Patient.findOne({
@@ -193,9 +206,9 @@ router.post('/', protect, authorize('admin', 'receptionist'), [
     });
   } catch (error) {
     logger.error('Create patient error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       status: 'error',
-      message: 'Server error'
+      message: error.statusCode ? error.message : 'Server error'
     });
   }
 });
@@ -261,7 +274,7 @@ router.put('/:id', protect, authorize('admin', 'receptionist'), [
     }
 
     // Clean insurance data before updating
-    const updateData = cleanInsuranceData(req.body);
+    const updateData = await cleanInsuranceData(req.body);
 
     patient = await Patient.findByIdAndUpdate(req.params.id, updateData, {
       new: true,
@@ -274,9 +287,9 @@ router.put('/:id', protect, authorize('admin', 'receptionist'), [
     });
   } catch (error) {
     logger.error('Update patient error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       status: 'error',
-      message: 'Server error'
+      message: error.statusCode ? error.message : 'Server error'
     });
   }
 });
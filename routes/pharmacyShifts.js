@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  getShifts,
+  getCurrentShift,
+  getShift,
+  openShift,
+  closeShift,
+} from '../controllers/pharmacyShiftController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize('admin', 'pharmacist'));
+
+router.route('/')
+  .get(getShifts)
+  .post(openShift);
+
+router.get('/current', getCurrentShift);
+router.get('/:id', getShift);
+router.put('/:id/close', closeShift);
+
+export default router;
@@ -1,6 +1,8 @@
 import express from 'express';
 import Visit from '../models/Visit.js';
 import Prescription from '../models/Prescription.js';
+import prescriptionService from '../services/prescriptionService.js';
+import stockReservationService from '../services/stockReservationService.js';
 import { protect, authorize } from '../middleware/auth.js';
 import { checkPaymentEligibility } from '../middleware/paymentEligibility.js';
 import logger from '../utils/logger.js';
@@ -14,6 +16,7 @@ router.get('/', authorize('admin', 'pharmacist'), async (req, res) => {
     try {
         const prescriptions = await Prescription.find({ isActive: true })
             .populate('patient', 'firstName lastName')
+            .populate('medicine', 'name genericName strength type')
             .populate('prescribedBy', 'firstName lastName')
             .sort({ createdAt: -1 });
         
@@ -47,15 +50,12 @@ router.post('/',
             });
         }
 
-        // Create the prescription
-        const prescription = await Prescription.create({
-            medication: prescriptionData.medication,
-            dosage: prescriptionData.dosage,
-            frequency: prescriptionData.frequency,
-            duration: prescriptionData.duration,
-            notes: prescriptionData.notes,
+        // Create the prescription from the medicine catalogue
+        const { prescription } = await prescriptionService.createPrescription({
             patient,
-            prescribedBy: req.user.id
+            visit: req.visit,
+            prescribedBy: req.user.id,
+            data: prescriptionData || {}
         });
 
         // If visitId is provided, add prescription to the visit
@@ -70,6 +70,7 @@ router.post('/',
         // Populate prescription details for response
         await prescription.populate('patient', 'name');
         await prescription.populate('prescribedBy', 'name');
+        await prescription.populate('medicine', 'name genericName strength type');
 
         logger.info(`Prescription created for patient ${patient} by ${req.user.firstName} ${req.user.lastName}`);
 
@@ -79,7 +80,28 @@ router.post('/',
         });
     } catch (error) {
         logger.error('Create prescription error', error);
-        res.status(400).json({
+        res.status(error.statusCode || 400).json({
+            status: 'error',
+            message: error.message,
+            warnings: error.warnings
+        });
+    }
+});
+
+// Check a medicine against the patient's allergies and current medications before prescribing
+router.post('/check', authorize('admin', 'doctor'), async (req, res) => {
+    try {
+        const { patient, medicine } = req.body;
+
+        const result = await prescriptionService.checkSafety({ patient, medicine });
+
+        res.status(200).json({
+            status: 'success',
+            data: result
+        });
+    } catch (error) {
+        logger.error('Prescription safety check error', error);
+        res.status(error.statusCode || 400).json({
             status: 'error',
             message: error.message
         });
@@ -93,6 +115,7 @@ router.get('/patient/:patientId', authorize('admin', 'doctor', 'nurse'), async (
             patient: req.params.patientId,
             isActive: true 
         })
+            .populate('medicine', 'name genericName strength type')
             .populate('prescribedBy', 'firstName lastName')
             .sort({ createdAt: -1 });
         
@@ -112,16 +135,32 @@ router.get('/patient/:patientId', authorize('admin', 'doctor', 'nurse'), async (
 // Update prescription (mark as inactive)
 router.patch('/:id', authorize('admin', 'doctor'), async (req, res) => {
     try {
+        const previous = await Prescription.findById(req.params.id).select('isActive');
+        if (!previous) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Prescription not found'
+            });
+        }
+
         const prescription = await Prescription.findByIdAndUpdate(
             req.params.id,
             { isActive: req.body.isActive },
             { new: true, runValidators: true }
         );
 
-        if (!prescription) {
-            return res.status(404).json({
-                status: 'error',
-                message: 'Prescription not found'
+        const source = { sourceType: 'Prescription', sourceId: prescription._id };
+        if (!prescription.isActive) {
+            // A stopped prescription no longer needs its stock held
+            await stockReservationService.release(source);
+        } else if (!previous.isActive && prescription.medicine && prescription.quantityOutstanding > 0) {
+            // Restarted: hold what is still to be collected again
+            await stockReservationService.release(source);
+            await stockReservationService.reserve({
+                medicine: prescription.medicine,
+                quantity: prescription.quantityOutstanding,
+                ...source,
+                createdBy: req.user.id
             });
         }
 
@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  getPriceLists,
+  getPriceList,
+  createPriceList,
+  updatePriceList,
+  getPriceListItems,
+  getPriceHistory,
+  setPriceListItems,
+  resolvePrice,
+} from '../controllers/priceListController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(getPriceLists)
+  .post(authorize('admin'), createPriceList);
+
+router.get('/resolve', resolvePrice);
+
+router.route('/:id')
+  .get(getPriceList)
+  .put(authorize('admin'), updatePriceList);
+
+router.route('/:id/items')
+  .get(getPriceListItems)
+  .put(authorize('admin', 'pharmacist'), setPriceListItems);
+
+router.get('/:id/items/history', getPriceHistory);
+
+export default router;
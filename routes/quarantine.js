@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  getQuarantineRecords,
+  createQuarantineRecord,
+  requestDisposition,
+  approveDisposition,
+  rejectDisposition,
+  getLossReport,
+} from '../controllers/quarantineController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(authorize('admin', 'pharmacist'), getQuarantineRecords)
+  .post(authorize('admin', 'pharmacist'), createQuarantineRecord);
+
+router.route('/reports/losses')
+  .get(authorize('admin', 'pharmacist'), getLossReport);
+
+router.route('/:id/disposition')
+  .put(authorize('admin', 'pharmacist'), requestDisposition);
+
+router.route('/:id/approve')
+  .put(authorize('admin'), approveDisposition);
+
+router.route('/:id/reject')
+  .put(authorize('admin'), rejectDisposition);
+
+export default router;
@@ -2,17 +2,44 @@ import express from 'express';
 import {
   createRadiologyRequest,
   getRadiologyRequests,
+  getRadiologyWorklist,
   updateRadiologyRequest,
+  scheduleRadiologyRequest,
+  startRadiologyExam,
+  saveRadiologyReport,
+  signRadiologyReport,
+  addRadiologyAddendum,
 } from '../controllers/radiologyController.js';
+import {
+  getModalities,
+  createModality,
+  updateModality,
+  getModalitySlots,
+} from '../controllers/imagingModalityController.js';
+import {
+  getReportTemplates,
+  createReportTemplate,
+  updateReportTemplate,
+} from '../controllers/radiologyTemplateController.js';
+import {
+  uploadImages,
+  getImages,
+  downloadImage,
+  getImageThumbnail,
+  deleteImage,
+} from '../controllers/radiologyImageController.js';
 import { protect, authorize } from '../middleware/auth.js';
+import { uploadRadiologyImages } from '../middleware/upload.js';
 import { checkPaymentEligibility } from '../middleware/paymentEligibility.js';
 
 const router = express.Router();
 
 router.use(protect);
 
+const viewRoles = ['admin', 'doctor', 'radiologist', 'lab_technician'];
+
 router.route('/')
-  .get(authorize('admin', 'doctor', 'radiologist', 'lab_technician'), getRadiologyRequests)
+  .get(authorize(...viewRoles), getRadiologyRequests)
   // NOW WITH PAYMENT CHECK
   .post(
     authorize('admin', 'doctor'),
@@ -20,7 +47,44 @@ router.route('/')
     createRadiologyRequest
   );
 
+router.get('/worklist', authorize('admin', 'radiologist'), getRadiologyWorklist);
+
+// Modality catalogue and scheduling
+router.route('/modalities')
+  .get(authorize(...viewRoles, 'receptionist'), getModalities)
+  .post(authorize('admin'), createModality);
+
+router.route('/modalities/:id')
+  .put(authorize('admin'), updateModality);
+
+router.get('/modalities/:id/slots', authorize(...viewRoles, 'receptionist'), getModalitySlots);
+
+// Report templates
+router.route('/templates')
+  .get(authorize('admin', 'radiologist'), getReportTemplates)
+  .post(authorize('admin', 'radiologist'), createReportTemplate);
+
+router.route('/templates/:id')
+  .put(authorize('admin', 'radiologist'), updateReportTemplate);
+
 router.route('/:id')
   .put(authorize('admin', 'radiologist', 'lab_technician'), updateRadiologyRequest);
 
-export default router;
\ No newline at end of file
+router.put('/:id/schedule', authorize('admin', 'radiologist', 'receptionist'), scheduleRadiologyRequest);
+router.put('/:id/start', authorize('admin', 'radiologist'), startRadiologyExam);
+router.put('/:id/report', authorize('admin', 'radiologist'), saveRadiologyReport);
+router.put('/:id/report/sign', authorize('radiologist'), signRadiologyReport);
+router.post('/:id/addenda', authorize('radiologist'), addRadiologyAddendum);
+
+// Images and DICOM files (served only through these authenticated routes)
+router.route('/:id/images')
+  .get(authorize(...viewRoles), getImages)
+  .post(authorize('admin', 'radiologist'), uploadRadiologyImages, uploadImages);
+
+router.route('/:id/images/:imageId')
+  .get(authorize(...viewRoles), downloadImage)
+  .delete(authorize('admin', 'radiologist'), deleteImage);
+
+router.get('/:id/images/:imageId/thumbnail', authorize(...viewRoles), getImageThumbnail);
+
+export default router;
@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  getReorderSuggestions,
+  generateDraftOrders,
+} from '../controllers/reorderController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/suggestions')
+  .get(authorize('admin', 'pharmacist'), getReorderSuggestions);
+
+router.route('/draft-orders')
+  .post(authorize('admin', 'pharmacist'), generateDraftOrders);
+
+export default router;
@@ -6,6 +6,10 @@ import {
   updateRequisitionItem,
   completeRequisition,
   cancelRequisition,
+  getAwaitingApproval,
+  approveRequisition,
+  rejectRequisition,
+  reviewRequisition,
 } from '../controllers/requisitionController.js';
 import { protect, authorize } from '../middleware/auth.js';
 
@@ -17,6 +21,9 @@ router.route('/')
   .get(authorize('admin', 'pharmacist', 'doctor', 'nurse'), getRequisitions)
   .post(authorize('admin', 'pharmacist', 'doctor', 'nurse'), createRequisition);
 
+router.route('/awaiting-approval')
+  .get(authorize('admin', 'pharmacist', 'doctor', 'nurse'), getAwaitingApproval);
+
 router.route('/:id')
   .get(authorize('admin', 'pharmacist', 'doctor', 'nurse'), getRequisition);
 
@@ -26,6 +33,16 @@ router.route('/:id/items/:itemId')
 router.route('/:id/complete')
   .put(authorize('admin', 'pharmacist'), completeRequisition);
 
+// Approver rights (department head or approver role) are checked per requisition
+router.route('/:id/approve')
+  .put(authorize('admin', 'pharmacist', 'doctor', 'nurse'), approveRequisition);
+
+router.route('/:id/reject')
+  .put(authorize('admin', 'pharmacist', 'doctor', 'nurse'), rejectRequisition);
+
+router.route('/:id/review')
+  .put(authorize('admin', 'pharmacist', 'doctor', 'nurse'), reviewRequisition);
+
 router.route('/:id/cancel')
   .put(authorize('admin', 'pharmacist', 'doctor', 'nurse'), cancelRequisition);
 
@@ -3,12 +3,16 @@ import {
   getStockItems,
   getStockBalance,
   getStockTaking,
-  updateStockAudit,
   createMedicine,
   updateMedicine,
   deleteMedicine,
   getStockMovements,
+  getStockReservations,
 } from '../controllers/stockController.js';
+import {
+  getInventoryValuation,
+  getCostOfGoodsDispensed,
+} from '../controllers/stockReportController.js';
 import { protect, authorize } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -25,12 +29,18 @@ router.route('/balance')
 router.route('/taking')
   .get(authorize('admin', 'pharmacist'), getStockTaking);
 
-router.route('/audit/:medicineId')
-  .put(authorize('admin', 'pharmacist'), updateStockAudit);
+router.route('/reservations')
+  .get(authorize('admin', 'pharmacist'), getStockReservations);
 
 router.route('/movements')
   .get(authorize('admin', 'pharmacist'), getStockMovements);
 
+router.route('/reports/valuation')
+  .get(authorize('admin', 'pharmacist'), getInventoryValuation);
+
+router.route('/reports/cost-of-goods')
+  .get(authorize('admin', 'pharmacist'), getCostOfGoodsDispensed);
+
 router.route('/:id')
   .put(authorize('admin', 'pharmacist'), updateMedicine)
   .delete(authorize('admin', 'pharmacist'), deleteMedicine);
@@ -0,0 +1,40 @@
+import express from 'express';
+import {
+  getStockCounts,
+  getStockCount,
+  createStockCount,
+  recordStockCounts,
+  submitStockCount,
+  approveStockCount,
+  cancelStockCount,
+  getStockCountVariance,
+} from '../controllers/stockCountController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(authorize('admin', 'pharmacist'), getStockCounts)
+  .post(authorize('admin', 'pharmacist'), createStockCount);
+
+router.route('/:id')
+  .get(authorize('admin', 'pharmacist'), getStockCount);
+
+router.route('/:id/counts')
+  .put(authorize('admin', 'pharmacist'), recordStockCounts);
+
+router.route('/:id/submit')
+  .put(authorize('admin', 'pharmacist'), submitStockCount);
+
+router.route('/:id/approve')
+  .put(authorize('admin'), approveStockCount);
+
+router.route('/:id/cancel')
+  .put(authorize('admin', 'pharmacist'), cancelStockCount);
+
+router.route('/:id/variance')
+  .get(authorize('admin', 'pharmacist'), getStockCountVariance);
+
+export default router;
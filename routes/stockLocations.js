@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getStockLocations,
+  createStockLocation,
+  updateStockLocation,
+} from '../controllers/stockLocationController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(authorize('admin', 'pharmacist', 'nurse', 'doctor'), getStockLocations)
+  .post(authorize('admin', 'pharmacist'), createStockLocation);
+
+router.route('/:id')
+  .put(authorize('admin', 'pharmacist'), updateStockLocation);
+
+export default router;
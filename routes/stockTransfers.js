@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  getStockTransfers,
+  getStockTransfer,
+  createStockTransfer,
+  dispatchStockTransfer,
+  receiveStockTransfer,
+  cancelStockTransfer,
+} from '../controllers/stockTransferController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(authorize('admin', 'pharmacist', 'nurse'), getStockTransfers)
+  .post(authorize('admin', 'pharmacist', 'nurse'), createStockTransfer);
+
+router.route('/:id')
+  .get(authorize('admin', 'pharmacist', 'nurse'), getStockTransfer);
+
+router.route('/:id/dispatch')
+  .put(authorize('admin', 'pharmacist'), dispatchStockTransfer);
+
+router.route('/:id/receive')
+  .put(authorize('admin', 'pharmacist', 'nurse'), receiveStockTransfer);
+
+router.route('/:id/cancel')
+  .put(authorize('admin', 'pharmacist', 'nurse'), cancelStockTransfer);
+
+export default router;
@@ -0,0 +1,38 @@
+import express from 'express';
+import {
+  getSupplierInvoices,
+  getSupplierInvoice,
+  createSupplierInvoice,
+  updateSupplierInvoice,
+  approveSupplierInvoice,
+  rejectSupplierInvoice,
+  paySupplierInvoice,
+  getReconciliationReport,
+} from '../controllers/supplierInvoiceController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(authorize('admin', 'pharmacist'), getSupplierInvoices)
+  .post(authorize('admin', 'pharmacist'), createSupplierInvoice);
+
+router.route('/reports/reconciliation')
+  .get(authorize('admin'), getReconciliationReport);
+
+router.route('/:id')
+  .get(authorize('admin', 'pharmacist'), getSupplierInvoice)
+  .put(authorize('admin', 'pharmacist'), updateSupplierInvoice);
+
+router.route('/:id/approve')
+  .put(authorize('admin'), approveSupplierInvoice);
+
+router.route('/:id/reject')
+  .put(authorize('admin'), rejectSupplierInvoice);
+
+router.route('/:id/pay')
+  .put(authorize('admin'), paySupplierInvoice);
+
+export default router;
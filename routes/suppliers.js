@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  getSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+} from '../controllers/supplierController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(authorize('admin', 'pharmacist'), getSuppliers)
+  .post(authorize('admin', 'pharmacist'), createSupplier);
+
+router.route('/:id')
+  .get(authorize('admin', 'pharmacist'), getSupplier)
+  .put(authorize('admin', 'pharmacist'), updateSupplier);
+
+export default router;
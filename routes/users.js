@@ -231,14 +231,15 @@ router.put('/preferences', protect, async (req, res) => {
 // @access  Private (Admin only)
 router.put('/:id', protect, authorize('admin'), async (req, res) => {
   try {
-    const { firstName, lastName, email, role, isActive } = req.body;
+    const { firstName, lastName, email, role, isActive, permissions } = req.body;
     
     const fieldsToUpdate = {
       firstName,
       lastName,
       email,
       role,
-      isActive
+      isActive,
+      permissions
     };
 
     // Remove any undefined fields so they don't overwrite existing data
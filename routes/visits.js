@@ -3,6 +3,8 @@ import { body, validationResult } from 'express-validator';
 import Visit from '../models/Visit.js';
 import Patient from '../models/Patient.js';
 import Service from '../models/Service.js';
+import prescriptionService from '../services/prescriptionService.js';
+import pricingService from '../services/pricingService.js';
 import { protect, authorize } from '../middleware/auth.js';
 import { checkPaymentEligibility, checkVisitActive } from '../middleware/paymentEligibility.js';
 import logger from '../utils/logger.js';
@@ -154,7 +156,7 @@ router.post('/:id/lab-orders',
         const hasInsurance = req.hasInsurance;
         const { testName, notes } = req.body;
 
-        // Look up service price
+        // Look up the service price for the patient's payer
         let servicePrice = 0;
         try {
           const service = await Service.findOne({ 
@@ -163,7 +165,12 @@ router.post('/:id/lab-orders',
           });
           
           if (service) {
-            servicePrice = service.price;
+            const { price } = await pricingService.resolvePrice({
+              itemType: 'Service',
+              item: service,
+              patient: visit.patient
+            });
+            servicePrice = price || 0;
           }
         } catch (error) {
           logger.error('Error looking up service price:', error);
@@ -230,65 +237,45 @@ router.post('/:id/prescriptions',
     try {
         const visit = req.visit;
         const hasInsurance = req.hasInsurance;
-        const { medication, dosage, frequency, duration } = req.body;
-
-        // Look up medication price
-        let medicationPrice = 0;
-        try {
-          const service = await Service.findOne({ 
-            name: medication,
-            // Assuming medications are in a 'Medication' or 'Pharmacy' category
-            $or: [
-              { category: 'Medication' },
-              { category: 'Pharmacy' }
-            ]
-          });
-          
-          if (service) {
-            medicationPrice = service.price;
-          }
-        } catch (error) {
-          logger.error('Error looking up medication price:', error);
-        }
-
-        const newPrescription = {
-            medication,
-            dosage,
-            frequency,
-            duration,
-            patient: visit.patient._id,
+        const { prescription, medicine } = await prescriptionService.createPrescription({
+            patient: visit.patient,
+            visit,
             prescribedBy: req.user.id,
-            price: medicationPrice,
-            paymentStatus: hasInsurance ? 'insurance_claimed' : 'pending'
-        };
+            data: req.body
+        });
 
-        visit.prescriptions.push(newPrescription);
-        
-        // Add service charge if price found
+        visit.prescriptions.push(prescription._id);
+
+        // Charge the course at the price for the patient's payer
+        const { price } = await pricingService.resolvePrice({
+          itemType: 'Medicine',
+          item: medicine,
+          patient: visit.patient
+        });
+        const unitPrice = price || 0;
+        const medicationPrice = unitPrice * prescription.quantity;
         if (medicationPrice > 0) {
           const insuranceCoveragePercentage = hasInsurance ? 70 : 0; // Example: 70% coverage for meds
           
           visit.addServiceCharge({
             serviceType: 'prescription',
-            serviceName: medication,
-            serviceId: visit.prescriptions[visit.prescriptions.length - 1]._id,
-            price: medicationPrice,
-            quantity: 1,
+            serviceName: prescription.medication,
+            serviceId: prescription._id,
+            price: unitPrice,
+            quantity: prescription.quantity,
             hasInsurance,
             insuranceCoveragePercentage,
-            notes: `${dosage}, ${frequency}${duration ? ', ' + duration : ''}`
+            notes: `${prescription.dosage}, ${prescription.frequency}${prescription.duration ? ', ' + prescription.duration : ''}`
           }, req.user.id);
         }
         
         await visit.save();
-
-        const addedPrescription = visit.prescriptions[visit.prescriptions.length - 1];
         
         logger.info(`Prescription added to visit ${visit.visitId} by ${req.user.firstName} ${req.user.lastName}`);
         
         res.status(201).json({ 
             status: 'success', 
-            data: addedPrescription,
+            data: prescription,
             chargeInfo: medicationPrice > 0 ? {
               price: medicationPrice,
               hasInsurance,
@@ -298,7 +285,7 @@ router.post('/:id/prescriptions',
 
     } catch (error) {
         logger.error('Add prescription error:', error);
-        res.status(400).json({ status: 'error', message: error.message });
+        res.status(error.statusCode || 400).json({ status: 'error', message: error.message, warnings: error.warnings });
     }
 });
 
@@ -0,0 +1,55 @@
+// One-off migration for dispensing records written before they were linked to prescriptions.
+// Moves the old free-text `medicine` name into `medicineName` and links the catalogue entry
+// when the name matches exactly. `issuedBy` values that aren't user ids are moved to `notes`.
+//
+// Usage: node scripts/migrate-dispensing-records.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/hospital_management');
+
+  const dispensings = mongoose.connection.collection('dispensings');
+  const medicines = mongoose.connection.collection('medicines');
+
+  const legacy = dispensings.find({ medicine: { $type: 'string' } });
+  let migrated = 0;
+  let linked = 0;
+
+  for await (const record of legacy) {
+    const update = { $set: { medicineName: record.medicine }, $unset: { medicine: '' } };
+
+    const match = await medicines.findOne(
+      { name: record.medicine },
+      { collation: { locale: 'en', strength: 2 } }
+    );
+    if (match) {
+      update.$set.medicine = match._id;
+      delete update.$unset;
+      linked++;
+    }
+
+    if (typeof record.issuedBy === 'string') {
+      if (mongoose.Types.ObjectId.isValid(record.issuedBy)) {
+        update.$set.issuedBy = new mongoose.Types.ObjectId(record.issuedBy);
+      } else {
+        update.$set.notes = [record.notes, `Issued by: ${record.issuedBy}`].filter(Boolean).join('\n');
+        update.$unset = { ...update.$unset, issuedBy: '' };
+      }
+    }
+
+    await dispensings.updateOne({ _id: record._id }, update);
+    migrated++;
+  }
+
+  console.log(`Migrated ${migrated} dispensing record(s); linked ${linked} to the medicine catalogue`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('Dispensing migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,130 @@
+// One-off migration from the fixed price keys on Medicine.prices and ItemPrice.prices to
+// price lists. Each legacy key becomes a PriceList (the insurer keys linked to an
+// InsuranceProvider with the same code, created if missing; Pharmacy becomes the default
+// cash list), every non-zero price becomes a PriceListItem effective from now, patients'
+// insurance.provider codes become InsuranceProvider ids and the old `prices` fields go.
+// Safe to re-run: existing lists and prices are left as they are.
+//
+// Usage: node scripts/migrate-price-lists.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const LEGACY_LISTS = [
+  { key: 'BRITAM', name: 'BRITAM', payerType: 'insurance' },
+  { key: 'NSSF', name: 'NSSF', payerType: 'insurance' },
+  { key: 'NHIF', name: 'NHIF', payerType: 'insurance' },
+  { key: 'ASSEMBLE', name: 'ASSEMBLE', payerType: 'insurance' },
+  { key: 'Pharmacy', name: 'Pharmacy (cash)', payerType: 'cash', isDefault: true },
+  { key: 'HospitalShop', name: 'Hospital Shop', payerType: 'cash' }
+];
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/hospital_management');
+
+  const db = mongoose.connection;
+  const priceLists = db.collection('pricelists');
+  const priceListItems = db.collection('pricelistitems');
+  const providers = db.collection('insuranceproviders');
+  const now = new Date();
+
+  const listByKey = new Map();
+  const providerByCode = new Map();
+  let listsCreated = 0;
+  let providersCreated = 0;
+
+  for (const legacy of LEGACY_LISTS) {
+    const code = legacy.key.toUpperCase();
+    let provider;
+
+    if (legacy.payerType === 'insurance') {
+      provider = await providers.findOne({ code });
+      if (!provider) {
+        // Contact details are required by the model; fill them in from the admin screens
+        const { insertedId } = await providers.insertOne({
+          name: legacy.name,
+          code,
+          type: code === 'NHIF' || code === 'NSSF' ? 'government' : 'private',
+          contactInfo: { phone: '', email: '' },
+          coveragePlans: [],
+          isActive: true,
+          createdAt: now,
+          updatedAt: now
+        });
+        provider = { _id: insertedId };
+        providersCreated++;
+      }
+      providerByCode.set(code, provider._id);
+    }
+
+    let list = await priceLists.findOne({ code });
+    if (!list) {
+      const { insertedId } = await priceLists.insertOne({
+        name: legacy.name,
+        code,
+        payerType: legacy.payerType,
+        ...(provider && { insuranceProvider: provider._id }),
+        isDefault: !!legacy.isDefault && !(await priceLists.findOne({ isDefault: true })),
+        isActive: true,
+        createdAt: now,
+        updatedAt: now
+      });
+      list = { _id: insertedId };
+      listsCreated++;
+    }
+    listByKey.set(legacy.key, list._id);
+  }
+
+  let pricesCopied = 0;
+  for (const [collection, itemType] of [['medicines', 'Medicine'], ['itemprices', 'ItemPrice']]) {
+    const items = db.collection(collection).find({ prices: { $exists: true } });
+
+    for await (const item of items) {
+      for (const [key, priceList] of listByKey) {
+        const price = Number(item.prices?.[key]);
+        // The old schema defaulted every key to a placeholder, so zero means "not set"
+        if (!Number.isFinite(price) || price <= 0) continue;
+
+        const existing = await priceListItems.findOne({ priceList, itemType, item: item._id });
+        if (existing) continue;
+
+        await priceListItems.insertOne({
+          priceList,
+          itemType,
+          item: item._id,
+          price,
+          effectiveFrom: now,
+          notes: `Migrated from ${itemType}.prices.${key}`,
+          createdAt: now,
+          updatedAt: now
+        });
+        pricesCopied++;
+      }
+    }
+
+    await db.collection(collection).updateMany({ prices: { $exists: true } }, { $unset: { prices: '' } });
+  }
+
+  const patients = db.collection('patients');
+  let patientsUpdated = 0;
+  for (const [code, providerId] of providerByCode) {
+    const { modifiedCount } = await patients.updateMany(
+      { 'insurance.provider': code },
+      { $set: { 'insurance.provider': providerId } }
+    );
+    patientsUpdated += modifiedCount;
+  }
+
+  console.log(
+    `Created ${listsCreated} price list(s) and ${providersCreated} insurance provider(s); ` +
+    `copied ${pricesCopied} price(s); linked ${patientsUpdated} patient(s) to their insurer`
+  );
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('Price list migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,72 @@
+// One-off migration for purchase orders written before the supplier master existed.
+// Each embedded supplier ({ name, contact, email, phone }) becomes a Supplier document,
+// matched case-insensitively by name, and the order is pointed at it. Order lines get
+// `unitCost` renamed to `agreedPrice` and `receivedQuantity` filled in from the batches
+// already received against the order.
+//
+// Usage: node scripts/migrate-purchase-order-suppliers.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/hospital_management');
+
+  const purchaseOrders = mongoose.connection.collection('purchaseorders');
+  const suppliers = mongoose.connection.collection('suppliers');
+  const batches = mongoose.connection.collection('medicinebatches');
+
+  const legacy = purchaseOrders.find({ supplier: { $type: 'object' } });
+  let migrated = 0;
+  let created = 0;
+
+  for await (const order of legacy) {
+    const name = (order.supplier.name || 'Unknown supplier').trim();
+
+    let supplier = await suppliers.findOne({ name }, { collation: { locale: 'en', strength: 2 } });
+    if (!supplier) {
+      const contact = order.supplier.contact;
+      const now = new Date();
+      const { insertedId } = await suppliers.insertOne({
+        name,
+        email: order.supplier.email,
+        phone: order.supplier.phone,
+        contacts: contact ? [{ name: contact, phone: order.supplier.phone, email: order.supplier.email }] : [],
+        paymentTermsDays: 30,
+        isActive: true,
+        createdAt: now,
+        updatedAt: now
+      });
+      supplier = { _id: insertedId };
+      created++;
+    }
+
+    const received = await batches.aggregate([
+      { $match: { purchaseOrder: order._id } },
+      { $group: { _id: '$medicine', quantity: { $sum: '$quantityReceived' } } }
+    ]).toArray();
+    const receivedByMedicine = new Map(received.map(row => [row._id.toString(), row.quantity]));
+
+    const items = (order.items || []).map(({ unitCost, ...item }) => ({
+      ...item,
+      agreedPrice: item.agreedPrice ?? unitCost ?? 0,
+      receivedQuantity: item.receivedQuantity ?? receivedByMedicine.get(item.medicine.toString()) ?? 0
+    }));
+
+    await purchaseOrders.updateOne(
+      { _id: order._id },
+      { $set: { supplier: supplier._id, items } }
+    );
+    migrated++;
+  }
+
+  console.log(`Migrated ${migrated} purchase order(s); created ${created} supplier(s)`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('Purchase order supplier migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -17,6 +17,10 @@ import { fileURLToPath } from 'url';
 import connectDB from './config/database.js';
 import errorHandler from './middleware/errorHandler.js';
 import logger from './utils/logger.js';
+import scheduler from './services/scheduler.js';
+import labAlertService from './services/labAlertService.js';
+import stockReservationService from './services/stockReservationService.js';
+import quarantineService from './services/quarantineService.js';
 
 // Import routes
 import authRoutes from './routes/auth.js';
@@ -33,23 +37,38 @@ import bedRoutes from './routes/beds.js';
 import ipdRecordRoutes from './routes/ipd-records.js';
 import dashboardRoutes from './routes/dashboard.js';
 import labTestRoutes from './routes/labTests.js';
+import labCatalogRoutes from './routes/labCatalog.js';
 import radiologyRoutes from './routes/radiology.js';
 import theatreRoutes from './routes/theatres.js';
 import theatreProcedureRoutes from './routes/theatre-procedures.js';
 import prescriptionRoutes from './routes/prescriptions.js';
 import medicineRoutes from './routes/medicines.js';
+import drugInteractionRoutes from './routes/drugInteractions.js';
 import billingRoutes from './routes/billing.js';
 import serviceRoutes from './routes/services.js';
 import stockRoutes from './routes/stock.js';
 import dispensingRoutes from './routes/dispensing.js';
 import directDispensingRoutes from './routes/directDispensing.js';
+import pharmacyShiftRoutes from './routes/pharmacyShifts.js';
+import medicineReturnRoutes from './routes/medicineReturns.js';
 import requisitionRoutes from './routes/requisitions.js';
 import itemPricingRoutes from './routes/itemPricing.js';
+import priceListRoutes from './routes/priceLists.js';
+import catalogueRoutes from './routes/catalogue.js';
 import itemReceivingRoutes from './routes/itemReceiving.js';
 import incomingItemsRoutes from './routes/incomingItems.js';
+import stockLocationRoutes from './routes/stockLocations.js';
+import stockTransferRoutes from './routes/stockTransfers.js';
+import stockCountRoutes from './routes/stockCounts.js';
+import controlledDrugRoutes from './routes/controlledDrugs.js';
+import quarantineRoutes from './routes/quarantine.js';
+import reorderRoutes from './routes/reorder.js';
+import supplierRoutes from './routes/suppliers.js';
+import supplierInvoiceRoutes from './routes/supplierInvoices.js';
 import corpsesRoutes from './routes/corpses.js';
 import cabinetRoutes from './routes/cabinets.js';
 import releaseRoutes from './routes/releases.js';
+import notificationRoutes from './routes/notifications.js';
 
 // Load environment variables
 const NODE_ENV = process.env.NODE_ENV || 'development';
@@ -197,23 +216,38 @@ app.use('/api/beds', bedRoutes);
 app.use('/api/ipd-records', ipdRecordRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/lab-tests', labTestRoutes);
+app.use('/api/lab-catalog', labCatalogRoutes);
 app.use('/api/radiology', radiologyRoutes);
 app.use('/api/theatres', theatreRoutes);
 app.use('/api/theatre-procedures', theatreProcedureRoutes);
 app.use('/api/prescriptions', prescriptionRoutes);
 app.use('/api/medicines', medicineRoutes);
+app.use('/api/drug-interactions', drugInteractionRoutes);
 app.use('/api/billing', billingRoutes);
 app.use('/api/services', serviceRoutes);
 app.use('/api/stock', stockRoutes);
 app.use('/api/dispensing', dispensingRoutes);
 app.use('/api/direct-dispensing', directDispensingRoutes);
+app.use('/api/pharmacy-shifts', pharmacyShiftRoutes);
+app.use('/api/medicine-returns', medicineReturnRoutes);
 app.use('/api/requisitions', requisitionRoutes);
 app.use('/api/item-pricing', itemPricingRoutes);
+app.use('/api/price-lists', priceListRoutes);
+app.use('/api/catalogue', catalogueRoutes);
 app.use('/api/item-receiving', itemReceivingRoutes);
 app.use('/api/incoming-items', incomingItemsRoutes);
+app.use('/api/stock-locations', stockLocationRoutes);
+app.use('/api/stock-transfers', stockTransferRoutes);
+app.use('/api/stock-counts', stockCountRoutes);
+app.use('/api/controlled-drugs', controlledDrugRoutes);
+app.use('/api/quarantine', quarantineRoutes);
+app.use('/api/reorder', reorderRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/supplier-invoices', supplierInvoiceRoutes);
 app.use('/api/corpses', corpsesRoutes);
 app.use('/api/cabinets', cabinetRoutes);
 app.use('/api/releases', releaseRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -226,12 +260,18 @@ app.use('*', (req, res) => {
 // Error handling middleware
 app.use(errorHandler);
 
+// Scheduled background jobs
+scheduler.register('lab-critical-escalation', 60 * 1000, () => labAlertService.escalateOverdueAlerts());
+scheduler.register('stock-reservation-expiry', 5 * 60 * 1000, () => stockReservationService.expireReservations());
+scheduler.register('batch-expiry', 60 * 60 * 1000, () => quarantineService.expireBatches());
+
 const PORT = process.env.PORT || 5000;
 
 // Bind to 0.0.0.0 for remote access
 const server = app.listen(PORT, '0.0.0.0', () => {
   logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
   logger.info(`Server accessible at http://0.0.0.0:${PORT}`);
+  scheduler.start();
 });
 
 // Handle unhandled promise rejections
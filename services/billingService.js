@@ -5,6 +5,8 @@ import Visit from '../models/Visit.js';
 import InsuranceProvider from '../models/InsuranceProvider.js';
 import Notification from '../models/Notification.js';
 import AuditLog from '../models/AuditLog.js';
+import pricingService from './pricingService.js';
+import { httpError } from '../utils/httpError.js';
 import logger from '../utils/logger.js';
 
 class BillingService {
@@ -18,10 +20,13 @@ class BillingService {
       
       // Calculate due date based on payment terms
       const dueDate = this.calculateDueDate(data.paymentTerms);
+
+      const items = await this.priceItems(data.items, data.patient);
       
       // Create invoice
       const invoice = new Invoice({
         ...data,
+        items,
         invoiceNumber,
         dueDate,
         generatedBy: userId,
@@ -63,6 +68,32 @@ class BillingService {
     }
   }
 
+  /**
+   * Lines that reference a catalogue medicine or service are charged at the price for the
+   * patient's payer; any unitPrice sent with them is ignored. Other lines keep their own price.
+   */
+  async priceItems(items = [], patient) {
+    const priced = [];
+    for (const item of items) {
+      const itemType = item.medicine ? 'Medicine' : item.service ? 'Service' : null;
+      if (!itemType) {
+        priced.push(item);
+        continue;
+      }
+
+      const { price, priceList } = await pricingService.resolvePrice({
+        itemType,
+        item: item.medicine || item.service,
+        patient
+      });
+      if (price === null) {
+        throw httpError(400, `No price is set for ${item.description || itemType.toLowerCase()}`);
+      }
+      priced.push({ ...item, unitPrice: price, priceList });
+    }
+    return priced;
+  }
+
   async processPayment(paymentData, userId) {
     try {
       // Generate payment number
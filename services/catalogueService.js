@@ -0,0 +1,364 @@
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import { Medicine, CONTROLLED_SCHEDULES } from '../models/Medicine.js';
+import Service from '../models/Service.js';
+import ItemPrice from '../models/ItemPrice.js';
+import PriceList from '../models/PriceList.js';
+import pricingService from './pricingService.js';
+import stockLedger from './stockLedger.js';
+import { httpError } from '../utils/httpError.js';
+
+// Column holding an item's price on one list, e.g. "price:NHIF"
+const PRICE_COLUMN = /^price:(.+)$/i;
+
+const toNumber = (value) => (typeof value === 'number' ? value : Number(String(value).replace(/,/g, '')));
+const toBoolean = (value) => ['true', 'yes', '1', 'y'].includes(String(value).trim().toLowerCase());
+const toList = (value) => String(value).split(/[;|]/).map(part => part.trim()).filter(Boolean);
+const fromList = (value) => (value || []).join('; ');
+
+/**
+ * Each catalogue is a model plus the columns a spreadsheet carries for it. `key` columns
+ * identify an existing record (the same combination createMedicine treats as a duplicate);
+ * any other column left blank keeps the current value.
+ */
+const CATALOGUES = {
+  medicines: {
+    model: Medicine,
+    itemType: 'Medicine',
+    key: ['name', 'type', 'strength'],
+    columns: {
+      name: {},
+      genericName: {},
+      type: {},
+      strength: {},
+      manufacturer: {},
+      category: {},
+      sellingPrice: { parse: toNumber },
+      reorderLevel: { parse: toNumber },
+      controlledSchedule: {
+        check: value => CONTROLLED_SCHEDULES.includes(value) || `must be one of ${CONTROLLED_SCHEDULES.join(', ')}`
+      },
+      allergenGroups: { parse: toList, format: fromList }
+    },
+    sort: { name: 1, type: 1, strength: 1 }
+  },
+  services: {
+    model: Service,
+    itemType: 'Service',
+    key: ['name', 'category'],
+    columns: {
+      name: {},
+      category: {},
+      description: {},
+      price: { parse: toNumber },
+      isActive: { parse: toBoolean }
+    },
+    sort: { category: 1, name: 1 }
+  },
+  'item-prices': {
+    model: ItemPrice,
+    itemType: 'ItemPrice',
+    key: ['name'],
+    columns: {
+      name: {}
+    },
+    sort: { name: 1 }
+  }
+};
+
+export const CATALOGUE_NAMES = Object.keys(CATALOGUES);
+
+const cellValue = (cell) => {
+  const { value } = cell;
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number' || value instanceof Date) return value;
+  if (typeof value === 'object' && 'result' in value) return value.result ?? '';
+  return cell.text.trim();
+};
+
+/**
+ * Spreadsheet import and export for the medicine, service and item price catalogues,
+ * including their prices on every price list. Exports use the same columns imports read,
+ * so a catalogue can be downloaded, edited and uploaded again.
+ */
+class CatalogueService {
+  getCatalogue(name) {
+    const catalogue = CATALOGUES[name];
+    if (!catalogue) {
+      throw httpError(404, `Unknown catalogue. Use one of: ${CATALOGUE_NAMES.join(', ')}`);
+    }
+    return catalogue;
+  }
+
+  // First worksheet as [{ row, values: { header: value } }], skipping blank rows
+  async readRows(buffer, format) {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+    if (format === 'csv') {
+      worksheet = await workbook.csv.read(Readable.from(buffer));
+    } else if (format === 'xlsx') {
+      await workbook.xlsx.load(buffer);
+      worksheet = workbook.worksheets[0];
+    } else {
+      throw httpError(400, 'Upload a .csv or .xlsx file');
+    }
+    if (!worksheet || worksheet.rowCount < 1) throw httpError(400, 'The file is empty');
+
+    const headers = [];
+    worksheet.getRow(1).eachCell((cell, col) => {
+      headers[col] = String(cellValue(cell)).trim();
+    });
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+      const values = {};
+      row.eachCell((cell, col) => {
+        if (headers[col]) values[headers[col]] = cellValue(cell);
+      });
+      if (Object.values(values).some(value => value !== '')) rows.push({ row: rowNumber, values });
+    });
+    return { headers: headers.filter(Boolean), rows };
+  }
+
+  // Map price columns to price lists; unknown columns and codes are file-level errors
+  async resolveColumns(catalogue, headers) {
+    const errors = [];
+    const priceColumns = [];
+
+    for (const header of headers) {
+      const match = header.match(PRICE_COLUMN);
+      if (match) {
+        priceColumns.push({ header, code: match[1].trim().toUpperCase() });
+      } else if (!catalogue.columns[header]) {
+        errors.push({ row: 1, field: header, message: 'Unknown column' });
+      }
+    }
+
+    catalogue.key.filter(key => key !== 'strength' && !headers.includes(key)).forEach(key => {
+      errors.push({ row: 1, field: key, message: 'Required column is missing' });
+    });
+
+    const lists = await PriceList.find({ code: { $in: priceColumns.map(column => column.code) } });
+    const byCode = new Map(lists.map(list => [list.code, list]));
+    priceColumns.forEach(column => {
+      column.priceList = byCode.get(column.code);
+      if (!column.priceList) {
+        errors.push({ row: 1, field: column.header, message: `No price list with code ${column.code}` });
+      }
+    });
+
+    return { errors, priceColumns };
+  }
+
+  // Empty key fields match records stored either without the field or with '' (receiving saves strength as '')
+  keyFilter(catalogue, fields) {
+    return Object.fromEntries(catalogue.key.map(key => [key, fields[key] || { $in: [null, ''] }]));
+  }
+
+  /**
+   * Validate every row and work out what importing it would do. Nothing is written;
+   * rows come back as { row, key, action: create|update|unchanged, changes, prices, doc }.
+   */
+  async planImport(catalogue, { headers, rows }) {
+    const { errors, priceColumns } = await this.resolveColumns(catalogue, headers);
+    if (errors.length > 0) return { errors, plan: [] };
+
+    const plan = [];
+    const seenKeys = new Map();
+
+    for (const { row, values } of rows) {
+      const rowErrors = [];
+      const fields = {};
+
+      for (const [column, options] of Object.entries(catalogue.columns)) {
+        const raw = values[column];
+        if (raw === undefined || raw === '') continue;
+
+        const value = options.parse ? options.parse(raw) : String(raw).trim();
+        if (typeof value === 'number' && !Number.isFinite(value)) {
+          rowErrors.push({ row, field: column, message: `"${raw}" is not a number` });
+          continue;
+        }
+        const check = options.check?.(value);
+        if (typeof check === 'string') {
+          rowErrors.push({ row, field: column, message: check });
+          continue;
+        }
+        fields[column] = value;
+      }
+
+      const prices = {};
+      for (const column of priceColumns) {
+        const raw = values[column.header];
+        if (raw === undefined || raw === '') continue;
+        const price = toNumber(raw);
+        if (!(price >= 0)) {
+          rowErrors.push({ row, field: column.header, message: `"${raw}" is not a valid price` });
+          continue;
+        }
+        prices[column.code] = { priceList: column.priceList._id, price };
+      }
+
+      const filter = this.keyFilter(catalogue, fields);
+      const key = catalogue.key.map(field => fields[field]).filter(Boolean).join(' / ');
+
+      if (seenKeys.has(key)) {
+        rowErrors.push({ row, message: `Same ${catalogue.key.join(' + ')} as row ${seenKeys.get(key)}` });
+      } else {
+        seenKeys.set(key, row);
+      }
+
+      const existing = fields.name ? await catalogue.model.findOne(filter) : null;
+      const doc = existing || new catalogue.model();
+      doc.set(fields);
+
+      const validation = doc.validateSync();
+      Object.values(validation?.errors || {})
+        .filter(error => !rowErrors.some(reported => reported.field === error.path))
+        .forEach(error => rowErrors.push({ row, field: error.path, message: error.message }));
+
+      if (rowErrors.length > 0) {
+        errors.push(...rowErrors);
+        continue;
+      }
+
+      const changes = existing ? doc.modifiedPaths({ includeChildren: false }) : Object.keys(fields);
+      plan.push({ row, key, action: existing ? 'update' : 'create', changes, prices, doc });
+    }
+
+    // Only prices that differ from what's in force now start a new history entry
+    const existingIds = plan.filter(entry => entry.action === 'update').map(entry => entry.doc._id);
+    const current = await pricingService.currentPricesByCode(catalogue.itemType, existingIds);
+    for (const entry of plan) {
+      const inForce = current[entry.doc._id.toString()] || {};
+      entry.prices = Object.fromEntries(
+        Object.entries(entry.prices).filter(([code, { price }]) => inForce[code] !== price)
+      );
+      if (entry.action === 'update' && entry.changes.length === 0 && Object.keys(entry.prices).length === 0) {
+        entry.action = 'unchanged';
+      }
+    }
+
+    return { errors, plan };
+  }
+
+  summarise(plan, errors, totalRows) {
+    const count = action => plan.filter(entry => entry.action === action).length;
+    return {
+      totalRows,
+      create: count('create'),
+      update: count('update'),
+      unchanged: count('unchanged'),
+      rowsWithErrors: new Set(errors.map(error => error.row)).size
+    };
+  }
+
+  /**
+   * Import a catalogue file. With `dryRun` (or any validation error) nothing is written and
+   * the report shows what would happen; otherwise every row is created or updated by key
+   * and changed prices are set from now, in one transaction.
+   */
+  async importFile({ name, buffer, format, dryRun = false, userId }) {
+    const catalogue = this.getCatalogue(name);
+    const parsed = await this.readRows(buffer, format);
+    const { errors, plan } = await this.planImport(catalogue, parsed);
+
+    const report = {
+      catalogue: name,
+      dryRun,
+      summary: this.summarise(plan, errors, parsed.rows.length),
+      errors,
+      rows: plan.map(({ row, key, action, changes, prices }) => ({
+        row,
+        key,
+        action,
+        changes,
+        prices: Object.fromEntries(Object.entries(prices).map(([code, { price }]) => [code, price]))
+      }))
+    };
+
+    if (dryRun || errors.length > 0) return { ...report, applied: false };
+
+    // All or nothing: a row that fails to save (e.g. someone added the same item meanwhile)
+    // rolls back the whole import. Writes are plain inserts/updates so a retried
+    // transaction starts from the plan again rather than from half-saved documents.
+    await stockLedger.withTransaction(async (session) => {
+      for (const entry of plan) {
+        if (entry.action === 'unchanged') continue;
+
+        try {
+          if (entry.action === 'create') {
+            await catalogue.model.create([entry.doc.toObject()], { session });
+          } else if (entry.changes.length > 0) {
+            const changes = Object.fromEntries(entry.changes.map(path => [path, entry.doc.get(path)]));
+            await catalogue.model.updateOne({ _id: entry.doc._id }, { $set: changes }, { session, runValidators: true });
+          }
+
+          for (const { priceList, price } of Object.values(entry.prices)) {
+            await pricingService.setPrice({
+              priceList,
+              itemType: catalogue.itemType,
+              item: entry.doc._id,
+              price,
+              userId,
+              notes: `Imported from ${name} file`,
+              session
+            });
+          }
+        } catch (error) {
+          if (error.errorLabels?.includes('TransientTransactionError')) throw error;
+          throw httpError(error.code === 11000 ? 409 : error.statusCode || 400, `Row ${entry.row} (${entry.key}): ${error.message}`);
+        }
+      }
+    });
+
+    return { ...report, applied: true };
+  }
+
+  /**
+   * The whole catalogue with current prices, one `price:CODE` column per active price list.
+   * Returns { buffer, contentType, filename }.
+   */
+  async exportFile({ name, format = 'xlsx' }) {
+    const catalogue = this.getCatalogue(name);
+    if (!['csv', 'xlsx'].includes(format)) throw httpError(400, 'Format must be csv or xlsx');
+
+    const [records, priceLists] = await Promise.all([
+      catalogue.model.find().sort(catalogue.sort),
+      PriceList.find({ isActive: true }).sort({ isDefault: -1, code: 1 })
+    ]);
+    const prices = await pricingService.currentPricesByCode(catalogue.itemType, records.map(record => record._id));
+
+    const columns = Object.keys(catalogue.columns);
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet(name);
+    worksheet.addRow([...columns, ...priceLists.map(list => `price:${list.code}`)]);
+
+    for (const record of records) {
+      const recordPrices = prices[record._id.toString()] || {};
+      worksheet.addRow([
+        ...columns.map(column => {
+          const format = catalogue.columns[column].format;
+          const value = record[column];
+          return format ? format(value) : value ?? '';
+        }),
+        ...priceLists.map(list => recordPrices[list.code] ?? '')
+      ]);
+    }
+
+    const buffer = format === 'csv'
+      ? await workbook.csv.writeBuffer()
+      : await workbook.xlsx.writeBuffer();
+
+    return {
+      buffer,
+      contentType: format === 'csv'
+        ? 'text/csv'
+        : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      filename: `${name}-${new Date().toISOString().slice(0, 10)}.${format}`
+    };
+  }
+}
+
+export default new CatalogueService();
@@ -0,0 +1,170 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { Medicine } from '../models/Medicine.js';
+import { MedicineBatch } from '../models/MedicineBatch.js';
+import { QuarantineRecord } from '../models/QuarantineRecord.js';
+import {
+  ControlledDrugBalance,
+  ControlledDrugRegister,
+  REGISTER_IN_TYPES
+} from '../models/ControlledDrugRegister.js';
+import { httpError } from '../utils/httpError.js';
+
+// Who may countersign controlled drug movements
+const WITNESS_ROLES = ['admin', 'pharmacist', 'nurse', 'doctor'];
+
+// Quarantined stock stays on the register until its destruction or return is approved
+const HELD_QUARANTINE_STATUSES = ['quarantined', 'pending_approval'];
+
+/**
+ * Controlled drugs register: a running balance per medicine and location, where every
+ * receipt, issue, return and destruction carries two signatures. stockLedger calls
+ * record() for every batch change of a scheduled medicine, so no path can move one
+ * without a witness.
+ */
+class ControlledDrugService {
+  async isControlled(medicineId, session) {
+    const medicine = await Medicine.findById(medicineId).select('controlledSchedule').session(session || null);
+    return Boolean(medicine?.controlledSchedule);
+  }
+
+  /**
+   * Check a witness's own credentials (`{ email, password }`) and return their user id.
+   * Returns null when no witness was given; the register decides whether one was needed.
+   */
+  async resolveWitness(witness, performedBy) {
+    if (!witness?.email && !witness?.password) return null;
+    if (!witness.email || !witness.password) {
+      throw httpError(400, 'Witness email and password are both required');
+    }
+
+    const user = await User.findOne({ email: witness.email }).select('+password');
+    if (!user || !user.isActive || !WITNESS_ROLES.includes(user.role)) {
+      throw httpError(401, 'Witness credentials are invalid');
+    }
+    if (user.isLocked()) {
+      throw httpError(423, 'Witness account is temporarily locked');
+    }
+    if (!(await user.matchPassword(witness.password))) {
+      await user.incrementFailedLoginAttempts();
+      throw httpError(401, 'Witness credentials are invalid');
+    }
+    if (user._id.toString() === performedBy.toString()) {
+      throw httpError(403, 'The witness must be someone other than the person recording the movement');
+    }
+
+    return user._id;
+  }
+
+  // Batch stock plus quarantined stock that hasn't been destroyed or returned yet
+  async physicalQuantity(medicineId, location, session) {
+    const medicine = new mongoose.Types.ObjectId(String(medicineId));
+
+    const [batches] = await MedicineBatch.aggregate([
+      { $match: { medicine, location } },
+      { $group: { _id: null, quantity: { $sum: '$quantityRemaining' } } }
+    ]).session(session || null);
+
+    const [quarantined] = await QuarantineRecord.aggregate([
+      { $match: { medicine, location, status: { $in: HELD_QUARANTINE_STATUSES } } },
+      { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+    ]).session(session || null);
+
+    return (batches?.quantity || 0) + (quarantined?.quantity || 0);
+  }
+
+  /**
+   * Write one register entry for a controlled medicine and move its running balance.
+   * Call it straight after the one batch change it records, in the same transaction when
+   * there is one.
+   * Throws a 400 when no witness signed. The first entry at a location opens the register
+   * with whatever was already there. Pass `shelfChanged: false` for entries that don't move
+   * physical stock (a return destroyed on receipt), so the opening balance isn't skewed.
+   */
+  requireWitness(witnessedBy) {
+    if (!witnessedBy) {
+      throw httpError(400, 'This is a controlled drug: a second member of staff must witness the movement', {
+        witnessRequired: true
+      });
+    }
+  }
+
+  async record({
+    session, medicine, location, entryType, quantity, batch, batchNumber,
+    reason, patient, performedBy, witnessedBy, shelfChanged = true
+  }) {
+    this.requireWitness(witnessedBy);
+
+    const signed = REGISTER_IN_TYPES.includes(entryType) ? quantity : -quantity;
+
+    const exists = await ControlledDrugBalance.exists({ medicine, location }).session(session || null);
+    if (!exists) {
+      const physical = await this.physicalQuantity(medicine, location, session);
+      const opening = shelfChanged ? physical - signed : physical;
+      await ControlledDrugBalance.create([{ medicine, location, balance: opening }], { session });
+      await ControlledDrugRegister.create([{
+        medicine,
+        location,
+        entryType: 'opening',
+        quantity: Math.max(opening, 0),
+        balance: opening,
+        reason: 'Register opened with stock already held',
+        performedBy
+      }], { session });
+    }
+
+    // $inc on the balance document serialises concurrent entries for the same drug and location
+    const { balance } = await ControlledDrugBalance.findOneAndUpdate(
+      { medicine, location },
+      { $inc: { balance: signed } },
+      { new: true, session }
+    );
+    if (balance < 0) {
+      throw httpError(409, 'Controlled drug register balance cannot go below zero');
+    }
+
+    const [entry] = await ControlledDrugRegister.create([{
+      medicine,
+      location,
+      entryType,
+      quantity,
+      balance,
+      batch,
+      batchNumber,
+      reason,
+      patient,
+      performedBy,
+      witnessedBy
+    }], { session });
+
+    return entry;
+  }
+
+  // Register balance against physical stock for every controlled drug with a register
+  async reconcile({ location, medicine } = {}) {
+    const filter = {};
+    if (location) filter.location = location.toUpperCase();
+    if (medicine) filter.medicine = medicine;
+
+    const balances = await ControlledDrugBalance.find(filter)
+      .populate('medicine', 'name strength type controlledSchedule')
+      .sort('location');
+
+    const rows = [];
+    for (const row of balances) {
+      const physical = await this.physicalQuantity(row.medicine._id, row.location);
+      rows.push({
+        medicine: row.medicine,
+        location: row.location,
+        registerBalance: row.balance,
+        stockQuantity: physical,
+        difference: physical - row.balance,
+        reconciled: physical === row.balance
+      });
+    }
+
+    return rows;
+  }
+}
+
+export default new ControlledDrugService();
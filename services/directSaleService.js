@@ -0,0 +1,156 @@
+import mongoose from 'mongoose';
+import { Medicine } from '../models/Medicine.js';
+import { SALE_PAYMENT_METHODS } from '../models/DirectDispensing.js';
+import { PharmacyShift } from '../models/PharmacyShift.js';
+import pricingService from './pricingService.js';
+import { httpError } from '../utils/httpError.js';
+
+export const DISCOUNT_PERMISSION = 'apply_discounts';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Pricing, discounts and payment for walk-in pharmacy sales. Each line is charged at the
+ * price list price (the patient's payer list when a patient is given, otherwise the
+ * default list); prices sent by the client are ignored.
+ */
+class DirectSaleService {
+  /**
+   * Resolve lines `[{ medicine | name, qty }]` and an optional `discount`
+   * ({ amount } or { percent }, with a reason) into a priced sale.
+   */
+  async priceSale({ medicines, patient, discount, user }) {
+    if (!Array.isArray(medicines) || medicines.length === 0) {
+      throw httpError(400, 'Please add at least one medicine');
+    }
+
+    const lines = [];
+    let priceList = null;
+
+    for (const item of medicines) {
+      let medicine;
+      if (item.medicine && mongoose.Types.ObjectId.isValid(item.medicine)) {
+        medicine = await Medicine.findById(item.medicine);
+      } else if (item.name) {
+        medicine = await Medicine.findOne({ name: item.name });
+      }
+      if (!medicine) throw httpError(400, `Medicine not found: ${item.name || item.medicine}`);
+
+      const qty = parseInt(item.quantity ?? item.qty ?? 1);
+      if (!(qty > 0)) throw httpError(400, `${medicine.name}: quantity must be a positive number`);
+
+      const resolved = await pricingService.resolvePrice({ itemType: 'Medicine', item: medicine, patient });
+      if (resolved.price === null) throw httpError(400, `No price is set for ${medicine.name}`);
+      priceList = priceList || resolved.priceList;
+
+      lines.push({
+        medicine,
+        name: medicine.name,
+        qty,
+        unitPrice: resolved.price,
+        lineTotal: round(resolved.price * qty)
+      });
+    }
+
+    const subtotal = round(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+    const discountAmount = this.discountAmount(discount, subtotal);
+
+    if (discountAmount > 0) {
+      if (!user?.hasPermission(DISCOUNT_PERMISSION)) {
+        throw httpError(403, `Permission '${DISCOUNT_PERMISSION}' is required to give a discount`);
+      }
+      if (!discount.reason?.trim()) throw httpError(400, 'Please give a reason for the discount');
+    }
+
+    return {
+      lines,
+      priceList,
+      subtotal,
+      discount: discountAmount > 0
+        ? { amount: discountAmount, reason: discount.reason.trim(), approvedBy: user._id }
+        : { amount: 0 },
+      total: round(subtotal - discountAmount)
+    };
+  }
+
+  discountAmount(discount, subtotal) {
+    if (!discount) return 0;
+    const amount = discount.percent !== undefined
+      ? subtotal * Number(discount.percent) / 100
+      : Number(discount.amount || 0);
+
+    if (!(amount >= 0)) throw httpError(400, 'Discount must be zero or more');
+    if (amount > subtotal) throw httpError(400, 'Discount cannot be more than the sale total');
+    return round(amount);
+  }
+
+  // What a unit actually sold for: the price less its line's pro-rata share of the sale discount
+  netUnitPrice(unitPrice, { subtotal, discount }) {
+    const discountShare = subtotal > 0 ? (discount?.amount || 0) / subtotal : 0;
+    return round(unitPrice * (1 - discountShare));
+  }
+
+  // Cash must cover the total (change is worked out here); mobile money needs its transaction id
+  preparePayment(payment, total) {
+    const method = payment?.method;
+    if (!SALE_PAYMENT_METHODS.includes(method)) {
+      throw httpError(400, `Payment method must be ${SALE_PAYMENT_METHODS.join(' or ')}`);
+    }
+
+    if (method === 'cash') {
+      const amountTendered = payment.amountTendered !== undefined ? Number(payment.amountTendered) : total;
+      if (!(amountTendered >= total)) {
+        throw httpError(400, `Amount tendered must be at least ${total}`);
+      }
+      return { method, amountTendered, change: round(amountTendered - total) };
+    }
+
+    if (!payment.reference?.trim()) {
+      throw httpError(400, 'Mobile money payments need the transaction reference');
+    }
+    return { method, amountTendered: total, change: 0, provider: payment.provider, reference: payment.reference.trim() };
+  }
+
+  async getOpenShift(userId, session) {
+    return PharmacyShift.findOne({ pharmacist: userId, status: 'open' }).session(session || null);
+  }
+
+  /**
+   * Add a sale to the seller's open shift. Conditional on the shift still being open, so a
+   * sale can't land on a shift that was cashed up in the meantime.
+   */
+  async recordOnShift(shiftId, { total, discount, method }, session) {
+    const shift = await PharmacyShift.findOneAndUpdate(
+      { _id: shiftId, status: 'open' },
+      {
+        $inc: {
+          'totals.sales': total,
+          'totals.discounts': discount,
+          [method === 'cash' ? 'totals.cash' : 'totals.mobileMoney']: total,
+          'totals.salesCount': 1
+        }
+      },
+      { session, new: true }
+    );
+    if (!shift) throw httpError(409, 'Your shift was closed; open a new shift to continue selling');
+    return shift;
+  }
+
+  // Money paid back for a return comes out of the same till
+  async recordRefundOnShift(shiftId, { amount, method }, session) {
+    const shift = await PharmacyShift.findOneAndUpdate(
+      { _id: shiftId, status: 'open' },
+      {
+        $inc: {
+          'totals.refunds': amount,
+          ...(method === 'cash' && { 'totals.cashRefunds': amount })
+        }
+      },
+      { session, new: true }
+    );
+    if (!shift) throw httpError(409, 'Your shift was closed; open a new shift to give refunds');
+    return shift;
+  }
+}
+
+export default new DirectSaleService();
@@ -0,0 +1,134 @@
+import Prescription from '../models/Prescription.js';
+import { Medicine } from '../models/Medicine.js';
+import { DrugInteraction, INTERACTION_SEVERITIES } from '../models/DrugInteraction.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalise = (value) => (value || '').toString().trim().toLowerCase();
+
+// Loose match so "Penicillin" catches "penicillins" and "amoxicillin allergy" catches "amoxicillin"
+const termsMatch = (allergy, candidate) => {
+  if (allergy.length < 3 || candidate.length < 3) return allergy === candidate;
+  return allergy === candidate || allergy.includes(candidate) || candidate.includes(allergy);
+};
+
+const severityRank = (severity) => INTERACTION_SEVERITIES.indexOf(severity);
+
+class DrugSafetyService {
+  /**
+   * Check a medicine against the patient's recorded allergies.
+   * A match on the drug itself is contraindicated; a match on its allergen group is major.
+   */
+  checkAllergies(patient, medicine) {
+    const warnings = [];
+    const drugNames = [medicine.genericName, medicine.name].map(normalise).filter(Boolean);
+    const groups = (medicine.allergenGroups || []).map(normalise);
+
+    for (const rawAllergy of patient.allergies || []) {
+      const allergy = normalise(rawAllergy);
+      if (!allergy) continue;
+
+      if (drugNames.some(name => termsMatch(allergy, name))) {
+        warnings.push({
+          type: 'allergy',
+          severity: 'contraindicated',
+          allergy: rawAllergy,
+          message: `Patient is allergic to ${rawAllergy}`
+        });
+      } else {
+        const group = groups.find(g => termsMatch(allergy, g));
+        if (group) {
+          warnings.push({
+            type: 'allergy',
+            severity: 'major',
+            allergy: rawAllergy,
+            message: `Patient is allergic to ${rawAllergy}; ${medicine.name} belongs to the ${group} group`
+          });
+        }
+      }
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Generic names of everything the patient is currently taking: active entries on
+   * Patient.medications plus prescriptions whose course hasn't finished.
+   */
+  async getActiveGenericNames(patient, { excludePrescription } = {}) {
+    const now = new Date();
+    const generics = new Map(); // generic name -> display label
+
+    const prescriptions = await Prescription.find({
+      patient: patient._id,
+      isActive: true,
+      ...(excludePrescription && { _id: { $ne: excludePrescription } })
+    }).populate('medicine', 'name genericName');
+
+    for (const prescription of prescriptions) {
+      if (prescription.durationDays &&
+          prescription.createdAt.getTime() + prescription.durationDays * DAY_MS < now.getTime()) {
+        continue;
+      }
+      const generic = normalise(prescription.medicine?.genericName || prescription.medication);
+      if (generic) generics.set(generic, prescription.medication);
+    }
+
+    // Patient.medications is free text, so look the names up in the catalogue where we can
+    const current = (patient.medications || []).filter(m =>
+      m.isActive !== false && (!m.endDate || m.endDate > now)
+    );
+    if (current.length > 0) {
+      const catalogue = await Medicine.find({ name: { $in: current.map(m => m.name) } })
+        .collation({ locale: 'en', strength: 2 })
+        .select('name genericName');
+
+      for (const medication of current) {
+        const match = catalogue.find(m => normalise(m.name) === normalise(medication.name));
+        const generic = normalise(match?.genericName || medication.name);
+        if (generic) generics.set(generic, medication.name);
+      }
+    }
+
+    return generics;
+  }
+
+  async checkInteractions(patient, medicine, options) {
+    const generic = normalise(medicine.genericName);
+    if (!generic) return [];
+
+    const active = await this.getActiveGenericNames(patient, options);
+    const interactions = await DrugInteraction.findBetween(generic, [...active.keys()]);
+
+    return interactions.map(interaction => {
+      const other = interaction.drugA === generic ? interaction.drugB : interaction.drugA;
+      return {
+        type: 'interaction',
+        severity: interaction.severity,
+        interactingDrug: active.get(other) || other,
+        message: `${medicine.genericName} + ${other}: ${interaction.description}`,
+        management: interaction.management
+      };
+    });
+  }
+
+  /**
+   * All allergy and interaction warnings for prescribing a medicine to a patient,
+   * most severe first.
+   */
+  async checkPrescription(patient, medicine, options = {}) {
+    const warnings = [
+      ...this.checkAllergies(patient, medicine),
+      ...await this.checkInteractions(patient, medicine, options)
+    ];
+
+    return warnings.sort((a, b) => severityRank(b.severity) - severityRank(a.severity));
+  }
+
+  // Minor warnings are informational; anything above needs a recorded override reason
+  requiresOverride(warnings) {
+    return warnings.some(w => severityRank(w.severity) > severityRank('minor'));
+  }
+}
+
+export default new DrugSafetyService();
@@ -0,0 +1,168 @@
+import { MedicineBatch } from '../models/MedicineBatch.js';
+import { StockMovement } from '../models/StockMovement.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Movements written before unitCost/unitPrice were recorded fall back to their batch's prices
+const UNIT_COST = { $ifNull: ['$unitCost', { $ifNull: ['$batchInfo.buyingPrice', 0] }] };
+const UNIT_PRICE = { $ifNull: ['$unitPrice', { $ifNull: ['$batchInfo.sellingPrice', 0] }] };
+
+// Issues to departments are internal consumption, not sales. Older movements only say so in the reason.
+const IS_DEPARTMENT_ISSUE = {
+  $or: [
+    { $ne: [{ $ifNull: ['$requisition', null] }, null] },
+    { $regexMatch: { input: { $ifNull: ['$reason', ''] }, regex: /^Issued via requisition/ } }
+  ]
+};
+
+const valueTotals = {
+  quantity: { $sum: '$quantityRemaining' },
+  costValue: { $sum: { $multiply: ['$quantityRemaining', { $ifNull: ['$buyingPrice', 0] }] } },
+  retailValue: { $sum: { $multiply: ['$quantityRemaining', '$unitSellingPrice'] } },
+  batches: { $sum: 1 }
+};
+
+const finishValuation = ({ _id, quantity, costValue, retailValue, batches }) => ({
+  _id,
+  quantity,
+  batches,
+  costValue: round(costValue),
+  retailValue: round(retailValue),
+  // Mark-up still sitting on the shelf
+  potentialMargin: round(retailValue - costValue)
+});
+
+class InventoryReportService {
+  /**
+   * Stock on hand valued at cost (batch buying price) and at selling price (batch selling
+   * price, else the catalogue price), totalled and broken down by location and category.
+   */
+  async getValuation({ location, category } = {}) {
+    const match = { status: 'active', quantityRemaining: { $gt: 0 } };
+    if (location) match.location = location.toUpperCase();
+
+    const [report] = await MedicineBatch.aggregate([
+      { $match: match },
+      { $lookup: { from: 'medicines', localField: 'medicine', foreignField: '_id', as: 'medicineInfo' } },
+      { $unwind: '$medicineInfo' },
+      ...(category ? [{ $match: { 'medicineInfo.category': category } }] : []),
+      {
+        $addFields: {
+          category: { $ifNull: ['$medicineInfo.category', 'Uncategorised'] },
+          unitSellingPrice: { $ifNull: ['$sellingPrice', { $ifNull: ['$medicineInfo.sellingPrice', 0] }] }
+        }
+      },
+      {
+        $facet: {
+          totals: [{ $group: { _id: null, ...valueTotals } }],
+          byLocation: [{ $group: { _id: '$location', ...valueTotals } }, { $sort: { costValue: -1 } }],
+          byCategory: [{ $group: { _id: '$category', ...valueTotals } }, { $sort: { costValue: -1 } }],
+          byLocationAndCategory: [
+            { $group: { _id: { location: '$location', category: '$category' }, ...valueTotals } },
+            { $sort: { '_id.location': 1, costValue: -1 } }
+          ],
+          // Batches received without a buying price understate the cost value
+          unpricedBatches: [{ $match: { $or: [{ buyingPrice: null }, { buyingPrice: 0 }] } }, { $count: 'count' }]
+        }
+      }
+    ]);
+
+    return {
+      asAt: new Date(),
+      totals: finishValuation(report.totals[0] || { quantity: 0, costValue: 0, retailValue: 0, batches: 0 }),
+      byLocation: report.byLocation.map(finishValuation),
+      byCategory: report.byCategory.map(finishValuation),
+      byLocationAndCategory: report.byLocationAndCategory.map(finishValuation),
+      unpricedBatches: report.unpricedBatches[0]?.count || 0
+    };
+  }
+
+  /**
+   * Cost of goods dispensed and gross margin per medicine for a period. Each OUT movement
+   * is costed at the buying price of the batch it came from, which the ledger picks
+   * earliest-expiry first, so the cost follows the batches actually consumed.
+   * Issues to departments are costed separately since nothing is charged for them.
+   * Patient returns are netted off: the refund or credit reverses revenue, and restocked
+   * units reverse their cost too (destroyed ones stay a cost).
+   */
+  async getCostOfGoods({ startDate, endDate, location } = {}) {
+    const from = startDate ? new Date(startDate) : new Date(new Date().getFullYear(), new Date().getMonth(), 1);
+    const to = endDate ? new Date(endDate) : new Date();
+
+    const match = { type: { $in: ['OUT', 'RETURN', 'RETURN_DESTROYED'] }, createdAt: { $gte: from, $lte: to } };
+    if (location) match.location = location.toUpperCase();
+
+    const [report] = await StockMovement.aggregate([
+      { $match: match },
+      { $lookup: { from: 'medicinebatches', localField: 'batch', foreignField: '_id', as: 'batchInfo' } },
+      { $unwind: { path: '$batchInfo', preserveNullAndEmptyArrays: true } },
+      {
+        $addFields: {
+          signedQuantity: { $cond: [{ $eq: ['$type', 'OUT'] }, '$quantity', { $multiply: ['$quantity', -1] }] }
+        }
+      },
+      {
+        $addFields: {
+          cost: {
+            $cond: [
+              { $eq: ['$type', 'RETURN_DESTROYED'] },
+              0,
+              { $multiply: ['$signedQuantity', UNIT_COST] }
+            ]
+          },
+          revenue: { $multiply: ['$signedQuantity', UNIT_PRICE] },
+          departmentIssue: IS_DEPARTMENT_ISSUE
+        }
+      },
+      {
+        $facet: {
+          dispensed: [
+            { $match: { departmentIssue: false } },
+            {
+              $group: {
+                _id: '$medicine',
+                quantity: { $sum: '$signedQuantity' },
+                cost: { $sum: '$cost' },
+                revenue: { $sum: '$revenue' }
+              }
+            },
+            { $lookup: { from: 'medicines', localField: '_id', foreignField: '_id', as: 'medicine' } },
+            { $unwind: '$medicine' },
+            { $project: { _id: 0, medicine: { _id: 1, name: 1, strength: 1, type: 1, category: 1 }, quantity: 1, cost: 1, revenue: 1 } },
+            { $sort: { cost: -1 } }
+          ],
+          departmentIssues: [
+            { $match: { departmentIssue: true } },
+            { $group: { _id: null, quantity: { $sum: '$quantity' }, cost: { $sum: '$cost' } } }
+          ]
+        }
+      }
+    ]);
+
+    const byMedicine = report.dispensed.map(row => ({
+      ...row,
+      cost: round(row.cost),
+      revenue: round(row.revenue),
+      grossMargin: round(row.revenue - row.cost),
+      marginPercent: row.revenue > 0 ? round((row.revenue - row.cost) / row.revenue * 100) : null
+    }));
+
+    const cost = byMedicine.reduce((sum, row) => sum + row.cost, 0);
+    const revenue = byMedicine.reduce((sum, row) => sum + row.revenue, 0);
+    const issues = report.departmentIssues[0] || { quantity: 0, cost: 0 };
+
+    return {
+      period: { startDate: from, endDate: to },
+      totals: {
+        costOfGoodsDispensed: round(cost),
+        revenue: round(revenue),
+        grossMargin: round(revenue - cost),
+        marginPercent: revenue > 0 ? round((revenue - cost) / revenue * 100) : null
+      },
+      departmentIssues: { quantity: issues.quantity, cost: round(issues.cost) },
+      byMedicine
+    };
+  }
+}
+
+export default new InventoryReportService();
@@ -0,0 +1,149 @@
+import LabTest from '../models/LabTest.js';
+import Notification from '../models/Notification.js';
+import Department from '../models/Department.js';
+import User from '../models/User.js';
+import logger from '../utils/logger.js';
+
+const ACK_WINDOW_MINUTES = parseInt(process.env.LAB_CRITICAL_ACK_MINUTES) || 15;
+const MAX_ESCALATION_LEVEL = 2;
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+class LabAlertService {
+  /**
+   * Notify the ordering doctor about critical results on a lab test.
+   * Only the first call per test raises an alert; later result edits don't re-notify.
+   */
+  async raiseCriticalAlert(labTest) {
+    if (labTest.criticalAlert?.raisedAt) return labTest;
+
+    const criticalValues = labTest.resultValues.filter(
+      r => r.flag === 'critical_low' || r.flag === 'critical_high'
+    );
+    if (criticalValues.length === 0) return labTest;
+
+    const summary = criticalValues
+      .map(r => `${r.parameterName || r.parameterCode} ${r.value}${r.unit ? ` ${r.unit}` : ''}`)
+      .join(', ');
+
+    await this.notify(labTest, labTest.orderedBy, {
+      title: `Critical result: ${labTest.testName}`,
+      message: `Critical values for ${labTest.testName}: ${summary}. Please acknowledge.`,
+      metadata: { escalationLevel: 0 }
+    });
+
+    labTest.criticalAlert = {
+      raisedAt: new Date(),
+      escalationLevel: 0,
+      nextEscalationAt: minutesFromNow(ACK_WINDOW_MINUTES),
+      escalatedTo: []
+    };
+    await labTest.save();
+
+    logger.warn(`Critical lab result raised for test ${labTest._id}, notified ${labTest.orderedBy}`);
+    return labTest;
+  }
+
+  /**
+   * Record acknowledgement of a critical result and close its open notifications
+   */
+  async acknowledge(labTest, userId, note) {
+    labTest.criticalAlert.acknowledgedBy = userId;
+    labTest.criticalAlert.acknowledgedAt = new Date();
+    labTest.criticalAlert.acknowledgementNote = note;
+    labTest.criticalAlert.nextEscalationAt = undefined;
+    await labTest.save();
+
+    await Notification.updateMany(
+      {
+        type: 'critical_lab_result',
+        'relatedEntity.entityId': labTest._id,
+        acknowledgedAt: null
+      },
+      {
+        acknowledgedAt: labTest.criticalAlert.acknowledgedAt,
+        acknowledgedBy: userId,
+        isRead: true,
+        readAt: labTest.criticalAlert.acknowledgedAt
+      }
+    );
+
+    return labTest;
+  }
+
+  /**
+   * Escalate critical results nobody acknowledged in time.
+   * Level 1 goes to the ordering doctor's department head (admins if there is none),
+   * level 2 goes to admins.
+   */
+  async escalateOverdueAlerts() {
+    const overdue = await LabTest.find({
+      'criticalAlert.raisedAt': { $ne: null },
+      'criticalAlert.acknowledgedAt': null,
+      'criticalAlert.nextEscalationAt': { $lte: new Date() }
+    }).populate('orderedBy', 'firstName lastName department');
+
+    for (const labTest of overdue) {
+      const level = (labTest.criticalAlert.escalationLevel || 0) + 1;
+      const recipients = await this.getEscalationRecipients(labTest, level);
+
+      const orderedByName = labTest.orderedBy
+        ? `Dr. ${labTest.orderedBy.firstName} ${labTest.orderedBy.lastName}`
+        : 'an unknown doctor';
+
+      for (const recipient of recipients) {
+        await this.notify(labTest, recipient, {
+          title: `Unacknowledged critical result: ${labTest.testName}`,
+          message: `Critical ${labTest.testName} result ordered by ${orderedByName} has not been acknowledged within ${ACK_WINDOW_MINUTES} minutes.`,
+          metadata: { escalationLevel: level }
+        });
+      }
+
+      labTest.criticalAlert.escalationLevel = level;
+      labTest.criticalAlert.escalatedTo.push(...recipients);
+      labTest.criticalAlert.nextEscalationAt = level < MAX_ESCALATION_LEVEL
+        ? minutesFromNow(ACK_WINDOW_MINUTES)
+        : undefined;
+      await labTest.save();
+
+      logger.warn(`Critical lab result ${labTest._id} escalated to level ${level}`);
+    }
+
+    return overdue.length;
+  }
+
+  async getEscalationRecipients(labTest, level) {
+    if (level === 1 && labTest.orderedBy?.department) {
+      const department = await Department.findOne({ name: labTest.orderedBy.department });
+      if (department?.head) return [department.head];
+    }
+
+    const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+    const alreadyNotified = labTest.criticalAlert.escalatedTo.map(id => id.toString());
+    return admins
+      .map(admin => admin._id)
+      .filter(id => !alreadyNotified.includes(id.toString()));
+  }
+
+  async notify(labTest, recipient, { title, message, metadata }) {
+    return Notification.createNotification({
+      recipient,
+      type: 'critical_lab_result',
+      title,
+      message,
+      priority: 'urgent',
+      requiresAcknowledgement: true,
+      relatedEntity: {
+        entityType: 'labtest',
+        entityId: labTest._id
+      },
+      actionUrl: `/lab-tests/${labTest._id}`,
+      metadata: {
+        ...metadata,
+        patient: labTest.patient?._id?.toString() || labTest.patient?.toString()
+      }
+    });
+  }
+}
+
+export default new LabAlertService();
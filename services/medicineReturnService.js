@@ -0,0 +1,271 @@
+import mongoose from 'mongoose';
+import Dispensing from '../models/Dispensing.js';
+import DirectDispensing from '../models/DirectDispensing.js';
+import Prescription from '../models/Prescription.js';
+import Visit from '../models/Visit.js';
+import { MedicineReturn, RETURN_SOURCE_TYPES } from '../models/MedicineReturn.js';
+import stockLedger from './stockLedger.js';
+import controlledDrugService from './controlledDrugService.js';
+import directSaleService from './directSaleService.js';
+import { httpError } from '../utils/httpError.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Patient returns against a Dispensing or DirectDispensing record. What comes back must
+ * match what was issued: the same batches, and no more than was issued from each less
+ * anything already returned.
+ */
+class MedicineReturnService {
+  /**
+   * The issue a return is made against: { patient, medicine, medicineName, batches,
+   * unitPrice, prescription }. For a sale with several lines, `medicineId` picks the line.
+   * unitPrice is what the patient effectively paid per unit (after any sale discount).
+   */
+  async loadIssue(sourceType, sourceId, medicineId, session) {
+    if (!RETURN_SOURCE_TYPES.includes(sourceType)) {
+      throw httpError(400, `sourceType must be one of ${RETURN_SOURCE_TYPES.join(', ')}`);
+    }
+    if (!mongoose.Types.ObjectId.isValid(sourceId)) {
+      throw httpError(400, 'A valid source record is required');
+    }
+
+    if (sourceType === 'Dispensing') {
+      const record = await Dispensing.findById(sourceId).session(session || null);
+      if (!record) throw httpError(404, 'Dispensing record not found');
+
+      return {
+        patient: record.patient,
+        medicine: record.medicine,
+        medicineName: record.medicineName,
+        batches: record.batches,
+        unitPrice: record.unitPrice,
+        prescription: record.prescription
+      };
+    }
+
+    const sale = await DirectDispensing.findById(sourceId).session(session || null);
+    if (!sale) throw httpError(404, 'Sale not found');
+
+    const lines = medicineId
+      ? sale.medicines.filter(line => line.medicine?.toString() === medicineId.toString())
+      : sale.medicines;
+    if (lines.length !== 1) {
+      throw httpError(400, medicineId
+        ? 'That medicine is not on this sale'
+        : 'This sale has several medicines; say which one is being returned');
+    }
+
+    const [line] = lines;
+    return {
+      patient: sale.patient,
+      medicine: line.medicine,
+      medicineName: line.name,
+      batches: line.batches,
+      unitPrice: line.unitPrice !== undefined ? directSaleService.netUnitPrice(line.unitPrice, sale) : undefined
+    };
+  }
+
+  /**
+   * Units still returnable per batch of an issue:
+   * [{ batch, batchNumber, expiryDate, issued, returned, returnable }]
+   */
+  async getReturnable(sourceType, sourceId, medicineId, session) {
+    const issue = await this.loadIssue(sourceType, sourceId, medicineId, session);
+    const returned = await MedicineReturn.returnedByBatch(sourceType, sourceId, issue.medicine, session);
+
+    return {
+      issue,
+      batches: (issue.batches || []).map(batch => {
+        const already = returned.get(batch.batch.toString()) || 0;
+        return {
+          batch: batch.batch,
+          batchNumber: batch.batchNumber,
+          expiryDate: batch.expiryDate,
+          issued: batch.quantity,
+          returned: already,
+          returnable: Math.max(batch.quantity - already, 0)
+        };
+      })
+    };
+  }
+
+  // Each requested { batch, quantity } must be one the issue came from, within what's left
+  matchBatches(requested, returnable) {
+    if (!Array.isArray(requested) || requested.length === 0) {
+      throw httpError(400, 'Please list the batches being returned');
+    }
+    if (returnable.length === 0) {
+      throw httpError(400, 'This issue has no batch record, so a return cannot be matched to it');
+    }
+
+    const matched = new Map();
+    for (const line of requested) {
+      const issued = returnable.find(batch =>
+        batch.batch.toString() === String(line.batch) || batch.batchNumber === line.batchNumber);
+      if (!issued) {
+        throw httpError(400, `Batch ${line.batchNumber || line.batch} was not part of this issue`);
+      }
+
+      const quantity = parseInt(line.quantity);
+      if (!(quantity > 0)) throw httpError(400, 'Returned quantity must be a positive number');
+
+      const key = issued.batch.toString();
+      const total = (matched.get(key)?.quantity || 0) + quantity;
+      if (total > issued.returnable) {
+        throw httpError(400, `Only ${issued.returnable} unit(s) of batch ${issued.batchNumber} can be returned`);
+      }
+      matched.set(key, { batch: issued.batch, batchNumber: issued.batchNumber, expiryDate: issued.expiryDate, quantity: total });
+    }
+    return [...matched.values()];
+  }
+
+  /**
+   * The visit a dispensing was charged to and its original charge line. Prescriptions
+   * record their visit; older ones are found through the visit's prescription list.
+   */
+  async findVisitCharge(prescriptionId, session) {
+    if (!prescriptionId) return {};
+    const prescription = await Prescription.findById(prescriptionId).select('visit').session(session || null);
+    const visit = prescription?.visit
+      ? await Visit.findById(prescription.visit).session(session || null)
+      : await Visit.findOne({ prescriptions: prescriptionId }).session(session || null);
+    if (!visit) return {};
+
+    const charge = visit.serviceCharges.find(line =>
+      line.serviceType === 'prescription' && line.serviceId?.toString() === prescriptionId.toString() && line.totalPrice > 0);
+    return { visit, charge };
+  }
+
+  async createReturn({
+    sourceType, source, medicine, batches, disposition, reason, settlement = {},
+    notes, userId, witnessedBy
+  }) {
+    if (!['restock', 'destroy'].includes(disposition)) {
+      throw httpError(400, 'Disposition must be restock or destroy');
+    }
+    if (!reason?.trim()) throw httpError(400, 'Please give a reason for the return');
+
+    const settlementType = settlement.type || (sourceType === 'Dispensing' ? 'visit_credit' : 'refund');
+    if (!['visit_credit', 'refund'].includes(settlementType)) {
+      throw httpError(400, 'Settlement must be visit_credit or refund');
+    }
+    if (settlementType === 'visit_credit' && sourceType !== 'Dispensing') {
+      throw httpError(400, 'Walk-in sales are refunded, not credited to a visit');
+    }
+    if (settlementType === 'refund') {
+      if (!['cash', 'mobile_money'].includes(settlement.method)) {
+        throw httpError(400, 'Refund method must be cash or mobile_money');
+      }
+      if (settlement.method === 'mobile_money' && !settlement.reference?.trim()) {
+        throw httpError(400, 'Mobile money refunds need the transaction reference');
+      }
+    }
+
+    const shift = settlementType === 'refund' ? await directSaleService.getOpenShift(userId) : null;
+    if (settlementType === 'refund' && !shift) {
+      throw httpError(409, 'Open a shift before giving refunds');
+    }
+
+    return stockLedger.withTransaction(async (session) => {
+      const returnNumber = await MedicineReturn.generateReturnNumber(session);
+      const { issue, batches: returnable } = await this.getReturnable(sourceType, source, medicine, session);
+      const matched = this.matchBatches(batches, returnable);
+      const quantity = matched.reduce((sum, batch) => sum + batch.quantity, 0);
+
+      // Writing to the source makes two returns against it at once conflict, so the
+      // second is retried against the first one's quantities
+      if (sourceType === 'Dispensing') {
+        await Dispensing.updateOne({ _id: source }, { $inc: { quantityReturned: quantity } }, { session });
+      } else {
+        await DirectDispensing.updateOne(
+          { _id: source, 'medicines.medicine': issue.medicine },
+          { $inc: { 'medicines.$.qtyReturned': quantity } },
+          { session }
+        );
+      }
+
+      if (await controlledDrugService.isControlled(issue.medicine, session)) {
+        controlledDrugService.requireWitness(witnessedBy);
+      }
+
+      let visit;
+      let charge;
+      if (settlementType === 'visit_credit') {
+        ({ visit, charge } = await this.findVisitCharge(issue.prescription, session));
+        if (!visit) throw httpError(400, 'No visit charge found for this dispensing; refund the patient instead');
+      }
+
+      const unitPrice = issue.unitPrice ?? charge?.price;
+      if (unitPrice === undefined || unitPrice === null) {
+        throw httpError(400, 'The price charged for this issue is not recorded; settle the return manually');
+      }
+      const creditAmount = round(unitPrice * quantity);
+
+      const [record] = await MedicineReturn.create([{
+        returnNumber,
+        sourceType,
+        source,
+        patient: issue.patient,
+        medicine: issue.medicine,
+        medicineName: issue.medicineName,
+        batches: matched,
+        quantity,
+        disposition,
+        reason: reason.trim(),
+        unitPrice,
+        creditAmount,
+        settlement: {
+          type: settlementType,
+          visit: visit?._id,
+          method: settlementType === 'refund' ? settlement.method : undefined,
+          reference: settlement.reference?.trim(),
+          shift: shift?._id
+        },
+        processedBy: userId,
+        witnessedBy,
+        notes
+      }], { session });
+
+      for (const batch of matched) {
+        await stockLedger.receiveReturn(batch.batch, batch.quantity, {
+          session,
+          restock: disposition === 'restock',
+          reason: `Return ${returnNumber} (${disposition}): ${reason.trim()}`,
+          medicineReturn: record._id,
+          patient: issue.patient,
+          unitPrice,
+          performedBy: userId,
+          witnessedBy
+        });
+      }
+
+      if (visit) {
+        // Credited with the same insurance split as the original charge
+        const coveragePercentage = charge?.totalPrice > 0
+          ? charge.insuranceCoverage / charge.totalPrice * 100
+          : 0;
+        visit.addServiceCharge({
+          serviceType: 'prescription',
+          serviceName: `Return ${returnNumber}: ${issue.medicineName}`,
+          serviceId: issue.prescription,
+          price: -unitPrice,
+          quantity,
+          hasInsurance: !!charge?.isCoveredByInsurance,
+          insuranceCoveragePercentage: coveragePercentage,
+          notes: reason.trim()
+        }, userId);
+        await visit.save({ session });
+      } else {
+        await directSaleService.recordRefundOnShift(shift._id, {
+          amount: creditAmount,
+          method: settlement.method
+        }, session);
+      }
+
+      return record;
+    });
+  }
+}
+
+export default new MedicineReturnService();
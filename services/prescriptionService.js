@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+import Prescription from '../models/Prescription.js';
+import Patient from '../models/Patient.js';
+import { Medicine } from '../models/Medicine.js';
+import drugSafetyService from './drugSafetyService.js';
+import stockReservationService from './stockReservationService.js';
+import { FREQUENCY_CODES, computeTotalQuantity, describeDose } from '../utils/dosing.js';
+import { httpError } from '../utils/httpError.js';
+
+class PrescriptionService {
+  /**
+   * Validate the structured dosing input against the Medicine catalogue and
+   * work out the course quantity. Returns the fields to store on the prescription.
+   */
+  async buildFromCatalogue(data) {
+    const { medicine: medicineId, dose, doseUnit, route, frequencyCode, durationDays, maxDosesPerDay } = data;
+
+    if (!medicineId || !mongoose.Types.ObjectId.isValid(medicineId)) {
+      throw httpError(400, 'A valid medicine is required');
+    }
+
+    const medicine = await Medicine.findById(medicineId);
+    if (!medicine) {
+      throw httpError(404, 'Medicine not found');
+    }
+
+    if (!(Number(dose) > 0)) throw httpError(400, 'Dose must be a positive number');
+    if (!doseUnit) throw httpError(400, 'Dose unit is required');
+    if (!route) throw httpError(400, 'Route is required');
+    if (!FREQUENCY_CODES[frequencyCode]) {
+      throw httpError(400, `Frequency must be one of ${Object.keys(FREQUENCY_CODES).join(', ')}`);
+    }
+
+    const dosing = {
+      dose: Number(dose),
+      doseUnit,
+      route,
+      frequencyCode,
+      durationDays: durationDays ? Number(durationDays) : undefined,
+      maxDosesPerDay: frequencyCode === 'PRN' && maxDosesPerDay ? Number(maxDosesPerDay) : undefined
+    };
+
+    // An explicit quantity from the prescriber wins; otherwise derive it from the course
+    let quantity = data.quantity ? Number(data.quantity) : null;
+    const quantityComputed = !quantity;
+    if (!quantity) {
+      quantity = computeTotalQuantity(dosing, medicine);
+      if (!quantity) {
+        throw httpError(400, 'Quantity could not be calculated for this dose; please enter the quantity to dispense');
+      }
+    }
+
+    return {
+      medicine,
+      fields: {
+        medicine: medicine._id,
+        medication: [medicine.name, medicine.strength].filter(Boolean).join(' '),
+        ...dosing,
+        ...describeDose(dosing),
+        quantity,
+        quantityComputed
+      }
+    };
+  }
+
+  async loadPatient(patient) {
+    if (patient instanceof Patient) return patient;
+    if (!patient || !mongoose.Types.ObjectId.isValid(patient)) {
+      throw httpError(400, 'A valid patient is required');
+    }
+    const doc = await Patient.findById(patient);
+    if (!doc) throw httpError(404, 'Patient not found');
+    return doc;
+  }
+
+  /**
+   * Allergy and interaction warnings for prescribing a medicine, without saving anything.
+   */
+  async checkSafety({ patient, medicine: medicineId }) {
+    const patientDoc = await this.loadPatient(patient);
+    const medicine = await Medicine.findById(medicineId);
+    if (!medicine) throw httpError(404, 'Medicine not found');
+
+    const warnings = await drugSafetyService.checkPrescription(patientDoc, medicine);
+    return { warnings, requiresOverride: drugSafetyService.requiresOverride(warnings) };
+  }
+
+  /**
+   * Create a structured prescription for a patient, optionally tied to a visit.
+   * Warnings above minor block the prescription (409) unless `data.override.reason` is given.
+   * Returns the saved prescription and the medicine it references.
+   */
+  async createPrescription({ patient, visit, prescribedBy, data }) {
+    const patientDoc = await this.loadPatient(patient);
+    const { medicine, fields } = await this.buildFromCatalogue(data);
+
+    const warnings = await drugSafetyService.checkPrescription(patientDoc, medicine);
+    const overrideReason = data.override?.reason?.trim();
+
+    if (drugSafetyService.requiresOverride(warnings) && !overrideReason) {
+      throw httpError(409, 'Safety warnings must be reviewed; an override reason is required to prescribe', {
+        warnings
+      });
+    }
+
+    const prescription = await Prescription.create({
+      ...fields,
+      notes: data.notes,
+      patient: patientDoc._id,
+      visit: visit?._id || visit,
+      prescribedBy,
+      safetyWarnings: warnings,
+      ...(warnings.length > 0 && overrideReason && {
+        override: {
+          reason: overrideReason,
+          overriddenBy: prescribedBy,
+          overriddenAt: new Date()
+        }
+      })
+    });
+
+    // Hold the course quantity so it isn't promised elsewhere before the patient collects
+    await stockReservationService.reserve({
+      medicine: medicine._id,
+      quantity: prescription.quantity,
+      sourceType: 'Prescription',
+      sourceId: prescription._id,
+      createdBy: prescribedBy
+    });
+
+    return { prescription, medicine, warnings };
+  }
+}
+
+export default new PrescriptionService();
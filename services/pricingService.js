@@ -0,0 +1,164 @@
+import mongoose from 'mongoose';
+import PriceList from '../models/PriceList.js';
+import PriceListItem from '../models/PriceListItem.js';
+import Patient from '../models/Patient.js';
+import Service from '../models/Service.js';
+import { Medicine } from '../models/Medicine.js';
+import stockLedger from './stockLedger.js';
+import { httpError } from '../utils/httpError.js';
+
+// Catalogue price used when no list prices an item
+const BASE_PRICES = {
+  Medicine: { model: Medicine, field: 'sellingPrice' },
+  Service: { model: Service, field: 'price' }
+};
+
+/**
+ * Resolves what a patient is charged. The patient's payer (their insurer, while the cover
+ * is current) selects a price list; anything that list doesn't price falls back to the
+ * default list and then to the catalogue price. Adding an insurer is a new InsuranceProvider
+ * and PriceList, not a code change.
+ */
+class PricingService {
+  async getDefaultPriceList() {
+    return PriceList.findOne({ isDefault: true, isActive: true });
+  }
+
+  // Price list for a patient (document or id) on `date`; null means the default list
+  async getPriceListForPatient(patient, date = new Date()) {
+    if (!patient) return null;
+    if (!patient.insurance) {
+      patient = await Patient.findById(patient).select('insurance');
+    }
+
+    const insurance = patient?.insurance;
+    if (!insurance?.provider) return null;
+    if (insurance.expiryDate && insurance.expiryDate < date) return null;
+
+    const providerId = insurance.provider._id || insurance.provider;
+    return PriceList.findOne({ insuranceProvider: providerId, isActive: true });
+  }
+
+  async findPrice(priceListId, itemType, itemId, date) {
+    return PriceListItem.findOne({
+      priceList: priceListId,
+      itemType,
+      item: itemId,
+      ...PriceListItem.effectiveFilter(date)
+    }).sort({ effectiveFrom: -1 });
+  }
+
+  /**
+   * Price of one item for a patient (or an explicit `priceList`).
+   * Returns { price, priceList, source } where source is 'payer', 'default' or 'catalogue';
+   * price is null when nothing prices the item at all.
+   */
+  async resolvePrice({ itemType, item, patient, priceList, date = new Date() }) {
+    const itemId = item?._id || item;
+    const payerList = priceList
+      ? await PriceList.findById(priceList)
+      : await this.getPriceListForPatient(patient, date);
+
+    if (payerList) {
+      const entry = await this.findPrice(payerList._id, itemType, itemId, date);
+      if (entry) return { price: entry.price, priceList: payerList._id, source: 'payer' };
+    }
+
+    const defaultList = await this.getDefaultPriceList();
+    if (defaultList && !defaultList._id.equals(payerList?._id)) {
+      const entry = await this.findPrice(defaultList._id, itemType, itemId, date);
+      if (entry) return { price: entry.price, priceList: defaultList._id, source: 'default' };
+    }
+
+    const base = BASE_PRICES[itemType];
+    if (base) {
+      const doc = item?.[base.field] !== undefined
+        ? item
+        : await base.model.findById(itemId).select(base.field);
+      if (doc?.[base.field] !== undefined) {
+        return { price: doc[base.field], priceList: null, source: 'catalogue' };
+      }
+    }
+
+    return { price: null, priceList: null, source: null };
+  }
+
+  /**
+   * Set a price from `effectiveFrom` (default now). The entry in force at that moment is
+   * closed off at the same instant. Prices scheduled after it must be changed first.
+   */
+  async setPrice({ priceList, itemType, item, price, effectiveFrom, userId, notes, session }) {
+    if (!(Number(price) >= 0)) throw httpError(400, 'Price must be zero or more');
+    if (!mongoose.Types.ObjectId.isValid(item)) throw httpError(400, 'A valid item is required');
+
+    const from = effectiveFrom ? new Date(effectiveFrom) : new Date();
+    if (Number.isNaN(from.getTime())) throw httpError(400, 'Effective date is not a valid date');
+    const key = { priceList, itemType, item };
+
+    const later = await PriceListItem.findOne({ ...key, effectiveFrom: { $gt: from } }).session(session || null);
+    if (later) {
+      throw httpError(409, `A later price is already scheduled from ${later.effectiveFrom.toISOString()}`);
+    }
+
+    await PriceListItem.updateMany(
+      { ...key, effectiveFrom: { $lte: from }, $or: [{ effectiveTo: null }, { effectiveTo: { $gt: from } }] },
+      { $set: { effectiveTo: from } },
+      { session }
+    );
+
+    const [entry] = await PriceListItem.create(
+      [{ ...key, price: Number(price), effectiveFrom: from, createdBy: userId, notes }],
+      { session }
+    );
+    return entry;
+  }
+
+  /**
+   * Prices in force on `date` for a set of items, keyed by item id then price list code:
+   * `{ [itemId]: { NHIF: 1200, CASH: 1500 } }`.
+   */
+  async currentPricesByCode(itemType, itemIds, date = new Date()) {
+    const entries = await PriceListItem.find({
+      itemType,
+      item: { $in: itemIds },
+      ...PriceListItem.effectiveFilter(date)
+    }).populate('priceList', 'code isActive');
+
+    const prices = {};
+    for (const entry of entries) {
+      if (!entry.priceList?.isActive) continue;
+      const key = entry.item.toString();
+      prices[key] = { ...prices[key], [entry.priceList.code]: entry.price };
+    }
+    return prices;
+  }
+
+  /**
+   * Set an item's price on several lists at once from a `{ CODE: price }` map,
+   * e.g. `{ NHIF: 1200, CASH: 1500 }`. Unknown codes are reported, not created.
+   * All lists change together or not at all.
+   */
+  async setPricesByCode({ itemType, item, prices, effectiveFrom, userId }) {
+    const codes = Object.keys(prices || {}).filter(code => prices[code] !== '' && prices[code] !== null);
+    if (codes.length === 0) return { entries: [], unknownCodes: [] };
+
+    const lists = await PriceList.find({ code: { $in: codes.map(code => code.toUpperCase()) } });
+    const byCode = new Map(lists.map(list => [list.code, list]));
+
+    const unknownCodes = codes.filter(code => !byCode.has(code.toUpperCase()));
+    const entries = await stockLedger.withTransaction(async (session) => {
+      const created = [];
+      for (const code of codes) {
+        const list = byCode.get(code.toUpperCase());
+        if (!list) continue;
+        created.push(await this.setPrice({
+          priceList: list._id, itemType, item, price: prices[code], effectiveFrom, userId, session
+        }));
+      }
+      return created;
+    });
+    return { entries, unknownCodes };
+  }
+}
+
+export default new PricingService();
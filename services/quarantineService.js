@@ -0,0 +1,88 @@
+import { MedicineBatch } from '../models/MedicineBatch.js';
+import { QuarantineRecord } from '../models/QuarantineRecord.js';
+import stockLedger from './stockLedger.js';
+import { httpError } from '../utils/httpError.js';
+import logger from '../utils/logger.js';
+
+const MOVEMENT_TYPES = { expired: 'EXPIRED', damaged: 'DAMAGED', recalled: 'DAMAGED', other: 'ADJUSTMENT' };
+
+class QuarantineService {
+  /**
+   * Move stock from a batch into quarantine: the batch is drawn down, a stock movement
+   * recorded and a QuarantineRecord opened, all in one transaction.
+   */
+  async quarantine({ batchId, quantity, reason, notes, userId }) {
+    return stockLedger.withTransaction(async (session) => {
+      const batch = await MedicineBatch.findById(batchId).session(session);
+      if (!batch) throw httpError(404, 'Batch not found');
+
+      const qty = quantity !== undefined ? parseInt(quantity) : batch.quantityRemaining;
+      if (!(qty > 0) || qty > batch.quantityRemaining) {
+        throw httpError(400, `Quantity must be between 1 and ${batch.quantityRemaining}`);
+      }
+
+      const [record] = await QuarantineRecord.create([{
+        quarantineNumber: await QuarantineRecord.generateQuarantineNumber(session),
+        batch: batch._id,
+        medicine: batch.medicine,
+        batchNumber: batch.batchNumber,
+        expiryDate: batch.expiryDate,
+        location: batch.location,
+        quantity: qty,
+        unitCost: batch.buyingPrice,
+        reason,
+        notes,
+        quarantinedBy: userId
+      }], { session });
+
+      await stockLedger.removeFromBatch(batch._id, qty, {
+        session,
+        emptyStatus: reason === 'expired' ? 'expired' : reason === 'damaged' ? 'damaged' : 'depleted',
+        type: MOVEMENT_TYPES[reason],
+        reason: `Quarantined (${reason}) as ${record.quarantineNumber}`,
+        quarantine: record._id,
+        performedBy: userId
+      });
+
+      return record;
+    });
+  }
+
+  /**
+   * Scheduled sweep: batches past expiry that still hold stock are expired and their
+   * remaining stock quarantined, so they show up for write-off or return. This includes
+   * batches already marked expired before the sweep existed, which kept their stock.
+   */
+  async expireBatches() {
+    const now = new Date();
+
+    // Empty batches just need their status corrected, to the same status quarantine gives them
+    await MedicineBatch.updateMany(
+      { status: 'active', expiryDate: { $lte: now }, quantityRemaining: { $lte: 0 } },
+      { status: 'expired' }
+    );
+
+    const batches = await MedicineBatch.find({
+      status: { $in: ['active', 'expired'] },
+      expiryDate: { $lte: now },
+      quantityRemaining: { $gt: 0 }
+    }).select('_id batchNumber');
+
+    let expired = 0;
+    for (const batch of batches) {
+      try {
+        await this.quarantine({ batchId: batch._id, reason: 'expired', notes: 'Expired (automatic sweep)' });
+        expired++;
+      } catch (error) {
+        logger.error(`Failed to expire batch ${batch.batchNumber}:`, error);
+      }
+    }
+
+    if (expired > 0) {
+      logger.info(`Expired and quarantined ${expired} batch(es)`);
+    }
+    return expired;
+  }
+}
+
+export default new QuarantineService();
@@ -0,0 +1,216 @@
+import { Medicine } from '../models/Medicine.js';
+import { MedicineBatch } from '../models/MedicineBatch.js';
+import { StockMovement } from '../models/StockMovement.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import Supplier from '../models/Supplier.js';
+import { httpError } from '../utils/httpError.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const UNASSIGNED_SUPPLIER = { _id: null, name: 'Unassigned' };
+
+// Defaults can be tuned per hospital through the environment or per request.
+// A supplier's own leadTimeDays takes precedence over leadTimeDays here.
+const DEFAULTS = {
+  lookbackDays: parseInt(process.env.REORDER_LOOKBACK_DAYS) || 30,
+  leadTimeDays: parseInt(process.env.REORDER_LEAD_TIME_DAYS) || 7,
+  safetyDays: parseInt(process.env.REORDER_SAFETY_DAYS) || 3,
+  coverDays: parseInt(process.env.REORDER_COVER_DAYS) || 30
+};
+
+// Orders that haven't been received yet still count towards the stock position
+const OPEN_ORDER_STATUSES = ['draft', 'sent', 'pending', 'partial'];
+
+class ReorderService {
+  getSettings(overrides = {}) {
+    const settings = { ...DEFAULTS };
+    Object.keys(DEFAULTS).forEach(key => {
+      const value = parseInt(overrides[key]);
+      if (value > 0) settings[key] = value;
+    });
+    return settings;
+  }
+
+  async consumptionByMedicine(since) {
+    const rows = await StockMovement.aggregate([
+      { $match: { type: 'OUT', createdAt: { $gte: since } } },
+      { $group: { _id: '$medicine', quantity: { $sum: '$quantity' } } }
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), row.quantity]));
+  }
+
+  async onHandByMedicine() {
+    const rows = await MedicineBatch.aggregate([
+      { $match: { status: 'active', quantityRemaining: { $gt: 0 }, expiryDate: { $gt: new Date() } } },
+      { $group: { _id: '$medicine', quantity: { $sum: '$quantityRemaining' } } }
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), row.quantity]));
+  }
+
+  async onOrderByMedicine() {
+    const rows = await PurchaseOrder.aggregate([
+      { $match: { status: { $in: OPEN_ORDER_STATUSES } } },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.medicine',
+          // Only what's still to arrive; over-deliveries don't count against other lines
+          quantity: {
+            $sum: { $max: [{ $subtract: ['$items.quantity', { $ifNull: ['$items.receivedQuantity', 0] }] }, 0] }
+          }
+        }
+      }
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), row.quantity]));
+  }
+
+  // Supplier and unit cost from the most recent batch received for each medicine
+  async lastPurchaseByMedicine() {
+    const rows = await MedicineBatch.aggregate([
+      { $sort: { receivedAt: -1 } },
+      {
+        $group: {
+          _id: '$medicine',
+          buyingPrice: { $first: '$buyingPrice' },
+          purchaseOrder: { $first: '$purchaseOrder' }
+        }
+      },
+      { $lookup: { from: 'purchaseorders', localField: 'purchaseOrder', foreignField: '_id', as: 'po' } },
+      { $lookup: { from: 'suppliers', localField: 'po.supplier', foreignField: '_id', as: 'supplier' } },
+      {
+        $project: {
+          buyingPrice: 1,
+          supplier: { $arrayElemAt: [{ $filter: { input: '$supplier', cond: '$$this.isActive' } }, 0] }
+        }
+      },
+      { $project: { buyingPrice: 1, 'supplier._id': 1, 'supplier.name': 1, 'supplier.leadTimeDays': 1 } }
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), row]));
+  }
+
+  /**
+   * Medicines whose stock position (on hand + on order) has fallen to the reorder point.
+   *
+   *   average daily usage = OUT movements over the lookback window / lookback days
+   *   safety stock        = usage x safety days
+   *   reorder point       = usage x lead time + safety stock (never below Medicine.reorderLevel)
+   *                         where lead time is the last supplier's leadTimeDays when set
+   *   order up to         = reorder point + usage x cover days
+   */
+  async getSuggestions(overrides = {}) {
+    const settings = this.getSettings(overrides);
+    const since = new Date(Date.now() - settings.lookbackDays * DAY_MS);
+
+    const [medicines, consumption, onHandMap, onOrderMap, lastPurchase] = await Promise.all([
+      Medicine.find().select('name genericName type strength reorderLevel'),
+      this.consumptionByMedicine(since),
+      this.onHandByMedicine(),
+      this.onOrderByMedicine(),
+      this.lastPurchaseByMedicine()
+    ]);
+
+    const suggestions = [];
+
+    for (const medicine of medicines) {
+      const id = medicine._id.toString();
+      const averageDailyUsage = (consumption.get(id) || 0) / settings.lookbackDays;
+      const onHand = onHandMap.get(id) || 0;
+      const onOrder = onOrderMap.get(id) || 0;
+      const position = onHand + onOrder;
+
+      const purchase = lastPurchase.get(id);
+      const supplier = purchase?.supplier?._id ? purchase.supplier : UNASSIGNED_SUPPLIER;
+      const leadTimeDays = supplier.leadTimeDays ?? settings.leadTimeDays;
+
+      const safetyStock = Math.ceil(averageDailyUsage * settings.safetyDays);
+      const reorderPoint = Math.max(
+        Math.ceil(averageDailyUsage * leadTimeDays) + safetyStock,
+        medicine.reorderLevel || 0
+      );
+      const orderUpTo = reorderPoint + Math.ceil(averageDailyUsage * settings.coverDays);
+      const suggestedQuantity = orderUpTo - position;
+
+      if (position > reorderPoint || suggestedQuantity <= 0) continue;
+
+      suggestions.push({
+        medicine,
+        averageDailyUsage: Math.round(averageDailyUsage * 100) / 100,
+        onHand,
+        onOrder,
+        safetyStock,
+        leadTimeDays,
+        reorderPoint,
+        suggestedQuantity,
+        agreedPrice: purchase?.buyingPrice || 0,
+        supplier
+      });
+    }
+
+    return { settings, suggestions };
+  }
+
+  /**
+   * Turn suggestions into draft purchase orders, one per supplier. Medicines without a
+   * known supplier are left out unless `defaultSupplier` (a Supplier id) is given. `quantities` lets the
+   * pharmacist adjust amounts ({ medicineId: qty }); `medicineIds` limits the run.
+   */
+  async createDraftOrders({ userId, medicineIds, quantities = {}, defaultSupplier, settings }) {
+    const { suggestions } = await this.getSuggestions(settings);
+
+    const selected = medicineIds?.length
+      ? suggestions.filter(s => medicineIds.includes(s.medicine._id.toString()))
+      : suggestions;
+
+    let fallback;
+    if (defaultSupplier) {
+      fallback = await Supplier.findById(defaultSupplier).select('name isActive');
+      if (!fallback?.isActive) throw httpError(400, 'Default supplier not found or inactive');
+    }
+
+    const groups = new Map();
+    const unassigned = [];
+
+    for (const suggestion of selected) {
+      let supplier = suggestion.supplier;
+      if (!supplier._id) {
+        if (!fallback) {
+          unassigned.push(suggestion);
+          continue;
+        }
+        supplier = fallback;
+      }
+
+      const key = supplier._id.toString();
+      if (!groups.has(key)) groups.set(key, { supplier, lines: [] });
+      groups.get(key).lines.push(suggestion);
+    }
+
+    const orders = [];
+    for (const { supplier, lines } of groups.values()) {
+      const order = await PurchaseOrder.create({
+        poNumber: await PurchaseOrder.generatePoNumber(),
+        supplier: supplier._id,
+        status: 'draft',
+        source: 'reorder',
+        createdBy: userId,
+        items: lines.map(line => ({
+          medicine: line.medicine._id,
+          quantity: parseInt(quantities[line.medicine._id.toString()]) || line.suggestedQuantity,
+          agreedPrice: line.agreedPrice,
+          suggestion: {
+            averageDailyUsage: line.averageDailyUsage,
+            onHand: line.onHand,
+            onOrder: line.onOrder,
+            reorderPoint: line.reorderPoint,
+            suggestedQuantity: line.suggestedQuantity
+          }
+        }))
+      });
+      orders.push(order);
+    }
+
+    return { orders, unassigned };
+  }
+}
+
+export default new ReorderService();
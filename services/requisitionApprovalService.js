@@ -0,0 +1,184 @@
+import Department from '../models/Department.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import approvalConfig from '../config/requisitionApproval.js';
+import stockReservationService from './stockReservationService.js';
+import { httpError } from '../utils/httpError.js';
+import logger from '../utils/logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Approval chain for ward requisitions, driven by config/requisitionApproval.js.
+ * Normal requests wait for the department head (or an approver role); Emergency ones are
+ * approved on submission and reviewed afterwards. Every step is kept in approvalHistory.
+ */
+class RequisitionApprovalService {
+  getRule(priority) {
+    return approvalConfig.priorities[priority] || approvalConfig.priorities.Normal;
+  }
+
+  async getDepartmentHead(requisition) {
+    const department = await Department.findOne({ name: requisition.requestedFor?.department }).select('head');
+    return department?.head || null;
+  }
+
+  async canApprove(user, requisition) {
+    if (requisition.requestedBy?.toString() === user.id.toString()) return false;
+    if (approvalConfig.approverRoles.includes(user.role)) return true;
+
+    const head = await this.getDepartmentHead(requisition);
+    return !!head && head.toString() === user.id.toString();
+  }
+
+  async assertApprover(user, requisition) {
+    if (!(await this.canApprove(user, requisition))) {
+      throw httpError(403, requisition.requestedBy?.toString() === user.id.toString()
+        ? 'You cannot approve or review your own requisition'
+        : `Only the ${requisition.requestedFor.department} department head or an approver can do this`);
+    }
+  }
+
+  // Department head, or the approver roles when the department has none
+  async getApprovers(requisition) {
+    const head = await this.getDepartmentHead(requisition);
+    if (head) return [head];
+
+    const users = await User.find({ role: { $in: approvalConfig.approverRoles }, isActive: true }).select('_id');
+    return users.map(user => user._id);
+  }
+
+  async notifyApprovers(requisition, { title, message }) {
+    const approvers = await this.getApprovers(requisition);
+    for (const recipient of approvers) {
+      if (recipient.toString() === requisition.requestedBy.toString()) continue;
+      await Notification.createNotification({
+        recipient,
+        sender: requisition.requestedBy,
+        type: 'task_assigned',
+        title,
+        message,
+        priority: requisition.priority === 'Normal' ? 'medium' : 'high',
+        relatedEntity: { entityType: 'requisition', entityId: requisition._id }
+      });
+    }
+  }
+
+  /**
+   * Set the starting state of a new requisition (before it is saved): pending approval, or
+   * approved with a review due for priorities configured as `auto`.
+   */
+  applySubmission(requisition, userId) {
+    const rule = this.getRule(requisition.priority);
+    requisition.approvalHistory.push({ action: 'submitted', by: userId });
+
+    if (rule.mode === 'auto') {
+      requisition.status = 'Approved';
+      requisition.autoApproved = true;
+      requisition.approvedAt = new Date();
+      requisition.review = {
+        status: 'pending',
+        dueAt: new Date(Date.now() + (rule.reviewWithinHours || 24) * HOUR_MS)
+      };
+      requisition.approvalHistory.push({
+        action: 'auto_approved',
+        comment: `${requisition.priority} request; review due within ${rule.reviewWithinHours || 24} hours`
+      });
+    } else {
+      requisition.status = 'Pending Approval';
+    }
+    return requisition;
+  }
+
+  async notifySubmission(requisition) {
+    const pending = requisition.status === 'Pending Approval';
+    try {
+      await this.notifyApprovers(requisition, {
+        title: pending
+          ? `Requisition ${requisition.requisitionNumber} needs approval`
+          : `${requisition.priority} requisition ${requisition.requisitionNumber} needs review`,
+        message: pending
+          ? `${requisition.requestedFor.department} has requested ${requisition.items.length} item(s).`
+          : `${requisition.requestedFor.department} raised an ${requisition.priority.toLowerCase()} requisition that was approved automatically. Please review it.`
+      });
+    } catch (error) {
+      // The requisition stands even if nobody could be notified
+      logger.error(`Requisition ${requisition.requisitionNumber} approver notification failed:`, error);
+    }
+  }
+
+  async approve(requisition, user, comment) {
+    if (requisition.status !== 'Pending Approval') {
+      throw httpError(400, `Only requisitions pending approval can be approved (this one is ${requisition.status})`);
+    }
+    await this.assertApprover(user, requisition);
+
+    requisition.status = 'Approved';
+    requisition.approvedBy = user.id;
+    requisition.approvedAt = new Date();
+    requisition.approvalHistory.push({ action: 'approved', by: user.id, comment });
+    return requisition.save();
+  }
+
+  // Rejection ends the requisition and gives its held stock back
+  async reject(requisition, user, { reason, comment }) {
+    if (requisition.status !== 'Pending Approval') {
+      throw httpError(400, `Only requisitions pending approval can be rejected (this one is ${requisition.status})`);
+    }
+    if (!approvalConfig.rejectionReasons.includes(reason)) {
+      throw httpError(400, `Reason must be one of: ${approvalConfig.rejectionReasons.join(', ')}`);
+    }
+    if (reason === 'Other' && !comment?.trim()) {
+      throw httpError(400, 'Please explain the rejection');
+    }
+    await this.assertApprover(user, requisition);
+
+    requisition.status = 'Rejected';
+    requisition.items.forEach(item => { item.status = 'Rejected'; });
+    requisition.rejection = { reason, comment, rejectedBy: user.id, rejectedAt: new Date() };
+    requisition.approvalHistory.push({ action: 'rejected', by: user.id, reason, comment });
+    await requisition.save();
+
+    await stockReservationService.release({ sourceType: 'Requisition', sourceId: requisition._id });
+    return requisition;
+  }
+
+  // Retrospective review of an auto-approved requisition; `queried` flags it for follow-up
+  async review(requisition, user, { outcome, comment }) {
+    if (requisition.review?.status !== 'pending') {
+      throw httpError(400, 'This requisition is not waiting for review');
+    }
+    if (!['accepted', 'queried'].includes(outcome)) {
+      throw httpError(400, 'Outcome must be accepted or queried');
+    }
+    if (outcome === 'queried' && !comment?.trim()) {
+      throw httpError(400, 'Please say what is being queried');
+    }
+    await this.assertApprover(user, requisition);
+
+    requisition.review.status = outcome;
+    requisition.review.reviewedBy = user.id;
+    requisition.review.reviewedAt = new Date();
+    requisition.review.comment = comment;
+    requisition.approvalHistory.push({ action: 'reviewed', by: user.id, reason: outcome, comment });
+    return requisition.save();
+  }
+
+  /**
+   * Requisitions waiting on `user`: pending approval or review for departments they head,
+   * or for every department when they hold an approver role.
+   */
+  async getAwaiting(user) {
+    const waiting = { $or: [{ status: 'Pending Approval' }, { 'review.status': 'pending' }] };
+    if (approvalConfig.approverRoles.includes(user.role)) return waiting;
+
+    const departments = await Department.find({ head: user.id }).select('name');
+    return {
+      ...waiting,
+      'requestedFor.department': { $in: departments.map(department => department.name) },
+      requestedBy: { $ne: user.id }
+    };
+  }
+}
+
+export default new RequisitionApprovalService();
@@ -0,0 +1,44 @@
+import logger from '../utils/logger.js';
+
+/**
+ * Minimal in-process job runner for periodic background work (alert escalation, sweeps).
+ * Each job runs on its own interval; a run is skipped while the previous one is still going.
+ */
+class Scheduler {
+  constructor() {
+    this.jobs = [];
+  }
+
+  register(name, intervalMs, task) {
+    this.jobs.push({ name, intervalMs, task, running: false, timer: null });
+  }
+
+  start() {
+    for (const job of this.jobs) {
+      job.timer = setInterval(() => this.run(job), job.intervalMs);
+      job.timer.unref();
+      logger.info(`Scheduled job '${job.name}' every ${Math.round(job.intervalMs / 1000)}s`);
+    }
+  }
+
+  stop() {
+    for (const job of this.jobs) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+  }
+
+  async run(job) {
+    if (job.running) return;
+    job.running = true;
+    try {
+      await job.task();
+    } catch (error) {
+      logger.error(`Scheduled job '${job.name}' failed:`, error);
+    } finally {
+      job.running = false;
+    }
+  }
+}
+
+export default new Scheduler();
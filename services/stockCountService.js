@@ -0,0 +1,230 @@
+import { StockCountSession } from '../models/StockCountSession.js';
+import { MedicineBatch } from '../models/MedicineBatch.js';
+import { StockLocation } from '../models/StockLocation.js';
+import stockLedger from './stockLedger.js';
+import { httpError } from '../utils/httpError.js';
+import logger from '../utils/logger.js';
+
+// Defaults for when a line must be recounted by a second person; either one triggers it
+const RECOUNT_UNITS = parseInt(process.env.STOCK_COUNT_RECOUNT_UNITS) || 5;
+const RECOUNT_PERCENT = parseFloat(process.env.STOCK_COUNT_RECOUNT_PERCENT) || 10;
+
+const exceedsThreshold = (line, threshold) => {
+  const variance = Math.abs(line.variance);
+  if (variance === 0) return false;
+  if (variance > threshold.units) return true;
+  // Anything found against an expected zero is infinitely off in percentage terms
+  return line.expectedQuantity === 0 || (variance / line.expectedQuantity) * 100 > threshold.percent;
+};
+
+const parseCount = (value) => {
+  const quantity = Number(value);
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    throw httpError(400, 'Counted quantities must be whole numbers of zero or more');
+  }
+  return quantity;
+};
+
+/**
+ * Cycle counts. A session freezes the system quantity of every batch at a location,
+ * collects counts per batch, has variances above the threshold recounted by someone
+ * else, and posts the adjustments once a supervisor approves.
+ *
+ * Adjustments post the counted variance against the snapshot onto the batch as it is at
+ * approval, so stock dispensed while the count is waiting for approval isn't lost.
+ * Count the shelf promptly after starting a session.
+ */
+class StockCountService {
+  async startSession({ location, category, blind, recountThreshold = {}, notes, userId }) {
+    const code = await StockLocation.resolveCode(location);
+
+    // Counts overlap unless both are for different categories; a whole-location count
+    // (no category) overlaps every other count there
+    const open = await StockCountSession.findOne({
+      location: code,
+      status: { $in: ['counting', 'recount', 'pending_approval'] },
+      ...(category && { category: { $in: [null, category] } })
+    });
+    if (open) {
+      throw httpError(409, `Count ${open.countNumber} is still open at ${code}`);
+    }
+
+    let batches = await MedicineBatch.find({ location: code, status: 'active', quantityRemaining: { $gt: 0 } })
+      .populate('medicine', 'name category')
+      .sort('expiryDate');
+    if (category) batches = batches.filter(batch => batch.medicine?.category === category);
+
+    if (batches.length === 0) {
+      throw httpError(400, `No stock on hand at ${code} to count`);
+    }
+
+    return StockCountSession.create({
+      countNumber: await StockCountSession.generateCountNumber(),
+      location: code,
+      category: category || undefined,
+      blind: Boolean(blind),
+      recountThreshold: {
+        units: parseInt(recountThreshold.units) >= 0 ? parseInt(recountThreshold.units) : RECOUNT_UNITS,
+        percent: parseFloat(recountThreshold.percent) >= 0 ? parseFloat(recountThreshold.percent) : RECOUNT_PERCENT
+      },
+      lines: batches.map(batch => ({
+        batch: batch._id,
+        medicine: batch.medicine._id,
+        batchNumber: batch.batchNumber,
+        expiryDate: batch.expiryDate,
+        unitCost: batch.buyingPrice,
+        expectedQuantity: batch.quantityRemaining
+      })),
+      snapshotAt: new Date(),
+      startedBy: userId,
+      notes
+    });
+  }
+
+  /**
+   * Record counts (`[{ lineId, quantity, note }]`). While counting they are first counts;
+   * during recount they are recounts, and the recounter must not be the first counter.
+   */
+  async recordCounts(countSession, counts, userId) {
+    if (!Array.isArray(counts) || counts.length === 0) {
+      throw httpError(400, 'Please provide at least one count');
+    }
+
+    const recounting = countSession.status === 'recount';
+    if (!recounting && countSession.status !== 'counting') {
+      throw httpError(400, `Cannot record counts on a session that is ${countSession.status.replace('_', ' ')}`);
+    }
+
+    for (const entry of counts) {
+      const line = countSession.lines.id(entry.lineId);
+      if (!line) throw httpError(400, `Line ${entry.lineId} is not on this count`);
+
+      const counted = { quantity: parseCount(entry.quantity), countedBy: userId, countedAt: new Date() };
+      if (entry.note !== undefined) line.note = entry.note;
+
+      if (!recounting) {
+        line.count = counted;
+        continue;
+      }
+
+      if (!line.needsRecount) {
+        throw httpError(400, `Batch ${line.batchNumber} doesn't need a recount`);
+      }
+      if (line.count.countedBy?.toString() === userId.toString()) {
+        throw httpError(403, `Batch ${line.batchNumber} must be recounted by someone other than the first counter`);
+      }
+      line.recount = counted;
+      line.finalQuantity = counted.quantity;
+      line.variance = counted.quantity - line.expectedQuantity;
+    }
+
+    if (recounting && countSession.lines.every(line => !line.needsRecount || line.recount?.countedBy)) {
+      countSession.status = 'pending_approval';
+    }
+
+    await countSession.save();
+    return countSession;
+  }
+
+  // Close counting: work out variances and flag the lines that need a second count
+  async submit(countSession, userId) {
+    if (countSession.status !== 'counting') {
+      throw httpError(400, 'Only a session that is being counted can be submitted');
+    }
+
+    const uncounted = countSession.lines.filter(line => line.count?.quantity === undefined);
+    if (uncounted.length > 0) {
+      throw httpError(400, `${uncounted.length} batch(es) have not been counted yet`, {
+        uncounted: uncounted.map(line => line._id)
+      });
+    }
+
+    countSession.lines.forEach(line => {
+      line.finalQuantity = line.count.quantity;
+      line.variance = line.count.quantity - line.expectedQuantity;
+      line.needsRecount = exceedsThreshold(line, countSession.recountThreshold);
+    });
+
+    countSession.status = countSession.lines.some(line => line.needsRecount) ? 'recount' : 'pending_approval';
+    countSession.submittedBy = userId;
+    countSession.submittedAt = new Date();
+    await countSession.save();
+    return countSession;
+  }
+
+  // Supervisor sign-off: every variance is posted to its batch in one transaction.
+  // Adjusting a controlled drug also needs `witnessedBy`.
+  async approve(sessionId, userId, witnessedBy) {
+    await stockLedger.withTransaction(async (session) => {
+      const countSession = await StockCountSession.findById(sessionId).session(session);
+      if (!countSession) throw httpError(404, 'Stock count not found');
+      if (countSession.status !== 'pending_approval') {
+        throw httpError(400, 'Only counts pending approval can be approved');
+      }
+
+      const counters = new Set(countSession.lines.flatMap(line =>
+        [line.count?.countedBy, line.recount?.countedBy].filter(Boolean).map(String)
+      ));
+      if (counters.has(userId.toString())) {
+        throw httpError(403, 'A count must be approved by someone who did not count it');
+      }
+
+      const reason = `Stock count ${countSession.countNumber}`;
+
+      for (const line of countSession.lines) {
+        line.adjustedQuantity = 0;
+        if (line.variance > 0) {
+          await stockLedger.addToBatch(line.batch, line.variance, {
+            session,
+            type: 'ADJUSTMENT_IN',
+            reason,
+            countSession: countSession._id,
+            registerEntry: 'adjustment_in',
+            performedBy: userId,
+            witnessedBy
+          });
+          line.adjustedQuantity = line.variance;
+        } else if (line.variance < 0) {
+          // The batch may have been issued from since the snapshot; take no more than it holds
+          const batch = await MedicineBatch.findById(line.batch).select('quantityRemaining').session(session);
+          const take = Math.min(-line.variance, batch?.quantityRemaining || 0);
+          if (take > 0) {
+            await stockLedger.removeFromBatch(line.batch, take, {
+              session,
+              type: 'ADJUSTMENT_OUT',
+              reason,
+              countSession: countSession._id,
+              registerEntry: 'adjustment_out',
+              performedBy: userId,
+              witnessedBy
+            });
+          }
+          line.adjustedQuantity = -take;
+        }
+      }
+
+      countSession.status = 'posted';
+      countSession.approvedBy = userId;
+      countSession.approvedAt = new Date();
+      await countSession.save({ session });
+    });
+
+    const countSession = await StockCountSession.findById(sessionId);
+    const summary = countSession.varianceSummary();
+    logger.info(`Stock count ${countSession.countNumber} posted: ${summary.withVariance} variance(s), net ${summary.netValue}`);
+    return countSession;
+  }
+
+  async cancel(countSession, { reason, userId }) {
+    if (['posted', 'cancelled'].includes(countSession.status)) {
+      throw httpError(400, `Count is already ${countSession.status}`);
+    }
+    countSession.status = 'cancelled';
+    countSession.cancelledBy = userId;
+    countSession.cancelReason = reason;
+    await countSession.save();
+    return countSession;
+  }
+}
+
+export default new StockCountService();
@@ -0,0 +1,358 @@
+import mongoose from 'mongoose';
+import { MedicineBatch } from '../models/MedicineBatch.js';
+import { StockMovement } from '../models/StockMovement.js';
+import { StockReservation } from '../models/StockReservation.js';
+import controlledDrugService from './controlledDrugService.js';
+import { httpError } from '../utils/httpError.js';
+
+// Re-reads allowed when another writer takes stock from the batch we picked
+const MAX_BATCH_RETRIES = 20;
+
+// Controlled drugs register entry written for each kind of deduction
+const REGISTER_ENTRY_TYPES = { OUT: 'issue', TRANSFER_OUT: 'transfer_out' };
+
+/**
+ * Single place where stock leaves MedicineBatch documents.
+ *
+ * Every deduction is a conditional update on one batch (it only applies while the batch still
+ * holds enough), and the batch updates plus their StockMovement rows are written inside the
+ * caller's transaction. Transactions need MongoDB running as a replica set (Atlas always is).
+ * Stock held by StockReservation for someone else is never handed out. Changes to a
+ * controlled drug also go into the controlled drugs register and need `witnessedBy`.
+ */
+class StockLedger {
+  /**
+   * Run `work(session)` in a transaction and return its result. Transient errors
+   * (write conflicts between two pharmacists) are retried by the driver.
+   */
+  async withTransaction(work) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Units that can be issued right now: on hand less active reservations.
+   * Pass `reservation` (a source) to count that source's own hold as available.
+   * Reservations are hospital-wide, so with a `location` the answer is capped by
+   * both what's on the shelf there and what's free overall.
+   */
+  async getAvailableQuantity(medicineId, { session, reservation, location } = {}) {
+    // Sequential on purpose: a transaction's session can't run operations in parallel
+    const onHand = await MedicineBatch.getOnHand(medicineId, { session });
+    const reserved = await StockReservation.getReservedQuantity(medicineId, { exclude: reservation, session });
+    const free = Math.max(onHand - reserved, 0);
+
+    if (!location) return free;
+    const atLocation = await MedicineBatch.getOnHand(medicineId, { session, location });
+    return Math.min(atLocation, free);
+  }
+
+  /**
+   * Take `quantity` units of a medicine from its batches, earliest expiry first, and
+   * record one StockMovement per batch touched.
+   *
+   * Must be called with a session from withTransaction(). Throws a 409 when stock is short
+   * unless `allowPartial` is set, in which case it takes what there is. `reservation`
+   * identifies the caller's own hold ({ sourceType, sourceId, sourceItem }); it may use the
+   * stock held there and the hold is drawn down by what was issued. `location` limits the
+   * deduction to batches held at that StockLocation code. Transfers pass `ignoreReservations`
+   * since moving stock between stores doesn't take it away from whoever it's held for.
+   * `unitPrice` is what the patient is charged per unit; it defaults to the batch selling price.
+   * `witnessedBy` is the verified second signature, required for controlled drugs.
+   *
+   * Returns { quantity, shortfall, allocations: [{ batch, batchNumber, expiryDate, location, quantity, ... }] }
+   */
+  async deduct(medicineId, quantity, {
+    session, allowPartial = false, reservation, location, ignoreReservations = false,
+    type = 'OUT', reason, patient, transfer, requisition, unitPrice, performedBy, witnessedBy
+  }) {
+    if (!session) {
+      throw new Error('stockLedger.deduct must run inside a transaction');
+    }
+    if (!(quantity > 0)) {
+      throw httpError(400, 'Quantity must be a positive number');
+    }
+
+    const controlled = await controlledDrugService.isControlled(medicineId, session);
+    if (controlled) controlledDrugService.requireWitness(witnessedBy);
+
+    const available = ignoreReservations
+      ? await MedicineBatch.getOnHand(medicineId, { session, location })
+      : await this.getAvailableQuantity(medicineId, { session, reservation, location });
+    if (available < quantity && !allowPartial) {
+      throw httpError(409, `Insufficient stock. Only ${available} of ${quantity} units available`, {
+        available
+      });
+    }
+
+    const allocations = [];
+    let remaining = Math.min(quantity, available);
+    let retries = 0;
+
+    while (remaining > 0) {
+      const batch = await MedicineBatch.findOne(MedicineBatch.usableFilter(medicineId, location))
+        .sort('expiryDate')
+        .session(session);
+      if (!batch) break;
+
+      const take = Math.min(remaining, batch.quantityRemaining);
+
+      // Only applies if nobody has taken the stock since we read it; flips status when emptied
+      const updated = await MedicineBatch.findOneAndUpdate(
+        { _id: batch._id, status: 'active', quantityRemaining: { $gte: take } },
+        [
+          { $set: { quantityRemaining: { $subtract: ['$quantityRemaining', take] } } },
+          { $set: { status: { $cond: [{ $lte: ['$quantityRemaining', 0] }, 'depleted', '$status'] } } }
+        ],
+        { session, new: true }
+      );
+
+      if (!updated) {
+        if (++retries > MAX_BATCH_RETRIES) {
+          throw httpError(409, 'Stock is changing too quickly; please try again');
+        }
+        continue;
+      }
+
+      allocations.push({
+        batch: batch._id,
+        batchNumber: batch.batchNumber,
+        expiryDate: batch.expiryDate,
+        location: batch.location,
+        buyingPrice: batch.buyingPrice,
+        sellingPrice: batch.sellingPrice,
+        purchaseOrder: batch.purchaseOrder,
+        quantity: take
+      });
+      remaining -= take;
+
+      if (controlled) {
+        await controlledDrugService.record({
+          session,
+          medicine: medicineId,
+          location: batch.location,
+          entryType: REGISTER_ENTRY_TYPES[type] || 'issue',
+          quantity: take,
+          batch: batch._id,
+          batchNumber: batch.batchNumber,
+          reason,
+          patient,
+          performedBy,
+          witnessedBy
+        });
+      }
+    }
+
+    const deducted = allocations.reduce((sum, a) => sum + a.quantity, 0);
+
+    if (deducted < quantity && !allowPartial) {
+      throw httpError(409, `Insufficient stock. Only ${deducted} of ${quantity} units available`, {
+        available: deducted
+      });
+    }
+
+    if (allocations.length > 0) {
+      await StockMovement.insertMany(allocations.map(allocation => ({
+        medicine: medicineId,
+        batch: allocation.batch,
+        type,
+        quantity: allocation.quantity,
+        reason,
+        location: allocation.location,
+        patient,
+        transfer,
+        requisition,
+        unitCost: allocation.buyingPrice,
+        unitPrice: unitPrice ?? allocation.sellingPrice,
+        performedBy
+      })), { session });
+    }
+
+    if (reservation && deducted > 0) {
+      await StockReservation.consume(reservation, deducted, { session });
+    }
+
+    return { quantity: deducted, shortfall: quantity - deducted, allocations };
+  }
+
+  /**
+   * Take stock out of one specific batch (damage, expiry, quarantine) rather than FIFO.
+   * When the batch is emptied its status becomes `emptyStatus`. Throws a 409 if the batch
+   * no longer holds `quantity`. Must run inside a transaction. Pass `registerEntry` when
+   * the stock leaves the controlled drugs register too; quarantined stock stays on it.
+   */
+  async removeFromBatch(batchId, quantity, {
+    session, emptyStatus = 'depleted', type, reason, quarantine, countSession,
+    registerEntry, performedBy, witnessedBy
+  }) {
+    if (!session) {
+      throw new Error('stockLedger.removeFromBatch must run inside a transaction');
+    }
+    if (!(quantity > 0)) {
+      throw httpError(400, 'Quantity must be a positive number');
+    }
+
+    const batch = await MedicineBatch.findOneAndUpdate(
+      { _id: batchId, quantityRemaining: { $gte: quantity } },
+      [
+        { $set: { quantityRemaining: { $subtract: ['$quantityRemaining', quantity] } } },
+        { $set: { status: { $cond: [{ $lte: ['$quantityRemaining', 0] }, emptyStatus, '$status'] } } }
+      ],
+      { session, new: true }
+    );
+    if (!batch) {
+      throw httpError(409, `Batch no longer holds ${quantity} units`);
+    }
+
+    await StockMovement.create([{
+      medicine: batch.medicine,
+      batch: batch._id,
+      type,
+      quantity,
+      reason,
+      location: batch.location,
+      quarantine,
+      countSession,
+      unitCost: batch.buyingPrice,
+      performedBy
+    }], { session });
+
+    await this.recordBatchChange(batch, quantity, { session, registerEntry, reason, performedBy, witnessedBy });
+
+    return batch;
+  }
+
+  /**
+   * Put stock back into one batch (a count found more than the system had, a patient
+   * return). A batch that had been emptied becomes active again. Must run inside a transaction.
+   */
+  async addToBatch(batchId, quantity, {
+    session, type, reason, countSession, medicineReturn, patient, unitPrice,
+    registerEntry, performedBy, witnessedBy
+  }) {
+    if (!session) {
+      throw new Error('stockLedger.addToBatch must run inside a transaction');
+    }
+    if (!(quantity > 0)) {
+      throw httpError(400, 'Quantity must be a positive number');
+    }
+
+    const batch = await MedicineBatch.findOneAndUpdate(
+      { _id: batchId },
+      [
+        { $set: { quantityRemaining: { $add: ['$quantityRemaining', quantity] } } },
+        { $set: { status: { $cond: [{ $eq: ['$status', 'depleted'] }, 'active', '$status'] } } }
+      ],
+      { session, new: true }
+    );
+    if (!batch) {
+      throw httpError(404, 'Batch not found');
+    }
+
+    await StockMovement.create([{
+      medicine: batch.medicine,
+      batch: batch._id,
+      type,
+      quantity,
+      reason,
+      location: batch.location,
+      countSession,
+      medicineReturn,
+      patient,
+      unitCost: batch.buyingPrice,
+      unitPrice,
+      performedBy
+    }], { session });
+
+    await this.recordBatchChange(batch, quantity, { session, registerEntry, reason, patient, performedBy, witnessedBy });
+
+    return batch;
+  }
+
+  /**
+   * Take back stock a patient returned from `batchId`. With `restock` it goes back into the
+   * batch (which must still be usable) as a RETURN movement; otherwise it is destroyed: a
+   * RETURN_DESTROYED movement records it and on-hand doesn't change. Controlled drugs go
+   * back on the register either way, and destroyed ones straight off again.
+   */
+  async receiveReturn(batchId, quantity, {
+    session, restock, reason, medicineReturn, patient, unitPrice, performedBy, witnessedBy
+  }) {
+    if (!session) {
+      throw new Error('stockLedger.receiveReturn must run inside a transaction');
+    }
+
+    const batch = await MedicineBatch.findById(batchId).session(session);
+    if (!batch) throw httpError(404, 'Batch not found');
+
+    if (restock) {
+      if (!['active', 'depleted'].includes(batch.status) || batch.expiryDate <= new Date()) {
+        throw httpError(400, `Batch ${batch.batchNumber} can't take stock back (${batch.expiryDate <= new Date() ? 'expired' : batch.status}); destroy the return instead`);
+      }
+      return this.addToBatch(batch._id, quantity, {
+        session, type: 'RETURN', reason, medicineReturn, patient, unitPrice,
+        registerEntry: 'return', performedBy, witnessedBy
+      });
+    }
+
+    await StockMovement.create([{
+      medicine: batch.medicine,
+      batch: batch._id,
+      type: 'RETURN_DESTROYED',
+      quantity,
+      reason,
+      location: batch.location,
+      medicineReturn,
+      patient,
+      unitCost: batch.buyingPrice,
+      unitPrice,
+      performedBy
+    }], { session });
+
+    // The pair nets to zero and the shelf is untouched, which the register's opening balance must know
+    await this.recordBatchChange(batch, quantity, {
+      session, registerEntry: 'return', reason, patient, performedBy, witnessedBy, shelfChanged: false
+    });
+    await this.recordBatchChange(batch, quantity, {
+      session, registerEntry: 'destruction', reason, performedBy, witnessedBy, shelfChanged: false
+    });
+
+    return batch;
+  }
+
+  /**
+   * Controlled drugs register entry for a change already made to one batch; a no-op for
+   * other medicines or without `registerEntry`. Used by flows that create batches directly
+   * (receiving, transfer receipt) as well as the single-batch methods above.
+   */
+  async recordBatchChange(batch, quantity, {
+    session, registerEntry, reason, patient, performedBy, witnessedBy, shelfChanged
+  }) {
+    if (!registerEntry || !(await controlledDrugService.isControlled(batch.medicine, session))) return;
+
+    await controlledDrugService.record({
+      session,
+      medicine: batch.medicine,
+      location: batch.location,
+      entryType: registerEntry,
+      quantity,
+      batch: batch._id,
+      batchNumber: batch.batchNumber,
+      reason,
+      patient,
+      performedBy,
+      witnessedBy,
+      shelfChanged
+    });
+  }
+}
+
+export default new StockLedger();
@@ -0,0 +1,66 @@
+import { Medicine } from '../models/Medicine.js';
+import { MedicineBatch } from '../models/MedicineBatch.js';
+import { StockReservation } from '../models/StockReservation.js';
+import stockLedger from './stockLedger.js';
+import logger from '../utils/logger.js';
+
+const RESERVATION_HOURS = parseFloat(process.env.STOCK_RESERVATION_HOURS) || 24;
+
+class StockReservationService {
+  /**
+   * Hold stock for a prescription or requisition line. Only what is actually free
+   * (on hand minus other holds) is reserved; returns null when nothing could be held.
+   * Runs in the caller's `session`, or its own transaction without one.
+   */
+  async reserve({ medicine, quantity, sourceType, sourceId, sourceItem, createdBy, session }) {
+    if (!session) {
+      return stockLedger.withTransaction(txn => this.reserve({
+        medicine, quantity, sourceType, sourceId, sourceItem, createdBy, session: txn
+      }));
+    }
+
+    // Writing to the medicine makes two holds on it at once conflict, so the second
+    // is retried and sees the first one's reservation
+    await Medicine.updateOne({ _id: medicine }, { $inc: { reservationVersion: 1 } }, { session });
+
+    // Sequential on purpose: a transaction's session can't run operations in parallel
+    const onHand = await MedicineBatch.getOnHand(medicine, { session });
+    const reserved = await StockReservation.getReservedQuantity(medicine, { session });
+    const held = Math.min(quantity, Math.max(onHand - reserved, 0));
+
+    if (held <= 0) {
+      logger.warn(`No free stock to reserve for ${sourceType} ${sourceId} (medicine ${medicine})`);
+      return null;
+    }
+
+    const [reservation] = await StockReservation.create([{
+      medicine,
+      quantity: held,
+      requestedQuantity: quantity,
+      sourceType,
+      sourceId,
+      sourceItem,
+      expiresAt: new Date(Date.now() + RESERVATION_HOURS * 60 * 60 * 1000),
+      createdBy
+    }], { session });
+    return reservation;
+  }
+
+  release(source, options) {
+    return StockReservation.release(source, options);
+  }
+
+  // Scheduled sweep; expired holds already stop counting, this just closes them
+  async expireReservations() {
+    const result = await StockReservation.updateMany(
+      { status: 'active', expiresAt: { $lte: new Date() } },
+      { status: 'expired', closedAt: new Date() }
+    );
+    if (result.modifiedCount > 0) {
+      logger.info(`Expired ${result.modifiedCount} stock reservation(s)`);
+    }
+    return result.modifiedCount;
+  }
+}
+
+export default new StockReservationService();
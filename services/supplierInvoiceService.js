@@ -0,0 +1,219 @@
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import GoodsReceivedNote from '../models/GoodsReceivedNote.js';
+import SupplierInvoice from '../models/SupplierInvoice.js';
+import Supplier from '../models/Supplier.js';
+import { httpError } from '../utils/httpError.js';
+
+// How far an invoiced unit price may drift from the agreed PO price before it's flagged
+const PRICE_TOLERANCE_PERCENT = parseFloat(process.env.INVOICE_PRICE_TOLERANCE_PERCENT) || 0;
+
+// Rounding slack for amounts that are printed to the cent
+const CENT = 0.01;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const addTo = (map, key, fields) => {
+  const entry = map.get(key) || {};
+  Object.entries(fields).forEach(([field, value]) => {
+    entry[field] = (entry[field] || 0) + value;
+  });
+  map.set(key, entry);
+};
+
+class SupplierInvoiceService {
+  /**
+   * GRNs an invoice is matched against: the ones named, or every GRN on the order that
+   * isn't already tied to another invoice. Named GRNs must belong to the same order.
+   */
+  async resolveGoodsReceivedNotes(purchaseOrder, grnIds, invoiceId) {
+    const filter = { purchaseOrder: purchaseOrder._id };
+    if (grnIds?.length) filter._id = { $in: grnIds };
+
+    const grns = await GoodsReceivedNote.find(filter);
+    if (grnIds?.length && grns.length !== grnIds.length) {
+      throw httpError(400, 'One or more goods received notes are not on this purchase order');
+    }
+
+    const available = grns.filter(grn => !grn.invoice || grn.invoice.equals(invoiceId));
+    if (grnIds?.length && available.length !== grns.length) {
+      throw httpError(409, 'One or more goods received notes are already matched to another invoice');
+    }
+    if (available.length === 0) {
+      throw httpError(400, 'Nothing has been received on this purchase order to match the invoice against');
+    }
+    return available;
+  }
+
+  /**
+   * Three-way match: for each medicine compare what was ordered (PO line quantity and
+   * agreed price), what arrived (GRN quantities) and what was billed (invoice lines).
+   * Orders without lines are matched on GRN vs. invoice, with the GRN cost as the price.
+   */
+  match(invoice, purchaseOrder, grns) {
+    const ordered = new Map();
+    purchaseOrder.items.forEach(item => {
+      addTo(ordered, item.medicine.toString(), {
+        quantity: item.quantity,
+        value: item.quantity * (item.agreedPrice || 0)
+      });
+    });
+
+    const received = new Map();
+    grns.forEach(grn => grn.items.forEach(item => {
+      addTo(received, item.medicine.toString(), {
+        quantity: item.quantity,
+        value: item.quantity * (item.unitCost || 0)
+      });
+    }));
+
+    const invoiced = new Map();
+    const issues = new Set();
+    invoice.lines.forEach(line => {
+      if (Math.abs(line.amount - line.quantity * line.unitPrice) > CENT) issues.add('line_amount');
+      addTo(invoiced, line.medicine.toString(), { quantity: line.quantity, amount: line.amount });
+    });
+
+    const hasOrderLines = purchaseOrder.items.length > 0;
+    const medicineIds = new Set([...received.keys(), ...invoiced.keys()]);
+    const lines = [];
+
+    for (const id of medicineIds) {
+      const order = ordered.get(id);
+      const receipt = received.get(id) || { quantity: 0, value: 0 };
+      const bill = invoiced.get(id) || { quantity: 0, amount: 0 };
+
+      const agreedPrice = order?.quantity
+        ? order.value / order.quantity
+        : (receipt.quantity ? receipt.value / receipt.quantity : 0);
+      const invoicedPrice = bill.quantity ? bill.amount / bill.quantity : 0;
+      const lineIssues = [];
+
+      if (hasOrderLines && !order && bill.quantity > 0) lineIssues.push('not_ordered');
+      if (bill.quantity > receipt.quantity) lineIssues.push('not_received');
+      if (order && bill.quantity > order.quantity) lineIssues.push('quantity_over_order');
+      if (bill.quantity < receipt.quantity) lineIssues.push('received_not_invoiced');
+      if (bill.quantity > 0 && agreedPrice > 0 &&
+          Math.abs(invoicedPrice - agreedPrice) > Math.max(agreedPrice * PRICE_TOLERANCE_PERCENT / 100, CENT)) {
+        lineIssues.push('price_variance');
+      }
+
+      lineIssues.forEach(issue => issues.add(issue));
+      lines.push({
+        medicine: id,
+        orderedQuantity: order?.quantity,
+        agreedPrice: round(agreedPrice),
+        receivedQuantity: receipt.quantity,
+        invoicedQuantity: bill.quantity,
+        invoicedPrice: round(invoicedPrice),
+        invoicedAmount: round(bill.amount),
+        expectedAmount: round(receipt.quantity * agreedPrice),
+        issues: lineIssues
+      });
+    }
+
+    const lineTotal = invoice.lines.reduce((sum, line) => sum + line.amount, 0);
+    if (Math.abs(invoice.total - (lineTotal + (invoice.tax || 0))) > CENT) issues.add('invoice_total');
+
+    const expectedTotal = round(lines.reduce((sum, line) => sum + line.expectedAmount, 0) + (invoice.tax || 0));
+
+    return {
+      status: issues.size > 0 ? 'discrepancy' : 'matched',
+      lines,
+      issues: [...issues],
+      expectedTotal,
+      variance: round(invoice.total - expectedTotal),
+      checkedAt: new Date()
+    };
+  }
+
+  /**
+   * Record a supplier invoice against a purchase order and match it straight away.
+   * The invoice is saved whether or not it matches; discrepancies hold up approval.
+   */
+  async createInvoice({ data, userId }) {
+    const purchaseOrder = await PurchaseOrder.findById(data.purchaseOrder);
+    if (!purchaseOrder) throw httpError(404, 'Purchase order not found');
+
+    const supplier = await Supplier.findById(purchaseOrder.supplier);
+    const invoiceDate = data.invoiceDate ? new Date(data.invoiceDate) : new Date();
+
+    const invoice = new SupplierInvoice({
+      invoiceNumber: data.invoiceNumber,
+      supplier: purchaseOrder.supplier,
+      purchaseOrder: purchaseOrder._id,
+      invoiceDate,
+      dueDate: data.dueDate || (supplier &&
+        new Date(invoiceDate.getTime() + supplier.paymentTermsDays * 24 * 60 * 60 * 1000)),
+      enteredBy: userId,
+      notes: data.notes
+    });
+    this.applyAmounts(invoice, data);
+
+    return this.matchAndSave(invoice, purchaseOrder, data.goodsReceivedNotes);
+  }
+
+  // Correct a pending or rejected invoice (typo in a line, credit note received) and
+  // match it again; a rejected one goes back for approval
+  async updateInvoice(invoice, data) {
+    if (!['pending_approval', 'rejected'].includes(invoice.status)) {
+      throw httpError(400, `Cannot edit an invoice that is ${invoice.status}`);
+    }
+    invoice.status = 'pending_approval';
+    invoice.rejectionReason = undefined;
+
+    ['invoiceNumber', 'invoiceDate', 'dueDate', 'notes'].forEach(field => {
+      if (data[field] !== undefined) invoice[field] = data[field];
+    });
+    this.applyAmounts(invoice, data);
+
+    const purchaseOrder = await PurchaseOrder.findById(invoice.purchaseOrder);
+    return this.matchAndSave(invoice, purchaseOrder, data.goodsReceivedNotes || invoice.goodsReceivedNotes);
+  }
+
+  applyAmounts(invoice, data) {
+    if (Array.isArray(data.lines)) {
+      invoice.lines = data.lines.map(line => {
+        const quantity = parseFloat(line.quantity);
+        const unitPrice = parseFloat(line.unitPrice);
+        return {
+          medicine: line.medicineId || line.medicine,
+          description: line.description,
+          quantity,
+          unitPrice,
+          amount: line.amount !== undefined ? parseFloat(line.amount) : round(quantity * unitPrice)
+        };
+      });
+    }
+    if (data.tax !== undefined) invoice.tax = parseFloat(data.tax) || 0;
+    if (data.total !== undefined) invoice.total = parseFloat(data.total);
+  }
+
+  async matchAndSave(invoice, purchaseOrder, grnIds) {
+    if (invoice.lines.length === 0) throw httpError(400, 'Please add at least one invoice line');
+
+    const grns = await this.resolveGoodsReceivedNotes(purchaseOrder, grnIds, invoice._id);
+
+    invoice.goodsReceivedNotes = grns.map(grn => grn._id);
+    invoice.match = this.match(invoice, purchaseOrder, grns);
+    await invoice.save();
+
+    // Release GRNs dropped from this invoice and claim the ones now on it
+    await GoodsReceivedNote.updateMany(
+      { invoice: invoice._id, _id: { $nin: invoice.goodsReceivedNotes } },
+      { $unset: { invoice: '' } }
+    );
+    await GoodsReceivedNote.updateMany(
+      { _id: { $in: invoice.goodsReceivedNotes } },
+      { $set: { invoice: invoice._id } }
+    );
+
+    return invoice;
+  }
+
+  // A rejected invoice gives its GRNs back so the corrected invoice can claim them
+  async releaseGoodsReceivedNotes(invoice) {
+    await GoodsReceivedNote.updateMany({ invoice: invoice._id }, { $unset: { invoice: '' } });
+  }
+}
+
+export default new SupplierInvoiceService();
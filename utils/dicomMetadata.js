@@ -0,0 +1,115 @@
+import fs from 'fs/promises';
+import dicomParser from 'dicom-parser';
+
+// DICOM modality codes accepted for each modality type
+const MODALITY_CODES = {
+  'X-Ray': ['CR', 'DX', 'DR', 'RG'],
+  Ultrasound: ['US'],
+  CT: ['CT'],
+  MRI: ['MR'],
+  Mammography: ['MG'],
+  Fluoroscopy: ['RF', 'XA'],
+};
+
+// Free-text scan types from older requests, mapped to a modality type
+const SCAN_TYPE_ALIASES = [
+  [/x-?ray|radiograph/i, 'X-Ray'],
+  [/ultra ?sound|sonograph|\bus\b/i, 'Ultrasound'],
+  [/\bct\b|computed tomography/i, 'CT'],
+  [/\bmri?\b|magnetic/i, 'MRI'],
+  [/mammo/i, 'Mammography'],
+  [/fluoro/i, 'Fluoroscopy'],
+];
+
+const TAGS = {
+  patientId: 'x00100020',
+  patientName: 'x00100010',
+  studyDate: 'x00080020',
+  modality: 'x00080060',
+  bodyPart: 'x00180015',
+  studyDescription: 'x00081030',
+  studyInstanceUid: 'x0020000d',
+  seriesInstanceUid: 'x0020000e',
+  sopInstanceUid: 'x00080018',
+};
+
+const parseStudyDate = (value) => {
+  if (!value || !/^\d{8}$/.test(value)) return undefined;
+  return new Date(Date.UTC(+value.slice(0, 4), +value.slice(4, 6) - 1, +value.slice(6, 8)));
+};
+
+const startOfUtcDay = (date) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const normalise = (value) => (value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Read the header of a DICOM Part 10 file. Parsing stops before the pixel data.
+ * Throws if the file is not valid DICOM.
+ */
+export const readDicomMetadata = async (filePath) => {
+  const buffer = await fs.readFile(filePath);
+  const dataSet = dicomParser.parseDicom(new Uint8Array(buffer), { untilTag: 'x7fe00010' });
+
+  const value = (tag) => dataSet.string(tag)?.trim() || undefined;
+
+  return {
+    patientId: value(TAGS.patientId),
+    patientName: value(TAGS.patientName)?.replace(/\^/g, ' ').trim(),
+    studyDate: parseStudyDate(value(TAGS.studyDate)),
+    modality: value(TAGS.modality),
+    bodyPart: value(TAGS.bodyPart),
+    studyDescription: value(TAGS.studyDescription),
+    studyInstanceUid: value(TAGS.studyInstanceUid),
+    seriesInstanceUid: value(TAGS.seriesInstanceUid),
+    sopInstanceUid: value(TAGS.sopInstanceUid),
+  };
+};
+
+/**
+ * Compare DICOM header data with the request and patient it is being attached to.
+ * Patient ID, modality and study date mismatches are errors (the file must be rejected);
+ * body part differences are only warnings because requests describe it in free text.
+ */
+export const checkDicomAgainstRequest = (metadata, { request, patient, modalityType }) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!metadata.patientId) {
+    errors.push('DICOM file has no Patient ID');
+  } else if (normalise(metadata.patientId) !== normalise(patient.patientId)) {
+    errors.push(`DICOM Patient ID ${metadata.patientId} does not match patient ${patient.patientId}`);
+  }
+
+  const expectedType = modalityType
+    || SCAN_TYPE_ALIASES.find(([pattern]) => pattern.test(request.scanType || ''))?.[1];
+  const expectedCodes = MODALITY_CODES[expectedType];
+  if (expectedCodes && !expectedCodes.includes(metadata.modality)) {
+    errors.push(`DICOM modality ${metadata.modality || '(none)'} does not match requested ${expectedType}`);
+  }
+
+  if (metadata.studyDate) {
+    if (metadata.studyDate < startOfUtcDay(request.createdAt)) {
+      errors.push('DICOM study date is before the request was made');
+    } else if (metadata.studyDate > new Date()) {
+      errors.push('DICOM study date is in the future');
+    }
+  } else {
+    warnings.push('DICOM file has no study date');
+  }
+
+  if (metadata.bodyPart && request.bodyPart) {
+    const dicomPart = normalise(metadata.bodyPart);
+    const requestedPart = normalise(request.bodyPart);
+    if (!dicomPart.includes(requestedPart) && !requestedPart.includes(dicomPart)) {
+      warnings.push(`DICOM body part ${metadata.bodyPart} differs from requested ${request.bodyPart}`);
+    }
+  }
+
+  return { errors, warnings };
+};
+
+export default {
+  readDicomMetadata,
+  checkDicomAgainstRequest,
+};
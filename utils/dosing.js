@@ -0,0 +1,81 @@
+// Structured dosing helpers shared by prescribing and dispensing
+
+export const FREQUENCY_CODES = {
+  OD: { label: 'Once daily', timesPerDay: 1 },
+  BD: { label: 'Twice daily', timesPerDay: 2 },
+  TDS: { label: 'Three times daily', timesPerDay: 3 },
+  QID: { label: 'Four times daily', timesPerDay: 4 },
+  PRN: { label: 'As needed', timesPerDay: null }
+};
+
+export const DOSE_UNITS = [
+  'mg', 'mcg', 'g', 'ml', 'IU',
+  'tablet', 'capsule', 'puff', 'drop', 'sachet', 'suppository', 'ampoule', 'vial', 'patch', 'application'
+];
+
+export const ROUTES = [
+  'oral', 'sublingual', 'iv', 'im', 'sc', 'topical', 'inhaled',
+  'rectal', 'vaginal', 'ophthalmic', 'otic', 'nasal', 'other'
+];
+
+// Units that are already whole dispensing units (one tablet, one puff, ...)
+const COUNT_UNITS = [
+  'tablet', 'capsule', 'puff', 'drop', 'sachet', 'suppository', 'ampoule', 'vial', 'patch', 'application'
+];
+
+// Mass units converted to mg
+const MASS_TO_MG = { g: 1000, mg: 1, mcg: 0.001 };
+
+/**
+ * Parse a simple single-strength string such as "500mg" or "0.5 g".
+ * Returns null for compound strengths ("250mg/5ml") or anything unrecognised.
+ */
+export const parseStrength = (strength) => {
+  if (!strength) return null;
+  const match = String(strength).trim().match(/^(\d+(?:\.\d+)?)\s*(mg|mcg|g)$/i);
+  if (!match) return null;
+  return { amount: parseFloat(match[1]), unit: match[2].toLowerCase() };
+};
+
+/**
+ * Number of dispensing units needed for a single dose of a medicine.
+ * Returns null when the dose can't be expressed in whole units (liquids, IU, compound strengths).
+ */
+export const unitsPerDose = (dose, doseUnit, medicine = {}) => {
+  if (COUNT_UNITS.includes(doseUnit)) return dose;
+
+  if (MASS_TO_MG[doseUnit] && ['Tablet', 'Capsule'].includes(medicine.type)) {
+    const strength = parseStrength(medicine.strength);
+    if (!strength) return null;
+    const doseMg = dose * MASS_TO_MG[doseUnit];
+    const strengthMg = strength.amount * MASS_TO_MG[strength.unit];
+    return Math.ceil(doseMg / strengthMg);
+  }
+
+  return null;
+};
+
+/**
+ * Total quantity to dispense for a course: units per dose x doses per day x days.
+ * PRN courses use `maxDosesPerDay` when given. Returns null when it can't be worked out,
+ * in which case the prescriber has to state the quantity.
+ */
+export const computeTotalQuantity = ({ dose, doseUnit, frequencyCode, durationDays, maxDosesPerDay }, medicine) => {
+  const frequency = FREQUENCY_CODES[frequencyCode];
+  if (!frequency || !durationDays) return null;
+
+  const timesPerDay = frequency.timesPerDay || maxDosesPerDay;
+  if (!timesPerDay) return null;
+
+  const perDose = unitsPerDose(dose, doseUnit, medicine);
+  if (!perDose) return null;
+
+  return Math.ceil(perDose * timesPerDay * durationDays);
+};
+
+// Human readable strings kept on the prescription for older screens and printouts
+export const describeDose = ({ dose, doseUnit, route, frequencyCode, durationDays }) => ({
+  dosage: `${dose} ${doseUnit}${route ? ` ${route}` : ''}`,
+  frequency: FREQUENCY_CODES[frequencyCode]?.label || frequencyCode,
+  duration: durationDays ? `${durationDays} day${durationDays === 1 ? '' : 's'}` : undefined
+});
@@ -0,0 +1,2 @@
+// Escape user input for use inside a $regex / RegExp, so searches match it literally
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
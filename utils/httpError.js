@@ -0,0 +1,3 @@
+// Error carrying an HTTP status, picked up by route handlers and middleware/errorHandler.js
+export const httpError = (statusCode, message, extra = {}) =>
+  Object.assign(new Error(message), { statusCode, ...extra });
@@ -0,0 +1,19 @@
+import { Jimp } from 'jimp';
+
+const THUMBNAIL_SIZE = 256;
+
+/**
+ * Write a PNG thumbnail that fits in a 256x256 box.
+ * Returns the original image dimensions.
+ */
+export const createThumbnail = async (sourcePath, thumbnailPath) => {
+  const image = await Jimp.read(sourcePath);
+  const { width, height } = image.bitmap;
+
+  image.scaleToFit({ w: THUMBNAIL_SIZE, h: THUMBNAIL_SIZE });
+  await image.write(thumbnailPath);
+
+  return { width, height };
+};
+
+export default createThumbnail;